@@ -0,0 +1,152 @@
+'use strict';
+
+const { JsonFileStore } = require('./jsonFileStore');
+const { normalizeTitle } = require('./articleMatch');
+
+// Artikelstamm aus Lexware, zwischengespeichert auf der Platte:
+// - nach einem Neustart sofort da, ohne bis zu 100 × 250 Artikel neu zu blättern
+// - älter als ttlMs → alter Stand wird ausgeliefert und im Hintergrund neu geladen
+// - list({ refresh: true }) lädt neu und wartet darauf
+// fetchAll() → { articles, complete }; ein abgebrochener Abruf ersetzt keinen vorhandenen Stand
+// und wird nicht gespeichert (nächster Aufruf versucht es erneut).
+class ArticleCatalogue {
+  constructor({ filePath, ttlMs, fetchAll }) {
+    this.store = new JsonFileStore(filePath, { fetchedAt: 0, articles: null });
+    this.ttlMs = ttlMs;
+    this.fetchAll = fetchAll;
+    this.loading = null;
+    this.generation = 0;
+  }
+
+  get fetchedAt() {
+    return this.store.data.fetchedAt || 0;
+  }
+
+  isFresh() {
+    return Array.isArray(this.store.data.articles) && (Date.now() - this.fetchedAt) < this.ttlMs;
+  }
+
+  async list({ refresh = false } = {}) {
+    const { articles } = this.store.data;
+    if (refresh || !Array.isArray(articles)) return this.reload();
+
+    if (!this.isFresh()) {
+      this.reload().catch(err => console.error('Artikelstamm konnte nicht aktualisiert werden:', err.message));
+    }
+    return articles;
+  }
+
+  // parallele Aufrufe teilen sich einen Abruf
+  reload() {
+    if (!this.loading) this.loading = this._load().finally(() => { this.loading = null; });
+    return this.loading;
+  }
+
+  async _load() {
+    const generation = this.generation;
+    const { articles, complete } = await this.fetchAll();
+
+    // während des Abrufs invalidiert → Ergebnis kann schon veraltet sein
+    if (generation !== this.generation) return articles;
+    if (!complete) return Array.isArray(this.store.data.articles) ? this.store.data.articles : articles;
+
+    await this.store.update(d => {
+      d.fetchedAt = Date.now();
+      d.articles = articles;
+    });
+    return articles;
+  }
+
+  // nach Änderungen am Artikelstamm: nächster list()-Aufruf lädt neu
+  invalidate() {
+    this.generation++;
+    return this.store.update(d => {
+      d.fetchedAt = 0;
+      d.articles = null;
+    });
+  }
+}
+
+// ------------------------------------------------------------
+// Suche
+// ------------------------------------------------------------
+const ARTICLE_TYPES = ['PRODUCT', 'SERVICE'];
+const SEARCH_SORTS = {
+  title: a => a.title || '',
+  articleNumber: a => a.articleNumber || '',
+  netPrice: a => a.price?.netPrice,
+  grossPrice: a => a.price?.grossPrice
+};
+const MAX_PAGE_SIZE = 250;
+
+const isEmpty = v => v === undefined || v === null || v === '';
+
+// sign nur für gefüllte Werte: leere stehen auch absteigend am Ende
+function compareValues(x, y, sign = 1) {
+  if (isEmpty(x) || isEmpty(y)) return isEmpty(x) - isEmpty(y);
+  if (typeof x === 'number' && typeof y === 'number') return sign * (x - y);
+  return sign * String(x).localeCompare(String(y), 'de', { numeric: true, sensitivity: 'base' });
+}
+
+// "grosse" findet "Größe" (normalisiert "groesse")
+function looseForm(norm) {
+  return norm.replace(/([aou])e/g, '$1');
+}
+
+// 0 = Artikelnummer exakt, 1 = Titel exakt, 2 = Titel beginnt mit q, 3 = sonst enthalten
+function relevance(a, qNorm, qRaw) {
+  if (String(a.articleNumber || '').trim().toLowerCase() === qRaw) return 0;
+  const title = normalizeTitle(a.title);
+  if (title === qNorm) return 1;
+  return title.startsWith(qNorm) ? 2 : 3;
+}
+
+// sort = "feld" oder "feld,desc" (wie Lexware); ohne sort: bei q nach Relevanz, sonst nach Titel
+// → Seite wie Lexware { content, number, size, totalElements, totalPages, first, last }
+function searchArticles(articles, { q = '', type = '', archived = 'false', sort = '', page = 0, size = 25 } = {}) {
+  const qRaw = String(q || '').trim().toLowerCase();
+  const qNorm = normalizeTitle(q);
+  const tokens = qNorm ? looseForm(qNorm).split(' ') : [];
+  const wantType = String(type || '').trim().toUpperCase();
+  const wantArchived = String(archived ?? 'false').trim().toLowerCase();
+
+  const seen = new Set();
+  let hits = (articles || []).filter(a => {
+    if (!a?.id || seen.has(a.id)) return false; // Dubletten aus dem Paging
+    seen.add(a.id);
+    if (wantType && a.type !== wantType) return false;
+    if (wantArchived !== 'all' && !!a.archived !== (wantArchived === 'true')) return false;
+    if (!tokens.length) return true;
+    const haystack = looseForm(normalizeTitle(`${a.title || ''} ${a.articleNumber || ''} ${a.gtin || ''} ${a.description || ''}`));
+    return tokens.every(t => haystack.includes(t));
+  });
+
+  const [field, dir] = String(sort || '').split(',').map(s => s.trim());
+  if (field) {
+    const key = SEARCH_SORTS[field] || SEARCH_SORTS.title;
+    const sign = String(dir || '').toLowerCase() === 'desc' ? -1 : 1;
+    hits = hits.sort((x, y) => compareValues(key(x), key(y), sign) || compareValues(x.title, y.title));
+  } else if (tokens.length) {
+    hits = hits
+      .map(a => ({ a, r: relevance(a, qNorm, qRaw) }))
+      .sort((x, y) => x.r - y.r || compareValues(x.a.title, y.a.title))
+      .map(x => x.a);
+  } else {
+    hits = hits.sort((x, y) => compareValues(x.title, y.title));
+  }
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(size) || 25));
+  const totalPages = Math.ceil(hits.length / pageSize);
+  const number = Math.max(0, Number(page) || 0);
+  return {
+    content: hits.slice(number * pageSize, (number + 1) * pageSize),
+    number,
+    size: pageSize,
+    totalElements: hits.length,
+    totalPages,
+    first: number === 0,
+    last: number >= totalPages - 1
+  };
+}
+
+module.exports = { ArticleCatalogue, ARTICLE_TYPES, SEARCH_SORTS, searchArticles };
@@ -0,0 +1,179 @@
+'use strict';
+
+// Sheet "Artikel" (Spalten wie "Artikel-Lookup" im dynamischen Template) → Plan für Lexware:
+// je Zeile create / update / unchanged, Abgleich über articleNumber.
+// - id: optional; gesetzt → muss zum Artikel mit dieser articleNumber passen
+//   (ohne Treffer über die Nummer wird per id aktualisiert, z. B. um die Nummer zu ändern)
+// - version: optional; gesetzt → muss dem Stand in Lexware entsprechen, sonst wurde der
+//   Artikel seit dem Download geändert (optimistisches Locking wie bei Lexware)
+// - leere Zellen übernehmen bei Updates den Wert aus Lexware, bei Neuanlage den Standard
+// - leadingPrice (NET/GROSS) bestimmt den maßgeblichen Preis, der andere wird berechnet
+// - archived ist nur Info: über die API nicht änderbar
+
+const ARTICLE_SHEET_NAMES = ['Artikel', 'Artikel-Lookup'];
+const ARTICLE_TYPES = { product: 'PRODUCT', produkt: 'PRODUCT', service: 'SERVICE', dienstleistung: 'SERVICE' };
+const LEADING_PRICES = ['NET', 'GROSS'];
+const TAX_RATES = [0, 7, 19];
+const DEFAULT_UNIT = 'Stück';
+
+// Felder, die Lexware beim PUT nicht zurückhaben will
+const READ_ONLY_FIELDS = ['id', 'organizationId', 'createdDate', 'updatedDate', 'archived'];
+
+function num(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  const n = Number(String(v).trim().replace(',', '.'));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function str(v) {
+  return String(v ?? '').trim();
+}
+
+function round2(n) {
+  return Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+}
+
+function flatten(a) {
+  return {
+    articleNumber: a?.articleNumber || '',
+    title: a?.title || '',
+    description: a?.description || '',
+    type: a?.type || '',
+    unitName: a?.unitName || '',
+    netPrice: a?.price?.netPrice ?? null,
+    grossPrice: a?.price?.grossPrice ?? null,
+    leadingPrice: a?.price?.leadingPrice || '',
+    taxRate: a?.price?.taxRate ?? null
+  };
+}
+
+function diff(before, after) {
+  return Object.keys(after)
+    .filter(field => {
+      const x = before[field];
+      const y = after[field];
+      if (typeof y === 'number') return x === null || Math.abs(Number(x) - y) >= 0.005; // Lexware speichert bis 4 Nachkommastellen
+      return str(x) !== str(y);
+    })
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] }));
+}
+
+// rows = Zeilen des Artikel-Sheets, existing = kompletter Artikelstamm aus Lexware
+// → { items: [{ row, action, id, version, articleNumber, title, changes, article }], errors, warnings }
+function planArticleImport(rows, existing, { sheet = 'Artikel', firstRow = 2 } = {}) {
+  const errors = [];
+  const warnings = [];
+  const items = [];
+  const seenNumbers = new Map();
+  // Dubletten aus dem Paging: erster Eintrag gilt (wie buildArticleIndex)
+  const byId = new Map();
+  for (const a of (existing || [])) if (a?.id && !byId.has(a.id)) byId.set(a.id, a);
+  const articles = [...byId.values()];
+
+  (rows || []).forEach((r, i) => {
+    const row = i + firstRow;
+    if (!Object.values(r || {}).some(v => str(v) !== '')) return;
+
+    const rowErrors = [];
+    const err = (field, message) => rowErrors.push({ sheet, row, field, message });
+
+    const articleNumber = str(r.articleNumber);
+    const id = str(r.id);
+    if (!articleNumber) err('articleNumber', 'articleNumber fehlt (Abgleich mit Lexware läuft über die Artikelnummer).');
+    else if (seenNumbers.has(articleNumber)) err('articleNumber', `articleNumber "${articleNumber}" steht schon in Zeile ${seenNumbers.get(articleNumber)}.`);
+    else seenNumbers.set(articleNumber, row);
+
+    // Ziel in Lexware bestimmen
+    const sameNumber = articleNumber ? articles.filter(a => str(a.articleNumber) === articleNumber) : [];
+    let target = null;
+    if (sameNumber.length > 1) {
+      err('articleNumber', `articleNumber "${articleNumber}" gibt es in Lexware ${sameNumber.length}× (${sameNumber.map(a => a.id).join(', ')}) – bitte dort bereinigen.`);
+    } else if (sameNumber.length === 1) {
+      target = sameNumber[0];
+      if (id && id !== target.id) err('id', `id ${id} gehört nicht zum Artikel mit articleNumber "${articleNumber}" (${target.id}).`);
+    } else if (id) {
+      target = byId.get(id) || null;
+      if (!target) err('id', `Artikel ${id} gibt es in Lexware nicht – für eine Neuanlage id leer lassen.`);
+    }
+
+    const version = num(r.version);
+    if (Number.isNaN(version)) err('version', `version "${r.version}" ist keine Zahl.`);
+    else if (target && version !== null && version !== target.version) {
+      err('version', `Artikel "${articleNumber}" wurde in Lexware zwischenzeitlich geändert (Version ${target.version}, Datei ${version}) – Template neu laden.`);
+    }
+    if (target?.archived) warnings.push({ sheet, row, field: 'archived', message: `Artikel "${articleNumber}" ist in Lexware archiviert.` });
+
+    const before = flatten(target);
+    const title = str(r.title) || before.title;
+    if (!title) err('title', 'title fehlt.');
+
+    const typeInput = str(r.type);
+    const type = typeInput ? ARTICLE_TYPES[typeInput.toLowerCase()] : (before.type || 'PRODUCT');
+    if (!type) err('type', `type "${typeInput}" ist ungültig (PRODUCT, SERVICE).`);
+
+    const leadingPrice = (str(r.leadingPrice) || before.leadingPrice || 'NET').toUpperCase();
+    if (!LEADING_PRICES.includes(leadingPrice)) err('leadingPrice', `leadingPrice "${r.leadingPrice}" ist ungültig (NET, GROSS).`);
+
+    const taxRate = num(r.taxRate) ?? before.taxRate ?? 19;
+    if (!TAX_RATES.includes(taxRate)) err('taxRate', `taxRate "${r.taxRate}" ist ungültig (${TAX_RATES.join(', ')}).`);
+
+    const leadField = leadingPrice === 'GROSS' ? 'grossPrice' : 'netPrice';
+    const otherField = leadingPrice === 'GROSS' ? 'netPrice' : 'grossPrice';
+    const lead = num(r[leadField]) ?? before[leadField];
+    const other = num(r[otherField]);
+    if (lead === null) err(leadField, `${leadField} fehlt (leadingPrice ${leadingPrice}).`);
+    else if (Number.isNaN(lead) || lead < 0) err(leadField, `${leadField} "${r[leadField]}" ist kein gültiger Preis.`);
+    if (Number.isNaN(other)) err(otherField, `${otherField} "${r[otherField]}" ist keine Zahl.`);
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const computed = leadingPrice === 'GROSS' ? round2(lead * 100 / (100 + taxRate)) : round2(lead * (100 + taxRate) / 100);
+    if (other !== null && Math.abs(other - computed) > 0.01) {
+      warnings.push({ sheet, row, field: otherField, message: `${otherField} ${other} passt nicht zu ${leadField} ${lead} bei ${taxRate} % → ${computed} wird verwendet.` });
+    }
+
+    const after = {
+      articleNumber,
+      title,
+      ...(str(r.description) || before.description ? { description: str(r.description) || before.description } : {}),
+      type,
+      unitName: str(r.unitName) || before.unitName || DEFAULT_UNIT,
+      netPrice: leadingPrice === 'GROSS' ? computed : lead,
+      grossPrice: leadingPrice === 'GROSS' ? lead : computed,
+      leadingPrice,
+      taxRate
+    };
+
+    const changes = target ? diff(before, after) : [];
+    const action = !target ? 'create' : (changes.length ? 'update' : 'unchanged');
+
+    const base = target ? Object.fromEntries(Object.entries(target).filter(([k]) => !READ_ONLY_FIELDS.includes(k))) : {};
+    const article = {
+      ...base,
+      articleNumber,
+      title,
+      type,
+      unitName: after.unitName,
+      price: { netPrice: after.netPrice, grossPrice: after.grossPrice, leadingPrice, taxRate }
+    };
+    if (after.description) article.description = after.description;
+
+    items.push({
+      row,
+      action,
+      id: target?.id || null,
+      version: target?.version ?? null,
+      articleNumber,
+      title,
+      changes,
+      article
+    });
+  });
+
+  return { items, errors, warnings };
+}
+
+module.exports = { ARTICLE_SHEET_NAMES, planArticleImport };
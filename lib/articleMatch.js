@@ -0,0 +1,111 @@
+'use strict';
+
+// Unscharfe Suche von Artikeltiteln im Lexware-Artikelstamm.
+// Score 0…1:
+// - 1.0  gleich nach Normalisierung (Groß/klein, Umlaute, Akzente, Bindestriche/Satzzeichen, Leerzeichen)
+// - 0.97 gleiche Wörter in anderer Reihenfolge
+// - sonst das Maximum aus Editierabstand (ohne Leerzeichen, gewichtet mit dem Wortvergleich)
+//   und Wort-für-Wort-Vergleich
+// Automatisch übernommen wird ein einzelner exakter Treffer (Varianten wie "… XL" stören nicht)
+// oder der beste Treffer ab AUTO_MATCH_SCORE mit mindestens AUTO_MATCH_LEAD Vorsprung vor dem zweiten.
+
+const AUTO_MATCH_SCORE = 0.92;
+const AUTO_MATCH_LEAD = 0.04;
+const SUGGEST_MIN_SCORE = 0.5;
+const TOKEN_MIN_RATIO = 0.8;
+
+const REPLACEMENTS = [[/ä/g, 'ae'], [/ö/g, 'oe'], [/ü/g, 'ue'], [/ß/g, 'ss']];
+
+function normalizeTitle(v) {
+  let s = String(v || '').toLowerCase();
+  for (const [re, to] of REPLACEMENTS) s = s.replace(re, to);
+  return s
+    .replace(/[´`'’]/g, '') // Men´s → mens (vor NFKD, sonst wird ´ zu Leerzeichen + Akzent)
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '') // é → e, ó → o
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function ratio(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+// wie gut die Wörter von a in b vorkommen (je Wort der beste Treffer), gemittelt;
+// strict: Wörter unter TOKEN_MIN_RATIO zählen als fehlend (man ≠ woman)
+function coverage(a, b, strict) {
+  return a.reduce((sum, t) => {
+    const best = Math.max(...b.map(u => ratio(t, u)));
+    return sum + (strict && best < TOKEN_MIN_RATIO ? 0 : best);
+  }, 0) / a.length;
+}
+
+// Suchbegriff → Titel zählt mehr als umgekehrt (Titel haben oft Zusätze wie Farbe/Größe)
+function tokenScore(q, a, strict) {
+  return 0.7 * coverage(q, a, strict) + 0.3 * coverage(a, q, strict);
+}
+
+function keyOf(title) {
+  const norm = normalizeTitle(title);
+  const tokens = norm ? norm.split(' ') : [];
+  return { norm, compact: tokens.join(''), sorted: [...tokens].sort().join(' '), tokens };
+}
+
+function scoreKeys(q, a) {
+  if (!q.compact || !a.compact) return 0;
+  if (q.norm === a.norm || q.compact === a.compact) return 1;
+  if (q.sorted === a.sorted) return 0.97;
+  // Tippfehler/Zusammenschreibung über den Gesamtabstand, gedämpft durch den Wortvergleich
+  const typo = ratio(q.compact, a.compact) * tokenScore(q.tokens, a.tokens, false);
+  return Math.min(0.96, Math.max(typo, tokenScore(q.tokens, a.tokens, true)));
+}
+
+// articles = Lexware-Artikel; einmal pro Katalog bauen, dann je Position matchTitle()
+function buildArticleIndex(articles) {
+  const byId = new Map();
+  for (const a of (articles || [])) {
+    const id = String(a?.id || '').trim();
+    const title = String(a?.title || '').trim();
+    if (id && title && !byId.has(id)) byId.set(id, { id, title, articleNumber: a.articleNumber || null, key: keyOf(title) });
+  }
+  return [...byId.values()];
+}
+
+// → Kandidaten [{ id, title, articleNumber, score }] absteigend, ab SUGGEST_MIN_SCORE
+function matchTitle(index, title, { limit = 3 } = {}) {
+  const q = keyOf(title);
+  return index
+    .map(e => ({ id: e.id, title: e.title, articleNumber: e.articleNumber, score: Math.round(scoreKeys(q, e.key) * 100) / 100 }))
+    .filter(c => c.score >= SUGGEST_MIN_SCORE)
+    .sort((x, y) => y.score - x.score || x.title.localeCompare(y.title))
+    .slice(0, limit);
+}
+
+// Kandidaten aus matchTitle() → sicherer Treffer oder null (mehrere exakte Treffer = null)
+function pickAutoMatch(candidates) {
+  const exact = candidates.filter(c => c.score === 1);
+  if (exact.length) return exact.length === 1 ? exact[0] : null;
+
+  const [first, second] = candidates;
+  if (!first || first.score < AUTO_MATCH_SCORE) return null;
+  const lead = Math.round((first.score - (second?.score || 0)) * 100) / 100;
+  return lead >= AUTO_MATCH_LEAD ? first : null;
+}
+
+module.exports = { AUTO_MATCH_SCORE, AUTO_MATCH_LEAD, normalizeTitle, buildArticleIndex, matchTitle, pickAutoMatch };
@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Audit-Log aller Lexware-Aufrufe: eine JSON-Zeile je Aufruf, rotierend
+// (lexware-audit.log → .1.log → … → .<maxFiles-1>.log, die älteste fällt weg) – insgesamt maxFiles Dateien.
+// Secrets werden vor dem Schreiben entfernt, große Bodies gekürzt.
+
+const REDACTED = '[REDACTED]';
+// Schlüssel, deren Werte nie im Log landen (Header, Body-Felder, Query-Parameter)
+const SECRET_KEY_RE = /authorization|api[-_]?key|password|passwort|secret|token|cookie|signature/i;
+
+function redact(value, depth = 0) {
+  if (depth > 20) return '[…]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEY_RE.test(k) ? REDACTED : redact(v, depth + 1)]));
+  }
+  // Bearer-Token auch in freien Texten (z. B. Fehlermeldungen) entfernen
+  if (typeof value === 'string') return value.replace(/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`);
+  return value;
+}
+
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const key of [...u.searchParams.keys()]) {
+      if (SECRET_KEY_RE.test(key)) u.searchParams.set(key, REDACTED);
+    }
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+// Body fürs Log: Binärdaten nur mit Größe, lange Texte gekürzt
+function bodyForLog(body, maxChars) {
+  if (body === undefined || body === null || body === '') return null;
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) return `[binär, ${body.byteLength} Bytes]`;
+  const clean = redact(body);
+  const text = typeof clean === 'string' ? clean : JSON.stringify(clean);
+  if (text.length <= maxChars) return clean;
+  return { truncated: true, length: text.length, preview: text.slice(0, maxChars) };
+}
+
+// "422" = genau dieser Status, "4xx" = Klasse, "error" = alles außer 2xx
+function matchesStatus(entryStatus, filter) {
+  const f = String(filter || '').trim().toLowerCase();
+  if (!f) return true;
+  if (f === 'error') return !(entryStatus >= 200 && entryStatus < 300);
+  if (/^[1-5]xx$/.test(f)) return Math.floor(entryStatus / 100) === Number(f[0]);
+  return String(entryStatus) === f;
+}
+
+class AuditLog {
+  constructor({ dir, fileName = 'lexware-audit.log', maxBytes = 5 * 1024 * 1024, maxFiles = 5, maxBodyChars = 16000 }) {
+    this.dir = dir;
+    this.file = path.join(dir, fileName);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.maxBodyChars = maxBodyChars;
+    this.writing = Promise.resolve();
+  }
+
+  rotatedFile(n) {
+    const ext = path.extname(this.file);
+    return n === 0 ? this.file : `${this.file.slice(0, -ext.length)}.${n}${ext}`;
+  }
+
+  async _rotateIfNeeded(nextBytes) {
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(this.file)).size;
+    } catch {
+      return;
+    }
+    if (size + nextBytes <= this.maxBytes) return;
+
+    await fs.promises.rm(this.rotatedFile(this.maxFiles - 1), { force: true });
+    for (let n = this.maxFiles - 2; n >= 0; n--) {
+      await fs.promises.rename(this.rotatedFile(n), this.rotatedFile(n + 1)).catch(() => {});
+    }
+  }
+
+  // Schreibfehler werden geloggt, nicht geworfen – das Audit-Log darf keinen Lexware-Aufruf scheitern lassen
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await this._rotateIfNeeded(Buffer.byteLength(line));
+        await fs.promises.appendFile(this.file, line, 'utf8');
+      })
+      .catch(err => console.error(`Audit-Log ${this.file} konnte nicht geschrieben werden:`, err.message));
+    return this.writing;
+  }
+
+  // ein Eintrag aus den Rohdaten eines Aufrufs (Request-Body/Response-Body werden hier bereinigt)
+  entry({ request, response, ...fields }) {
+    return {
+      ...fields,
+      method: String(request.method || 'GET').toUpperCase(),
+      url: redactUrl(request.url),
+      requestHeaders: redact(request.headers || {}),
+      requestBody: bodyForLog(request.data, this.maxBodyChars),
+      status: response.status,
+      responseBody: bodyForLog(response.data, this.maxBodyChars)
+    };
+  }
+
+  // neueste zuerst; filter: { tenant, quotationId, from, to, status, limit }
+  async query({ tenant, quotationId, from, to, status, limit = 200 } = {}) {
+    await this.writing;
+    const entries = [];
+    for (let n = this.maxFiles - 1; n >= 0; n--) {
+      let text;
+      try {
+        text = await fs.promises.readFile(this.rotatedFile(n), 'utf8');
+      } catch {
+        continue;
+      }
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // abgeschnittene Zeile (Absturz beim Schreiben) überspringen
+        }
+      }
+    }
+
+    return entries
+      .filter(e => !tenant || e.tenant === tenant)
+      .filter(e => !quotationId || e.quotationId === quotationId)
+      .filter(e => !from || e.ts >= from)
+      .filter(e => !to || e.ts.slice(0, to.length) <= to)
+      .filter(e => matchesStatus(e.status, status))
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = { AuditLog, REDACTED, redact, redactUrl, matchesStatus };
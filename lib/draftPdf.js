@@ -0,0 +1,229 @@
+'use strict';
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const { calculateTotals } = require('./voucherTotals');
+
+// A4 in pt, Ränder in mm umgerechnet
+const MM = 72 / 25.4;
+const LEFT = 20 * MM;
+const RIGHT = 595.28 - 15 * MM;
+const WIDTH = RIGHT - LEFT;
+const FOOTER_TOP = 841.89 - 28 * MM;
+const GRAY = '#555555';
+
+// Positionstabelle: x-Start und Breite je Spalte
+const COLS = {
+  pos: { x: LEFT, w: 10 * MM },
+  name: { x: LEFT + 10 * MM, w: WIDTH - 104 * MM },
+  qty: { x: RIGHT - 94 * MM, w: 18 * MM },
+  unit: { x: RIGHT - 74 * MM, w: 20 * MM },
+  price: { x: RIGHT - 52 * MM, w: 24 * MM },
+  total: { x: RIGHT - 26 * MM, w: 26 * MM }
+};
+
+function loadCompanyProfile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function eur(n) {
+  return `${Number(n).toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €`;
+}
+
+function qty(n) {
+  return Number(n).toLocaleString('de-DE', { maximumFractionDigits: 3 });
+}
+
+function date(iso) {
+  if (!iso) return '–';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+function drawHeader(doc, company) {
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('black')
+    .text(company.name || '', LEFT, 15 * MM, { width: WIDTH, align: 'right' });
+  doc.font('Helvetica').fontSize(8.5).fillColor(GRAY)
+    .text([...(company.addressLines || []), ...(company.contactLines || [])].join('\n'), LEFT, doc.y + 2, { width: WIDTH, align: 'right' });
+}
+
+function drawAddress(doc, company, address) {
+  const top = 50 * MM;
+  if (company.senderLine) {
+    doc.font('Helvetica').fontSize(7).fillColor(GRAY).text(company.senderLine, LEFT, top - 5 * MM, { width: 85 * MM, underline: true });
+  }
+
+  const a = address || {};
+  const lines = [
+    a.name,
+    a.supplement,
+    a.contactPerson,
+    a.street,
+    [a.zip, a.city].filter(Boolean).join(' '),
+    a.countryCode && a.countryCode !== 'DE' ? a.countryCode : null
+  ].filter(Boolean);
+  doc.font('Helvetica').fontSize(10).fillColor('black').text(lines.join('\n'), LEFT, top, { width: 85 * MM });
+}
+
+function drawMeta(doc, rows) {
+  const x = RIGHT - 65 * MM;
+  let y = 50 * MM;
+  doc.fontSize(9);
+  for (const [label, value] of rows) {
+    doc.font('Helvetica').fillColor(GRAY).text(label, x, y, { width: 30 * MM });
+    doc.font('Helvetica').fillColor('black').text(value, x + 30 * MM, y, { width: 35 * MM, align: 'right' });
+    y += 13;
+  }
+}
+
+function drawTableHeader(doc) {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('black');
+  doc.text('Pos.', COLS.pos.x, y, { width: COLS.pos.w });
+  doc.text('Bezeichnung', COLS.name.x, y, { width: COLS.name.w });
+  doc.text('Menge', COLS.qty.x, y, { width: COLS.qty.w, align: 'right' });
+  doc.text('Einheit', COLS.unit.x + 2 * MM, y, { width: COLS.unit.w - 2 * MM });
+  doc.text('Einzelpreis', COLS.price.x, y, { width: COLS.price.w, align: 'right' });
+  doc.text('Gesamt', COLS.total.x, y, { width: COLS.total.w, align: 'right' });
+  const bottom = y + 13;
+  doc.moveTo(LEFT, bottom).lineTo(RIGHT, bottom).lineWidth(0.6).strokeColor('black').stroke();
+  doc.y = bottom + 5;
+}
+
+function ensureSpace(doc, height, withTableHeader) {
+  if (doc.y + height <= FOOTER_TOP - 8) return;
+  doc.addPage();
+  doc.y = 20 * MM;
+  if (withTableHeader) drawTableHeader(doc);
+}
+
+function lineText(line) {
+  const parts = [line.description];
+  if (line.discountPercentage) parts.push(`abzgl. ${qty(line.discountPercentage)} % Rabatt (${eur(line.discountAmount)})`);
+  return parts.filter(Boolean).join('\n');
+}
+
+function drawLines(doc, totals) {
+  let pos = 0;
+  for (const line of totals.lines) {
+    const detail = lineText(line);
+    doc.fontSize(9);
+    const height =
+      doc.font('Helvetica-Bold').heightOfString(line.name || '', { width: COLS.name.w }) +
+      (detail ? doc.font('Helvetica').heightOfString(detail, { width: COLS.name.w }) + 2 : 0);
+    ensureSpace(doc, height + 6, true);
+
+    const y = doc.y;
+    const isText = line.lineItemAmount == null;
+    if (!isText) {
+      pos++;
+      doc.font('Helvetica').fillColor('black');
+      doc.text(String(pos), COLS.pos.x, y, { width: COLS.pos.w });
+      doc.text(qty(line.quantity), COLS.qty.x, y, { width: COLS.qty.w, align: 'right' });
+      doc.text(line.unitName || '', COLS.unit.x + 2 * MM, y, { width: COLS.unit.w - 2 * MM });
+      doc.text(eur(line.unitAmount), COLS.price.x, y, { width: COLS.price.w, align: 'right' });
+      doc.text(eur(line.lineItemAmount), COLS.total.x, y, { width: COLS.total.w, align: 'right' });
+    }
+
+    doc.font('Helvetica-Bold').fillColor('black').text(line.name || '', COLS.name.x, y, { width: COLS.name.w });
+    if (detail) doc.font('Helvetica').fillColor(GRAY).text(detail, COLS.name.x, doc.y + 2, { width: COLS.name.w });
+
+    doc.y = y + height + 6;
+  }
+}
+
+function drawTotals(doc, totals) {
+  const rows = [['Gesamtbetrag netto', eur(totals.totalNetAmount), false]];
+  for (const t of totals.taxAmounts) {
+    const label = totals.taxType === 'gross' ? `enthaltene USt ${qty(t.taxRatePercentage)} %` : `zzgl. USt ${qty(t.taxRatePercentage)} % auf ${eur(t.netAmount)}`;
+    rows.push([label, eur(t.taxAmount), false]);
+  }
+  rows.push(['Gesamtbetrag brutto', eur(totals.totalGrossAmount), true]);
+
+  ensureSpace(doc, rows.length * 14 + 12, false);
+  const x = RIGHT - 90 * MM;
+  doc.moveTo(x, doc.y).lineTo(RIGHT, doc.y).lineWidth(0.6).strokeColor('black').stroke();
+  let y = doc.y + 5;
+  for (const [label, value, bold] of rows) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9.5).fillColor('black');
+    doc.text(label, x, y, { width: 60 * MM });
+    doc.text(value, RIGHT - 30 * MM, y, { width: 30 * MM, align: 'right' });
+    y += 14;
+  }
+  doc.y = y + 8;
+}
+
+function drawParagraph(doc, text) {
+  if (!text) return;
+  doc.font('Helvetica').fontSize(9.5).fillColor('black');
+  ensureSpace(doc, doc.heightOfString(text, { width: WIDTH }) + 8, false);
+  doc.text(text, LEFT, doc.y, { width: WIDTH });
+  doc.y += 8;
+}
+
+// Fußzeile, Seitenzahl und Wasserzeichen erst zum Schluss auf alle Seiten (bufferPages)
+function decoratePages(doc, company, watermark) {
+  const range = doc.bufferedPageRange();
+  const footer = company.footer || [];
+  const colW = footer.length ? WIDTH / footer.length : WIDTH;
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0; // sonst bricht pdfkit beim Schreiben in den Rand um
+
+    doc.moveTo(LEFT, FOOTER_TOP).lineTo(RIGHT, FOOTER_TOP).lineWidth(0.4).strokeColor(GRAY).stroke();
+    doc.font('Helvetica').fontSize(7).fillColor(GRAY);
+    footer.forEach((col, c) => doc.text([].concat(col).join('\n'), LEFT + c * colW, FOOTER_TOP + 4, { width: colW - 4 }));
+    doc.text(`Seite ${i - range.start + 1} von ${range.count}`, LEFT, FOOTER_TOP - 10, { width: WIDTH, align: 'right' });
+
+    if (watermark) {
+      doc.save();
+      doc.rotate(-40, { origin: [595.28 / 2, 841.89 / 2] });
+      doc.font('Helvetica-Bold').fontSize(110).fillColor('#d11d1d').fillOpacity(0.12)
+        .text(watermark, 595.28 / 2 - 450, 841.89 / 2 - 60, { width: 900, align: 'center', lineBreak: false });
+      doc.restore();
+    }
+  }
+}
+
+// payload = Lexware-Angebotsobjekt (generiert oder per GET geladen)
+function renderQuotationPdf(payload, { company = {}, voucherNumber = null, watermark = 'ENTWURF' } = {}) {
+  const totals = calculateTotals(payload);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margins: { top: 20 * MM, bottom: 20 * MM, left: LEFT, right: 15 * MM }, bufferPages: true });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.info.Title = `${payload.title || 'Angebot'} (${watermark || 'Entwurf'})`;
+    doc.info.Author = company.name || '';
+
+    drawHeader(doc, company);
+    drawAddress(doc, company, payload.address);
+    drawMeta(doc, [
+      ['Angebotsnr.', voucherNumber || watermark || '–'],
+      ['Angebotsdatum', date(payload.voucherDate)],
+      ['Gültig bis', date(payload.expirationDate)]
+    ]);
+
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('black').text(payload.title || 'Angebot', LEFT, 100 * MM, { width: WIDTH });
+    doc.y += 6;
+    drawParagraph(doc, payload.introduction);
+
+    drawTableHeader(doc);
+    drawLines(doc, totals);
+    drawTotals(doc, totals);
+
+    drawParagraph(doc, payload.paymentConditions?.paymentTermLabel);
+    drawParagraph(doc, payload.remark);
+
+    decoratePages(doc, company, watermark);
+    doc.end();
+  });
+}
+
+module.exports = { loadCompanyProfile, renderQuotationPdf };
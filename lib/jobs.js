@@ -0,0 +1,100 @@
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Der laufende Job hängt am async-Kontext → reportProgress() funktioniert
+// überall im Call-Stack (Parser, Mapping, lexwareRequest), ohne Callback-Durchreichen.
+const jobContext = new AsyncLocalStorage();
+
+function reportProgress(stage, message) {
+  const job = jobContext.getStore();
+  if (job) job.progress(stage, message);
+}
+
+function currentJob() {
+  return jobContext.getStore() || null;
+}
+
+class Job {
+  constructor({ type, user, tenant }) {
+    this.id = crypto.randomUUID();
+    this.type = type;
+    this.user = user || null;
+    this.tenant = tenant || null;
+    this.status = 'running';
+    this.stage = 'queued';
+    this.events = [];
+    this.result = null;
+    this.files = {};
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+  }
+
+  // stage leer = aktuelle Stage beibehalten (z. B. Rate-Limit-Hinweise)
+  progress(stage, message) {
+    const event = { ts: new Date().toISOString(), stage: stage || this.stage, message };
+    this.stage = event.stage;
+    this.updatedAt = event.ts;
+    this.events.push(event);
+    this.emitter.emit('progress', event);
+  }
+
+  finish(result) {
+    this.status = result?.ok ? 'done' : 'failed';
+    this.result = result;
+    this.updatedAt = new Date().toISOString();
+    this.emitter.emit('done', this.toJSON());
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      user: this.user,
+      tenant: this.tenant,
+      status: this.status,
+      stage: this.stage,
+      events: this.events,
+      result: this.result,
+      files: Object.keys(this.files),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+class JobRegistry {
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // work() läuft im Hintergrund; Exceptions werden über onError in ein Ergebnis übersetzt
+  start({ type, user, tenant }, work, onError) {
+    const job = new Job({ type, user, tenant });
+    this.jobs.set(job.id, job);
+
+    jobContext.run(job, async () => {
+      let result;
+      try {
+        result = await work(job);
+      } catch (err) {
+        result = onError(err, job);
+      }
+      job.finish(result);
+      setTimeout(() => this.jobs.delete(job.id), this.ttlMs).unref();
+    });
+
+    return job;
+  }
+}
+
+module.exports = { JobRegistry, reportProgress, currentJob };
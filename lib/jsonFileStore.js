@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Kleiner persistenter Store: Daten liegen im Speicher, jede Änderung wird
+// atomar (tmp + rename) und seriell auf die Platte geschrieben.
+class JsonFileStore {
+  constructor(filePath, initial) {
+    this.filePath = filePath;
+    this.data = initial;
+    this.writing = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      if (raw.trim()) this.data = JSON.parse(raw);
+    } catch (err) {
+      console.error(`Store ${this.filePath} konnte nicht gelesen werden:`, err.message);
+    }
+  }
+
+  async _persist() {
+    const dir = path.dirname(this.filePath);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(this.data, null, 2), 'utf8');
+    await fs.promises.rename(tmp, this.filePath);
+  }
+
+  // fn verändert this.data synchron; Schreibfehler werden geloggt, nicht geworfen
+  update(fn) {
+    const result = fn(this.data);
+    this.writing = this.writing
+      .then(() => this._persist())
+      .catch(err => console.error(`Store ${this.filePath} konnte nicht geschrieben werden:`, err.message));
+    return this.writing.then(() => result);
+  }
+}
+
+module.exports = { JsonFileStore };
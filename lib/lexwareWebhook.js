@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Lexware Event-Subscriptions (Webhooks)
+// - Lexware signiert den unveränderten Body mit SHA512withRSA, Signatur base64 im Header X-Lxo-Signature
+// - Payload: { organizationId, eventType, resourceId, eventDate } – den aktuellen Stand holt man danach per API
+// - Zustellung wird bei Nicht-2xx wiederholt → doppelte Events über eventKey() erkennen
+
+const SIGNATURE_HEADER = 'x-lxo-signature';
+
+const DEFAULT_EVENT_TYPES = [
+  'quotation.created',
+  'quotation.changed',
+  'quotation.status.changed',
+  'quotation.deleted',
+  'article.created',
+  'article.changed',
+  'article.deleted'
+];
+
+// PEM direkt (ENV, \n auch als "\\n" erlaubt) oder aus Datei; null = nicht konfiguriert
+function loadPublicKey({ pem, file } = {}) {
+  try {
+    const text = pem ? String(pem).replace(/\\n/g, '\n') : (file ? fs.readFileSync(file, 'utf8') : '');
+    return text.trim() ? crypto.createPublicKey(text) : null;
+  } catch (err) {
+    console.error('Webhook-Schlüssel konnte nicht gelesen werden:', err.message);
+    return null;
+  }
+}
+
+function verifySignature(rawBody, signature, publicKey) {
+  if (!rawBody || !signature || !publicKey) return false;
+  try {
+    return crypto.verify('sha512', rawBody, publicKey, Buffer.from(String(signature), 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+// → { event, error }
+function parseEvent(body) {
+  const eventType = String(body?.eventType || '').trim();
+  const resourceId = String(body?.resourceId || '').trim();
+  if (!/^[a-z-]+(\.[a-z-]+)+$/.test(eventType)) return { event: null, error: `eventType "${body?.eventType ?? ''}" ist ungültig.` };
+  if (!resourceId) return { event: null, error: 'resourceId fehlt.' };
+
+  return {
+    event: {
+      organizationId: body.organizationId || null,
+      eventType,
+      resource: eventType.split('.')[0], // quotation, article, contact, …
+      resourceId,
+      eventDate: body.eventDate || null
+    },
+    error: null
+  };
+}
+
+function eventKey(event) {
+  return `${event.eventType}|${event.resourceId}|${event.eventDate || ''}`;
+}
+
+module.exports = { SIGNATURE_HEADER, DEFAULT_EVENT_TYPES, loadPublicKey, verifySignature, parseEvent, eventKey };
@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+
+// Einkaufspreise und Marge je Position – nur intern, nie im Lexware-Payload.
+// Quellen je Position (Vorrang von oben nach unten), immer netto je Einheit:
+// 1. Spalte "Einkaufspreis" im Sheet Positionen
+// 2. Sheet "Einkaufspreise" (articleNumber | Einkaufspreis)
+// 3. lokale Tabelle (COST_TABLE_FILE bzw. costTableFile des Mandanten), Schlüssel articleNumber
+
+const MARGIN_CHECK_MODES = ['warn', 'error'];
+
+function num(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  const n = Number(String(v).trim().replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(n) {
+  return Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+}
+
+const isBlank = v => String(v ?? '').trim() === '';
+
+// Rohwert der Spalte (leer = keine Angabe); Zahl wird mit num() geprüft
+function purchasePriceCell(row) {
+  return row?.Einkaufspreis ?? row?.einkaufspreis ?? row?.purchasePrice ?? '';
+}
+
+// Zeilen aus Sheet "Einkaufspreise" oder der JSON-Datei → { costs: Map(articleNumber klein → Preis), errors }
+function normalizeCostRows(rows, { firstRow = 2 } = {}) {
+  const costs = new Map();
+  const errors = [];
+
+  (rows || []).forEach((r, i) => {
+    const row = i + firstRow;
+    if (Object.values(r || {}).every(isBlank)) return;
+
+    const articleNumber = String(r.articleNumber ?? r.Artikelnummer ?? '').trim();
+    const price = num(purchasePriceCell(r));
+    if (!articleNumber) {
+      errors.push({ row, field: 'articleNumber', message: 'articleNumber ist Pflicht.' });
+      return;
+    }
+    if (price === null || price < 0) {
+      errors.push({ row, field: 'Einkaufspreis', message: `Einkaufspreis für "${articleNumber}" fehlt oder ist ungültig.` });
+      return;
+    }
+    const key = articleNumber.toLowerCase();
+    if (costs.has(key)) {
+      errors.push({ row, field: 'articleNumber', message: `articleNumber "${articleNumber}" ist doppelt.` });
+      return;
+    }
+    costs.set(key, price);
+  });
+
+  return { costs, errors };
+}
+
+// [{ articleNumber, purchasePrice }], { costs: [...] } oder { "SH-100": 3.2, … } → Zeilen für normalizeCostRows
+function loadCostTableFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.costs)) return parsed.costs;
+  return Object.entries(parsed || {})
+    .filter(([k]) => !k.startsWith('_'))
+    .map(([articleNumber, purchasePrice]) => ({ articleNumber, purchasePrice }));
+}
+
+// Nettoerlös einer Position nach Rabatt (auch bei taxType gross, Marge ist immer netto)
+function lineNetRevenue(item) {
+  const discount = Number(item.discountPercentage || 0);
+  return round2(item.quantity * Number(item.unitPrice?.netAmount || 0) * (1 - discount / 100));
+}
+
+function marginPercent(revenue, cost) {
+  return revenue > 0 ? round2(((revenue - cost) / revenue) * 100) : null;
+}
+
+function belowMinimum(revenue, cost, minMarginPercent) {
+  const p = marginPercent(revenue, cost);
+  return p === null ? cost > 0 : p < minMarginPercent;
+}
+
+// lines: [{ row, name, quantity, revenue, unitCost|null, costSource }]
+// → Positionen mit Marge, Gesamtmarge über alle Positionen mit Einkaufspreis, Rest ohne Einkaufspreis
+function summarizeMargins(lines, { minMarginPercent = 0 } = {}) {
+  const out = lines.map(l => {
+    if (l.unitCost === null) return { ...l, cost: null, margin: null, marginPercent: null, belowMinimum: false };
+    const cost = round2(l.unitCost * l.quantity);
+    return {
+      ...l,
+      cost,
+      margin: round2(l.revenue - cost),
+      marginPercent: marginPercent(l.revenue, cost),
+      belowMinimum: belowMinimum(l.revenue, cost, minMarginPercent)
+    };
+  });
+
+  const withCost = out.filter(l => l.cost !== null);
+  const revenue = round2(withCost.reduce((s, l) => s + l.revenue, 0));
+  const cost = round2(withCost.reduce((s, l) => s + l.cost, 0));
+
+  return {
+    minMarginPercent,
+    lines: out,
+    total: {
+      revenue,
+      cost,
+      margin: round2(revenue - cost),
+      marginPercent: marginPercent(revenue, cost),
+      belowMinimum: withCost.length > 0 && belowMinimum(revenue, cost, minMarginPercent)
+    },
+    linesWithoutCost: out.length - withCost.length,
+    revenueWithoutCost: round2(out.filter(l => l.cost === null).reduce((s, l) => s + l.revenue, 0))
+  };
+}
+
+module.exports = {
+  MARGIN_CHECK_MODES,
+  purchasePriceCell,
+  normalizeCostRows,
+  loadCostTableFile,
+  lineNetRevenue,
+  summarizeMargins
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+// Prometheus-Metriken ohne Zusatzpaket: Counter, Gauge und Histogramm mit Labels,
+// Ausgabe im Text-Format (GET /metrics). Gauges können ihren Wert erst beim Abruf
+// über collect() ermitteln (z. B. aktuelle Länge der Warteschlange).
+
+// Sekunden; Lexware antwortet meist unter 1 s, Artikel-Paging und 429-Wartezeiten dauern länger
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(v) {
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    if (!NAME_RE.test(name)) throw new Error(`Ungültiger Metrikname "${name}".`);
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Label-Schlüssel → { labels, … }
+  }
+
+  // nur die deklarierten Labels, in fester Reihenfolge
+  _labels(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(n => [n, labels[n] ?? '']));
+  }
+
+  _entry(labels, init) {
+    const clean = this._labels(labels);
+    const key = JSON.stringify(Object.values(clean));
+    if (!this.values.has(key)) this.values.set(key, { labels: clean, ...init() });
+    return this.values.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(opts) {
+    super(opts, 'counter');
+  }
+
+  inc(labels, by = 1) {
+    this._entry(labels, () => ({ value: 0 })).value += by;
+  }
+
+  get(labels) {
+    return this.values.get(JSON.stringify(Object.values(this._labels(labels))))?.value || 0;
+  }
+
+  lines() {
+    return [...this.values.values()].map(e => `${this.name}${labelString(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  // collect() → [{ labels, value }] ersetzt beim Abruf alle gesetzten Werte
+  constructor({ collect, ...opts }) {
+    super(opts, 'gauge');
+    this.collect = collect || null;
+  }
+
+  set(labels, value) {
+    this._entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.values = new Map();
+      for (const { labels, value } of this.collect()) this.set(labels, value);
+    }
+    return [...this.values.values()].map(e => `${this.name}${labelString(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...opts }) {
+    super(opts, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const e = this._entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) e.counts[i]++;
+    });
+    e.sum += value;
+    e.count++;
+  }
+
+  lines() {
+    const out = [];
+    for (const e of this.values.values()) {
+      this.buckets.forEach((le, i) => out.push(`${this.name}_bucket${labelString({ ...e.labels, le: formatValue(le) })} ${e.counts[i]}`));
+      out.push(`${this.name}_bucket${labelString({ ...e.labels, le: '+Inf' })} ${e.count}`);
+      out.push(`${this.name}_sum${labelString(e.labels)} ${formatValue(Math.round(e.sum * 1e6) / 1e6)}`);
+      out.push(`${this.name}_count${labelString(e.labels)} ${e.count}`);
+    }
+    return out;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  _add(metric) {
+    if (this.metrics.some(m => m.name === metric.name)) throw new Error(`Metrik "${metric.name}" ist schon registriert.`);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(opts) {
+    return this._add(new Counter(opts));
+  }
+
+  gauge(opts) {
+    return this._add(new Gauge(opts));
+  }
+
+  histogram(opts) {
+    return this._add(new Histogram(opts));
+  }
+
+  // Text-Format 0.0.4 (Content-Type: text/plain; version=0.0.4)
+  render() {
+    return this.metrics.flatMap(m => [...m.header(), ...m.lines()]).join('\n') + '\n';
+  }
+}
+
+module.exports = { DEFAULT_BUCKETS, MetricsRegistry };
@@ -0,0 +1,181 @@
+'use strict';
+
+const XLSX = require('xlsx');
+
+const { ARTICLE_SHEET_NAMES } = require('./articleImport');
+
+// Angebotsdatei (base64) → XLSX-Workbook mit den Sheets Angebot / Kunde / Positionen
+// (optional Konfiguration, Preisregeln, Einkaufspreise; Artikel bzw. Artikel-Lookup für den
+// Artikel-Import). Danach läuft alles wie bei einer .xlsx.
+//
+// - xlsx / xls / ods: direkt über SheetJS
+// - csv: ein Abschnitt je Sheet, eingeleitet durch eine Zeile "[Angebot]", "[Kunde]", "[Positionen]" …,
+//   darunter Kopfzeile + Zeilen wie im Sheet. Trennzeichen ; , oder Tab; bei ; und Tab Dezimalkomma erlaubt.
+// - json: { "angebot": {…}, "kunde": {…}, "positionen": [{…}], "konfiguration": {…}, "preisregeln": [{…}],
+//   "einkaufspreise": [{…}] }
+//   Objekt → Feld/Wert-Sheet, Array → Tabelle (z. B. kunde als Array mit Spalte offer für Batch).
+//   Schlüssel mit _ oder $ am Anfang werden ignoriert (Kommentare, $schema).
+
+const SHEET_NAMES = ['Angebot', 'Kunde', 'Positionen', 'Konfiguration', 'Preisregeln', 'Einkaufspreise', ...ARTICLE_SHEET_NAMES];
+const DECIMAL_COMMA = /^-?(\d{1,3}(\.\d{3})+|\d+),\d+$/;
+
+function sheetName(key) {
+  return SHEET_NAMES.find(n => n.toLowerCase() === String(key).trim().toLowerCase()) || null;
+}
+
+function decodeText(buf) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch {
+    text = buf.toString('latin1'); // CSV aus Excel unter Windows (ANSI)
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+// Anhand des Inhalts, nicht des Dateinamens – base64 kommt oft ohne Namen
+function detectFormat(buf) {
+  if (buf.length >= 4 && buf[0] === 0x50 && buf[1] === 0x4b) {
+    // beides ZIP; Dateinamen stehen unkomprimiert im Verzeichnis
+    return !buf.includes('[Content_Types].xml') && buf.includes('content.xml') ? 'ods' : 'xlsx';
+  }
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0xd0cf11e0) return 'xls';
+  return buf.toString('latin1', 0, 256).replace(/^\u00EF\u00BB\u00BF/, '').trimStart().startsWith('{') ? 'json' : 'csv';
+}
+
+// ------------------------------------------------------------
+// CSV
+// ------------------------------------------------------------
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  return [';', '\t', ','].reduce((best, d) => (sample.split(d).length > sample.split(best).length ? d : best));
+}
+
+// RFC 4180: Felder in "…" dürfen Trennzeichen, Zeilenumbrüche und "" enthalten
+function parseCsv(input, delimiter) {
+  const text = input.replace(/\r\n?/g, '\n');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') cell += c;
+      else if (text[i + 1] === '"') cell += text[++i];
+      else quoted = false;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+function csvToWorkbook(text) {
+  const delimiter = detectDelimiter(text);
+  const decimalComma = delimiter !== ',';
+  const sections = new Map();
+  const errors = [];
+  let current = null; // null = noch kein Abschnitt, false = unbekannter Abschnitt (Zeilen überspringen)
+  let orphanReported = false;
+
+  parseCsv(text, delimiter).forEach((cells, i) => {
+    const values = cells.map(c => {
+      const v = c.trim();
+      return decimalComma && DECIMAL_COMMA.test(v) ? v.replace(/\./g, '').replace(',', '.') : v;
+    });
+    if (values.every(v => v === '')) return;
+
+    const m = /^\[(.+)\]$/.exec(values[0]);
+    if (m && values.slice(1).every(v => v === '')) {
+      current = sheetName(m[1]) || false;
+      if (!current) {
+        errors.push({ sheet: 'CSV', row: i + 1, message: `Unbekannter Abschnitt "[${m[1]}]" (${SHEET_NAMES.map(n => `[${n}]`).join(', ')}).` });
+      } else if (sections.has(current)) {
+        errors.push({ sheet: 'CSV', row: i + 1, message: `Abschnitt [${current}] ist doppelt.` });
+        current = false;
+      } else {
+        sections.set(current, []);
+      }
+      return;
+    }
+
+    if (current === null && !orphanReported) {
+      errors.push({ sheet: 'CSV', row: i + 1, message: 'Zeile vor dem ersten Abschnitt – die Datei muss mit [Angebot], [Kunde] oder [Positionen] beginnen.' });
+      orphanReported = true;
+    }
+    if (current) sections.get(current).push(values);
+  });
+
+  const wb = XLSX.utils.book_new();
+  for (const [name, rows] of sections) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+  return { wb, errors };
+}
+
+// ------------------------------------------------------------
+// JSON
+// ------------------------------------------------------------
+function jsonCell(v) {
+  if (v === null || v === undefined) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : v;
+}
+
+function jsonToWorkbook(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { wb: null, errors: [{ sheet: 'JSON', message: `JSON ist ungültig: ${err.message}` }] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { wb: null, errors: [{ sheet: 'JSON', message: 'JSON muss ein Objekt mit angebot, kunde und positionen sein.' }] };
+  }
+
+  const wb = XLSX.utils.book_new();
+  const errors = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (/^[_$]/.test(key)) continue;
+
+    const name = sheetName(key);
+    if (!name) {
+      errors.push({ sheet: 'JSON', field: key, message: `Unbekannter Schlüssel "${key}" (${SHEET_NAMES.map(n => n.toLowerCase()).join(', ')}).` });
+      continue;
+    }
+
+    let rows;
+    if (Array.isArray(value)) {
+      rows = value.map(r => Object.fromEntries(Object.entries(r || {}).map(([k, v]) => [k, jsonCell(v)])));
+    } else if (value && typeof value === 'object') {
+      rows = Object.entries(value).map(([Feld, v]) => ({ Feld, Wert: jsonCell(v) }));
+    } else {
+      errors.push({ sheet: 'JSON', field: key, message: `${key} muss ein Objekt (Feld/Wert) oder eine Liste von Zeilen sein.` });
+      continue;
+    }
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name);
+  }
+  return { wb, errors };
+}
+
+// base64 → { format, wb, errors }; errors im Format {sheet,row,field,message}
+function readOfferWorkbook(base64) {
+  const buf = Buffer.from(base64, 'base64');
+  const format = detectFormat(buf);
+
+  if (format === 'json') return { format, ...jsonToWorkbook(decodeText(buf)) };
+  if (format === 'csv') return { format, ...csvToWorkbook(decodeText(buf)) };
+  return { format, wb: XLSX.read(buf, { type: 'buffer' }), errors: [] };
+}
+
+module.exports = { detectFormat, readOfferWorkbook };
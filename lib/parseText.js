@@ -7,7 +7,7 @@ const SIZE_RE =
   /\b(XXXS|XXS|XS|S|M|L|XL|XXL|XXXL|XXXXL|5XL|4XL|3XL|2XL|\d{2,3})\b/i;
 
 const MONEY_RE =
-  /(\d{1,4}(?:[.,]\d{1,2})?)\s?(€|eur)\b/i;
+  /(\d{1,4}(?:[.,]\d{1,2})?)\s?(€|eur\b)/i;
 
 const ARTNR_RE =
   /\b(?:art(?:ikel)?\.?\s?(?:nr\.?|no\.?|number)?|sku|ean|gtin|#)\s*[:=]?\s*([A-Z0-9][A-Z0-9\-_.\/]{2,})\b/i;
@@ -94,6 +94,7 @@ function extractPriceHint(line) {
 function stripNoiseForName(line) {
   let s = line;
   s = s.replace(MONEY_RE, '').trim();
+  s = s.replace(new RegExp(ARTNR_RE.source, 'ig'), '');
   s = s.replace(/\b(?:menge|qty|quantity|anzahl|art(?:ikel)?\.?\s?(?:nr\.?|no\.?|number)?|sku|ean|gtin)\b\s*[:=]?\s*/ig, '');
   s = s.replace(/[ ]{2,}/g, ' ').trim();
   return s;
@@ -101,13 +102,13 @@ function stripNoiseForName(line) {
 
 function parseLines(text) {
   const raw = String(text || '');
-  const lines = raw.split(/\r?\n/).map(cleanLine).filter(Boolean);
+  // Zeilennummer wie im Eingabetext (Leerzeilen mitgezählt) → Fehler/Warnungen zeigen auf die richtige Zeile
+  const lines = raw.split(/\r?\n/).map((l, i) => ({ text: cleanLine(l), line: i + 1 })).filter(l => l.text);
 
   const items = [];
   const warnings = [];
 
-  for (let idx = 0; idx < lines.length; idx++) {
-    const original = lines[idx];
+  for (const { text: original, line } of lines) {
 
     const tabParts = original.split('\t').map(s => s.trim()).filter(Boolean);
     let work = original;
@@ -118,12 +119,14 @@ function parseLines(text) {
 
     const articleId = extractArticleId(work);
     const articleNumber = extractArticleNumber(work);
-    const size = extractSize(work);
     const priceHint = extractPriceHint(work);
 
     const type = guessType(work);
     const { qty, unit, rest } = extractQtyAndUnit(work);
 
+    // Größe erst nach Abzug von Menge/ArtNr/Preis suchen, sonst wird "25x" oder "ABC-123" zur Größe
+    const size = extractSize(stripNoiseForName(rest || work));
+
     let name = stripNoiseForName(rest || work);
     name = name || original;
 
@@ -143,13 +146,15 @@ function parseLines(text) {
     }
 
     if ((type !== 'text') && (qty == null)) {
-      warnings.push({ line: idx + 1, message: `Keine Menge erkannt → als Hinweiszeile übernommen: "${original}"` });
+      warnings.push({ line, message: `Keine Menge erkannt → als Hinweiszeile übernommen: "${original}"` });
       items.push({
+        line,
         type: 'text',
         quantity: null,
         unitName: null,
         name: 'Hinweis',
         description: original,
+        unitPriceAmount: null,
         articleId: articleId || null,
         articleNumber: articleNumber || null
       });
@@ -157,11 +162,13 @@ function parseLines(text) {
     }
 
     items.push({
+      line,
       type,
       quantity: qty,
       unitName: type === 'text' ? null : (unit || 'Stk'),
       name,
       description,
+      unitPriceAmount: (type !== 'text' && priceHint != null) ? parseNumber(priceHint) : null,
       articleId: articleId || null,
       articleNumber: articleNumber || null
     });
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+
+const METHOD_ALIASES = {
+  dtf: 'dtf',
+  transfer: 'dtf',
+  sieb: 'siebdruck',
+  siebdruck: 'siebdruck',
+  screen: 'siebdruck',
+  screenprint: 'siebdruck',
+  stick: 'stick',
+  stickerei: 'stick',
+  embroidery: 'stick'
+};
+
+const SETUP_PER = ['order', 'position', 'color'];
+
+function num(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  const n = Number(String(v).trim().replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeMethod(v) {
+  const k = String(v || '').trim().toLowerCase().replace(/[\s\-_]+/g, '');
+  return METHOD_ALIASES[k] || null;
+}
+
+// Zeilen aus Sheet "Preisregeln" oder JSON-Datei → geprüfte Staffeln.
+// Jede Zeile ist eine Mengenstaffel: gilt ab minQty bis zur nächsten Staffel derselben Methode.
+function normalizeRules(rows, { firstRow = 2 } = {}) {
+  const rules = [];
+  const errors = [];
+
+  (rows || []).forEach((r, i) => {
+    const row = i + firstRow;
+    const hasAny = Object.values(r || {}).some(v => String(v ?? '').trim() !== '');
+    if (!hasAny) return;
+
+    const method = normalizeMethod(r.method);
+    if (!method) {
+      errors.push({ row, field: 'method', message: `method "${r.method}" ist unbekannt (dtf, siebdruck, stick).` });
+      return;
+    }
+
+    const minQty = num(r.minQty) ?? 1;
+    const basePrice = num(r.basePrice) ?? 0;
+    const perColor = num(r.perColor) ?? 0;
+    const per1000Stitches = num(r.per1000Stitches) ?? 0;
+    const setupPrice = num(r.setupPrice) ?? 0;
+    const setupPer = String(r.setupPer || 'order').trim().toLowerCase();
+
+    if (!(minQty >= 1)) {
+      errors.push({ row, field: 'minQty', message: 'minQty muss mindestens 1 sein.' });
+      return;
+    }
+    if ([basePrice, perColor, per1000Stitches, setupPrice].some(v => v < 0)) {
+      errors.push({ row, field: 'basePrice', message: 'Preise dürfen nicht negativ sein.' });
+      return;
+    }
+    if (!SETUP_PER.includes(setupPer)) {
+      errors.push({ row, field: 'setupPer', message: `setupPer "${r.setupPer}" ist ungültig (${SETUP_PER.join(', ')}).` });
+      return;
+    }
+
+    rules.push({
+      method,
+      minQty,
+      basePrice,
+      perColor,
+      per1000Stitches,
+      setupName: String(r.setupName || '').trim(),
+      setupPrice,
+      setupPer
+    });
+  });
+
+  rules.sort((a, b) => (a.method === b.method ? a.minQty - b.minQty : a.method.localeCompare(b.method)));
+  return { rules, errors };
+}
+
+function loadRulesFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(parsed) ? parsed : (parsed.rules || []);
+}
+
+// Netto-Stückpreis + Einrichtungskosten für eine Druckposition.
+// Stückpreis = Positionen × (basePrice + perColor × Farben + per1000Stitches × Stiche/1000)
+function calculatePrintPrice(rules, { method, quantity, colors, stitches, positions }) {
+  const m = normalizeMethod(method);
+  if (!m) return { ok: false, field: 'printMethod', message: `printMethod "${method}" ist unbekannt (dtf, siebdruck, stick).` };
+
+  const tiers = (rules || []).filter(r => r.method === m);
+  if (!tiers.length) return { ok: false, field: 'printMethod', message: `Keine Preisregeln für printMethod "${m}" hinterlegt.` };
+
+  const tier = tiers.filter(t => t.minQty <= quantity).pop();
+  if (!tier) {
+    return { ok: false, field: 'quantity', message: `Menge ${quantity} liegt unter der Mindestmenge ${tiers[0].minQty} für ${m}.` };
+  }
+
+  const pos = positions == null ? 1 : positions;
+  if (!(pos >= 1) || !Number.isInteger(pos)) {
+    return { ok: false, field: 'printPositions', message: 'printPositions muss eine ganze Zahl ≥ 1 sein.' };
+  }
+  if (tier.perColor > 0 || tier.setupPer === 'color') {
+    if (!(colors >= 1) || !Number.isInteger(colors)) {
+      return { ok: false, field: 'printColors', message: `printColors ist Pflicht bei ${m} (ganze Zahl ≥ 1).` };
+    }
+  }
+  if (tier.per1000Stitches > 0 && !(stitches > 0)) {
+    return { ok: false, field: 'printStitches', message: `printStitches ist Pflicht bei ${m}.` };
+  }
+
+  const perPosition =
+    tier.basePrice +
+    tier.perColor * (colors || 0) +
+    tier.per1000Stitches * ((stitches || 0) / 1000);
+
+  const setup = [];
+  if (tier.setupPrice > 0) {
+    const setupQty =
+      tier.setupPer === 'color' ? colors * pos :
+      tier.setupPer === 'position' ? pos :
+      1;
+    setup.push({
+      name: tier.setupName || `Einrichtung ${m}`,
+      quantity: setupQty,
+      unitNet: tier.setupPrice
+    });
+  }
+
+  return { ok: true, method: m, tier, unitNet: perPosition * pos, setup };
+}
+
+module.exports = { normalizeMethod, normalizeRules, loadRulesFile, calculatePrintPrice };
@@ -0,0 +1,87 @@
+'use strict';
+
+// Größen-Matrix im Sheet Positionen (qty_XS … qty_5XL) und Größenaufschlag aus dem Sheet Konfiguration.
+// 'split' = eine Position je Größe, 'combined' = je Preisstufe eine Position, Größen in der Beschreibung.
+
+const SIZE_COLUMNS = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL', '4XL', '5XL'];
+const SIZE_ALIASES = { XXL: '2XL', XXXL: '3XL', XXXXL: '4XL' };
+const SIZE_MODES = ['split', 'combined'];
+
+function numOrNull(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeSize(v) {
+  const s = String(v || '').trim().toUpperCase();
+  return SIZE_ALIASES[s] || s;
+}
+
+// [{ size, qty }] in Größenreihenfolge; leere Zellen werden ignoriert
+function getRowSizeQuantities(row) {
+  const bySize = new Map();
+  for (const [key, val] of Object.entries(row)) {
+    const m = /^qty_(.+)$/i.exec(String(key).trim());
+    if (!m) continue;
+    const size = normalizeSize(m[1]);
+    const q = numOrNull(val);
+    if (!SIZE_COLUMNS.includes(size) || q === null) continue;
+    bySize.set(size, (bySize.get(size) || 0) + q);
+  }
+  return SIZE_COLUMNS.filter(s => bySize.has(s)).map(size => ({ size, qty: bySize.get(size) }));
+}
+
+function readSizeConfig(config, errors, { defaultMode = 'split' } = {}) {
+  const c = config || {};
+
+  const mode = String(c.sizeMode || '').trim().toLowerCase() || defaultMode;
+  if (!SIZE_MODES.includes(mode)) {
+    errors.push({ sheet: 'Konfiguration', field: 'sizeMode', message: `sizeMode "${c.sizeMode}" ist ungültig (split oder combined).` });
+  }
+
+  const surcharge = numOrNull(c.sizeSurcharge) ?? 0;
+  if (surcharge < 0) {
+    errors.push({ sheet: 'Konfiguration', field: 'sizeSurcharge', message: 'sizeSurcharge darf nicht negativ sein.' });
+  }
+
+  const from = normalizeSize(c.sizeSurchargeFrom || '2XL');
+  const fromIndex = SIZE_COLUMNS.indexOf(from);
+  if (fromIndex < 0) {
+    errors.push({ sheet: 'Konfiguration', field: 'sizeSurchargeFrom', message: `sizeSurchargeFrom "${c.sizeSurchargeFrom}" ist keine bekannte Größe (${SIZE_COLUMNS.join(', ')}).` });
+  }
+
+  return { mode, surcharge, from, fromIndex };
+}
+
+// surchargedPrice = item.unitPrice plus Aufschlag (baut der Server, net/gross je nach taxType)
+function expandSizeLineItems(item, sizes, { mode, from, fromIndex }, surchargedPrice) {
+  const priced = sizes.map(s => ({
+    ...s,
+    unitPrice: SIZE_COLUMNS.indexOf(s.size) >= fromIndex ? surchargedPrice : item.unitPrice
+  }));
+
+  if (mode === 'split') {
+    return priced.map(s => ({ ...item, name: `${item.name} – ${s.size}`, quantity: s.qty, unitPrice: s.unitPrice }));
+  }
+
+  // combined: je Preisstufe eine Position, Größen stehen in der Beschreibung
+  const groups = [
+    priced.filter(s => s.unitPrice === item.unitPrice),
+    priced.filter(s => s.unitPrice !== item.unitPrice)
+  ].filter(g => g.length);
+
+  return groups.map(g => {
+    const isSurcharged = g[0].unitPrice !== item.unitPrice;
+    const breakdown = `Größen: ${g.map(s => `${s.size}×${s.qty}`).join(', ')}`;
+    return {
+      ...item,
+      name: isSurcharged ? `${item.name} (ab ${from})` : item.name,
+      description: [item.description, breakdown].filter(Boolean).join('\n'),
+      quantity: g.reduce((sum, s) => sum + s.qty, 0),
+      unitPrice: g[0].unitPrice
+    };
+  });
+}
+
+module.exports = { SIZE_COLUMNS, SIZE_MODES, normalizeSize, getRowSizeQuantities, readSizeConfig, expandSizeLineItems };
@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Mandanten = Lexware-Organisationen (z. B. Shirt-Shop und Event-Merch GmbH).
+// Jeder Mandant hat eigenen API-Key und eigene Basis-URL; der Zustand dazu (Rate-Limiter,
+// Artikel-/Template-Cache) wird in server.js je Mandant angelegt.
+// Der aktive Mandant hängt wie der laufende Job am async-Kontext → lexwareRequest() und
+// die Caches finden ihn, ohne dass er durch jede Funktion gereicht wird.
+//
+// Datei (TENANTS_FILE):
+// { "default": "shirts",
+//   "tenants": { "shirts": { "name": "Maiershirts", "apiKeyEnv": "LEXWARE_API_KEY_SHIRTS" },
+//                "merch":  { "name": "Event Merch GmbH", "apiKey": "…", "baseUrl": "https://api.lexware.io",
+//                            "companyProfileFile": "config/firma-merch.json",
+//                            "costTableFile": "config/einkaufspreise-merch.json" } } }
+// Ohne Datei gibt es genau einen Mandanten "default" aus LEXWARE_API_KEY / LEXWARE_API_BASE_URL.
+
+const tenantContext = new AsyncLocalStorage();
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+function normalizeBaseUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+// → { defaultId, tenants: [{ id, name, apiKey, baseUrl, companyProfileFile, costTableFile }] }; wirft bei kaputter Datei
+function loadTenantConfig({ file, env = process.env, fallback }) {
+  if (!file || !fs.existsSync(file)) {
+    return {
+      defaultId: DEFAULT_TENANT_ID,
+      tenants: [{ id: DEFAULT_TENANT_ID, name: 'Standard', apiKey: fallback.apiKey, baseUrl: fallback.baseUrl, companyProfileFile: null, costTableFile: null }]
+    };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Object.entries(raw?.tenants || {});
+  if (!entries.length) throw new Error(`${file}: "tenants" ist leer.`);
+
+  const tenants = entries.map(([id, t]) => {
+    if (!TENANT_ID_RE.test(id)) throw new Error(`${file}: Mandant "${id}" – nur a–z, 0–9, _ und - erlaubt.`);
+    return {
+      id,
+      name: String(t?.name || id),
+      // Key lieber aus der ENV als im Klartext in der Datei
+      apiKey: t?.apiKeyEnv ? (env[t.apiKeyEnv] || '') : String(t?.apiKey || ''),
+      baseUrl: normalizeBaseUrl(t?.baseUrl) || fallback.baseUrl,
+      companyProfileFile: t?.companyProfileFile || null,
+      costTableFile: t?.costTableFile || null
+    };
+  });
+
+  const defaultId = raw.default || tenants[0].id;
+  if (!tenants.some(t => t.id === defaultId)) throw new Error(`${file}: Standard-Mandant "${defaultId}" ist nicht definiert.`);
+  return { defaultId, tenants };
+}
+
+// Mandant aus ?tenant=, Body-Feld tenant oder Header X-Lexware-Tenant (leer = Standard)
+function requestedTenantId(req) {
+  return String(req.query?.tenant || req.body?.tenant || req.headers['x-lexware-tenant'] || '').trim().toLowerCase();
+}
+
+module.exports = { DEFAULT_TENANT_ID, tenantContext, loadTenantConfig, requestedTenantId };
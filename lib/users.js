@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { JsonFileStore } = require('./jsonFileStore');
+
+// Benutzerkonten mit Rollen, Sitzungen (Cookie) und API-Tokens (Bearer)
+// - Passwörter: scrypt mit Salt, Format "scrypt$<salt b64>$<hash b64>"
+// - Sitzungen und Tokens liegen nur als SHA-256 auf der Platte, der Klartext geht einmal an den Client
+// - Rollen sind gestaffelt: viewer < sales < admin
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'sales', 'admin'];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+class UserError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function roleAllows(role, required) {
+  const have = ROLES.indexOf(role);
+  return have >= 0 && have >= ROLES.indexOf(required);
+}
+
+function normalizeUsername(username) {
+  return String(username ?? '').trim().toLowerCase();
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function newSecret(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password ?? ''), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// was die API über einen Benutzer herausgibt (ohne Hashes)
+function publicUser(u) {
+  return {
+    username: u.username,
+    name: u.name || '',
+    role: u.role,
+    disabled: !!u.disabled,
+    createdAt: u.createdAt,
+    tokens: (u.tokens || []).map(t => ({ id: t.id, label: t.label, createdAt: t.createdAt }))
+  };
+}
+
+class UserStore {
+  constructor(filePath, { sessionTtlMs = 12 * 60 * 60 * 1000 } = {}) {
+    this.store = new JsonFileStore(filePath, { users: [], sessions: [] });
+    this.sessionTtlMs = sessionTtlMs;
+  }
+
+  get hasUsers() {
+    return this.store.data.users.length > 0;
+  }
+
+  find(username) {
+    const name = normalizeUsername(username);
+    return this.store.data.users.find(u => u.username === name) || null;
+  }
+
+  list() {
+    return this.store.data.users.map(publicUser);
+  }
+
+  _validate({ role, password }, { partial = false } = {}) {
+    if ((!partial || role !== undefined) && !ROLES.includes(role)) {
+      throw new UserError(`Rolle "${role ?? ''}" ist ungültig (${ROLES.join(', ')}).`, 'INVALID_ROLE');
+    }
+    if ((!partial || password !== undefined) && String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+      throw new UserError(`Passwort muss mindestens ${MIN_PASSWORD_LENGTH} Zeichen haben.`, 'WEAK_PASSWORD');
+    }
+  }
+
+  // der letzte aktive Admin darf nicht verschwinden, sonst kommt niemand mehr in die Verwaltung
+  _assertAdminRemains(username, next) {
+    const admins = this.store.data.users.filter(u => u.role === 'admin' && !u.disabled);
+    const losing = admins.length === 1 && admins[0].username === username && (!next || next.role !== 'admin' || next.disabled);
+    if (losing) throw new UserError('Der letzte aktive Admin kann nicht entfernt oder herabgestuft werden.', 'LAST_ADMIN');
+  }
+
+  async create({ username, password, role, name }) {
+    const normalized = normalizeUsername(username);
+    if (!USERNAME_RE.test(normalized)) {
+      throw new UserError('Benutzername: 2–40 Zeichen a–z, 0–9, Punkt, Unterstrich, Bindestrich.', 'INVALID_USERNAME');
+    }
+    this._validate({ role, password });
+    if (this.find(normalized)) throw new UserError(`Benutzer "${normalized}" gibt es schon.`, 'USER_EXISTS');
+
+    const passwordHash = await hashPassword(password);
+    const user = { username: normalized, name: String(name ?? '').trim(), role, passwordHash, disabled: false, createdAt: new Date().toISOString(), tokens: [] };
+    await this.store.update(data => data.users.push(user));
+    return publicUser(user);
+  }
+
+  async update(username, { password, role, name, disabled }) {
+    const user = this.find(username);
+    if (!user) throw new UserError(`Benutzer "${normalizeUsername(username)}" gibt es nicht.`, 'USER_NOT_FOUND');
+    this._validate({ role, password }, { partial: true });
+    this._assertAdminRemains(user.username, { role: role ?? user.role, disabled: disabled ?? user.disabled });
+
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    await this.store.update(data => {
+      if (role !== undefined) user.role = role;
+      if (name !== undefined) user.name = String(name).trim();
+      if (disabled !== undefined) user.disabled = !!disabled;
+      if (passwordHash) user.passwordHash = passwordHash;
+      // neues Passwort oder gesperrt → laufende Sitzungen beenden
+      if (passwordHash || user.disabled) data.sessions = data.sessions.filter(s => s.username !== user.username);
+    });
+    return publicUser(user);
+  }
+
+  async remove(username) {
+    const user = this.find(username);
+    if (!user) throw new UserError(`Benutzer "${normalizeUsername(username)}" gibt es nicht.`, 'USER_NOT_FOUND');
+    this._assertAdminRemains(user.username, null);
+    await this.store.update(data => {
+      data.users = data.users.filter(u => u !== user);
+      data.sessions = data.sessions.filter(s => s.username !== user.username);
+    });
+  }
+
+  // → Benutzer oder null; gesperrte Konten gelten als falsches Passwort
+  async authenticate(username, password) {
+    const user = this.find(username);
+    if (!user) {
+      // gleiche Laufzeit wie mit Benutzer, damit sich Namen nicht erraten lassen
+      await hashPassword(password ?? '');
+      return null;
+    }
+    const valid = await checkPassword(password, user.passwordHash);
+    return valid && !user.disabled ? user : null;
+  }
+
+  async createSession(username) {
+    const token = newSecret('sid');
+    const now = Date.now();
+    const session = { hash: sha256(token), username: normalizeUsername(username), expiresAt: now + this.sessionTtlMs };
+    await this.store.update(data => {
+      data.sessions = data.sessions.filter(s => s.expiresAt > now);
+      data.sessions.push(session);
+    });
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  findSession(token) {
+    if (!token) return null;
+    const hash = sha256(token);
+    const session = this.store.data.sessions.find(s => s.hash === hash);
+    if (!session || session.expiresAt <= Date.now()) return null;
+    const user = this.find(session.username);
+    return user && !user.disabled ? user : null;
+  }
+
+  endSession(token) {
+    const hash = sha256(token || '');
+    return this.store.update(data => {
+      data.sessions = data.sessions.filter(s => s.hash !== hash);
+    });
+  }
+
+  async createToken(username, label) {
+    const user = this.find(username);
+    if (!user) throw new UserError(`Benutzer "${normalizeUsername(username)}" gibt es nicht.`, 'USER_NOT_FOUND');
+    const token = newSecret('lxt');
+    const entry = { id: crypto.randomUUID(), label: String(label ?? '').trim() || 'API', hash: sha256(token), createdAt: new Date().toISOString() };
+    await this.store.update(() => {
+      user.tokens = [...(user.tokens || []), entry];
+    });
+    return { id: entry.id, label: entry.label, token };
+  }
+
+  findToken(token) {
+    if (!token) return null;
+    const hash = sha256(token);
+    const user = this.store.data.users.find(u => (u.tokens || []).some(t => t.hash === hash));
+    return user && !user.disabled ? user : null;
+  }
+
+  async revokeToken(username, id) {
+    const user = this.find(username);
+    if (!user || !(user.tokens || []).some(t => t.id === id)) {
+      throw new UserError('Token gibt es nicht.', 'TOKEN_NOT_FOUND');
+    }
+    await this.store.update(() => {
+      user.tokens = user.tokens.filter(t => t.id !== id);
+    });
+  }
+}
+
+module.exports = { ROLES, UserStore, UserError, roleAllows, hashPassword, checkPassword };
@@ -0,0 +1,74 @@
+'use strict';
+
+// Summen eines Angebots-Payloads lokal berechnen – so wie Lexware rundet:
+// - Positionsbetrag = Menge × Einzelpreis − Rabatt, auf 2 Stellen gerundet
+//   (taxType gross: auf Basis Brutto, sonst Netto)
+// - USt je Steuersatz aus der Summe der Positionsbeträge, nicht je Position
+// - Brutto = Netto + USt (gross: Netto = Brutto − USt)
+
+function round2(n) {
+  return Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+}
+
+function calculateTotals(payload) {
+  const taxType = String(payload?.taxConditions?.taxType || 'net');
+  const isGross = taxType === 'gross';
+  const byRate = new Map(); // Steuersatz → Summe der Positionsbeträge
+  const lines = [];
+  let totalDiscountAmount = 0;
+
+  for (const li of (payload?.lineItems || [])) {
+    if (!li.unitPrice) {
+      lines.push({ type: li.type, name: li.name, description: li.description || null });
+      continue;
+    }
+
+    const rate = Number(li.unitPrice.taxRatePercentage ?? 0);
+    const unitAmount = isGross ? li.unitPrice.grossAmount : li.unitPrice.netAmount;
+    const discountPercentage = Number(li.discountPercentage || 0);
+    const undiscounted = round2(li.quantity * unitAmount);
+    const lineItemAmount = round2(li.quantity * unitAmount * (1 - discountPercentage / 100));
+    const discountAmount = round2(undiscounted - lineItemAmount);
+
+    totalDiscountAmount += discountAmount;
+    byRate.set(rate, (byRate.get(rate) || 0) + lineItemAmount);
+
+    lines.push({
+      type: li.type,
+      name: li.name,
+      description: li.description || null,
+      quantity: li.quantity,
+      unitName: li.unitName,
+      unitAmount,
+      taxRatePercentage: rate,
+      discountPercentage: discountPercentage || null,
+      discountAmount,
+      lineItemAmount
+    });
+  }
+
+  const taxAmounts = [...byRate.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([rate, sum]) => {
+      const amount = round2(sum);
+      const netAmount = isGross ? round2(amount / (1 + rate / 100)) : amount;
+      const taxAmount = isGross ? round2(amount - netAmount) : round2(amount * rate / 100);
+      return { taxRatePercentage: rate, netAmount, taxAmount, grossAmount: round2(netAmount + taxAmount) };
+    });
+
+  const totalNetAmount = round2(taxAmounts.reduce((s, t) => s + t.netAmount, 0));
+  const totalTaxAmount = round2(taxAmounts.reduce((s, t) => s + t.taxAmount, 0));
+
+  return {
+    currency: payload?.totalPrice?.currency || 'EUR',
+    taxType,
+    lines,
+    taxAmounts,
+    totalNetAmount,
+    totalTaxAmount,
+    totalGrossAmount: round2(totalNetAmount + totalTaxAmount),
+    totalDiscountAmount: round2(totalDiscountAmount)
+  };
+}
+
+module.exports = { calculateTotals };
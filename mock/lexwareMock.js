@@ -0,0 +1,346 @@
+'use strict';
+
+// Lokaler Lexware-API-Ersatz für Entwicklung und Tests.
+// Start: npm run mock  →  API_BASE_URL=http://localhost:4010 (LEXWARE_API_BASE_URL) setzen.
+//
+// Implementiert nur, was das Tool nutzt: Profil, Artikel (Paging, Einzelabruf, Update mit version),
+// Kontakte, Angebote (finalize, Abruf, PDF), Folgebelege, Event-Subscriptions. Fehler lassen sich gezielt
+// einspielen (429, 409, 5xx) über injectFault() oder POST /__mock/faults.
+// Webhooks: deliverEvent() bzw. POST /__mock/events schickt signierte Events an die Abos;
+// den passenden öffentlichen Schlüssel liefert GET /__mock/webhook-public-key.
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const XLSX = require('xlsx');
+
+const { calculateTotals } = require('../lib/voucherTotals');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+
+const VOUCHER_PREFIX = { quotations: 'AG', 'order-confirmations': 'AB', invoices: 'RE' };
+
+// Artikel-Lookup-Sheet (flach, wie buildTemplateWorkbook es schreibt) → Lexware-Artikelobjekte
+function articlesFromLookupSheet(filePath = DEFAULT_FIXTURE) {
+  const wb = XLSX.readFile(filePath);
+  const sh = wb.Sheets['Artikel-Lookup'];
+  if (!sh) return [];
+
+  return XLSX.utils.sheet_to_json(sh, { defval: '' })
+    .filter(r => String(r.id || '').trim())
+    .map(r => ({
+      id: String(r.id).trim(),
+      title: String(r.title || ''),
+      articleNumber: String(r.articleNumber || ''),
+      type: r.type || 'PRODUCT',
+      unitName: r.unitName || 'Stück',
+      archived: r.archived === true || String(r.archived).toLowerCase() === 'true',
+      version: Number(r.version) || 0,
+      price: {
+        netPrice: Number(r.netPrice) || 0,
+        grossPrice: Number(r.grossPrice) || 0,
+        leadingPrice: r.leadingPrice || 'NET',
+        taxRate: r.taxRate === '' ? 19 : Number(r.taxRate)
+      }
+    }));
+}
+
+function page(list, req) {
+  const size = Math.max(1, Math.min(250, Number(req.query.size) || 25));
+  const number = Math.max(0, Number(req.query.page) || 0);
+  const content = list.slice(number * size, (number + 1) * size);
+  const totalPages = Math.max(1, Math.ceil(list.length / size));
+  return {
+    content,
+    first: number === 0,
+    last: number >= totalPages - 1,
+    totalPages,
+    totalElements: list.length,
+    numberOfElements: content.length,
+    size,
+    number
+  };
+}
+
+function lexError(res, status, message, extra) {
+  return res.status(status).json({
+    timestamp: new Date().toISOString(),
+    status,
+    error: http.STATUS_CODES[status] || String(status),
+    path: res.req.originalUrl,
+    traceId: crypto.randomBytes(8).toString('hex'),
+    message,
+    ...(extra || {})
+  });
+}
+
+function contactName(c) {
+  if (c.company?.name) return c.company.name;
+  return [c.person?.firstName, c.person?.lastName].filter(Boolean).join(' ');
+}
+
+function createLexwareMock({ articles, contacts, apiKey } = {}) {
+  const state = {
+    articles: [],
+    contacts: [],
+    vouchers: new Map(), // id → { kind, status, body, version }
+    requests: [],
+    faults: [],
+    subscriptions: [],
+    voucherSeq: 0
+  };
+
+  // Schlüsselpaar je Mock-Instanz; Lexware signiert mit SHA512withRSA
+  const webhookKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const webhookPublicKey = webhookKeys.publicKey.export({ type: 'spki', format: 'pem' });
+
+  function reset() {
+    state.articles = (articles || []).map(a => JSON.parse(JSON.stringify(a)));
+    state.contacts = (contacts || []).map(c => JSON.parse(JSON.stringify(c)));
+    state.vouchers = new Map();
+    state.requests = [];
+    state.faults = [];
+    state.subscriptions = [];
+    state.voucherSeq = 0;
+  }
+
+  // Fehler für die nächsten `count` passenden Requests (method/path optional, path als Präfix)
+  function injectFault({ status = 429, count = 1, method, path: pathPrefix, message } = {}) {
+    state.faults.push({ status, remaining: count, method: method ? method.toUpperCase() : null, path: pathPrefix || null, message });
+  }
+
+  function signEvent(body) {
+    return crypto.sign('sha512', Buffer.from(body), webhookKeys.privateKey).toString('base64');
+  }
+
+  // an alle Abos des eventType; voucherStatus setzt vorher den Status des Belegs (z. B. accepted)
+  async function deliverEvent({ eventType, resourceId, eventDate, voucherStatus }) {
+    const voucher = state.vouchers.get(resourceId);
+    if (voucher && voucherStatus) voucher.status = voucherStatus;
+
+    const body = JSON.stringify({
+      organizationId: 'mock-organization',
+      eventType,
+      resourceId,
+      eventDate: eventDate || new Date().toISOString()
+    });
+    const results = [];
+    for (const sub of state.subscriptions.filter(x => x.eventType === eventType)) {
+      const res = await fetch(sub.callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Lxo-Signature': signEvent(body) },
+        body
+      });
+      results.push({ subscriptionId: sub.subscriptionId, callbackUrl: sub.callbackUrl, status: res.status });
+    }
+    return results;
+  }
+
+  function storeVoucher(kind, req, res) {
+    const finalize = String(req.query.finalize || '') === 'true';
+    const id = crypto.randomUUID();
+    state.voucherSeq++;
+    const now = new Date().toISOString();
+    state.vouchers.set(id, {
+      kind,
+      status: finalize ? 'open' : 'draft',
+      voucherNumber: finalize ? `${VOUCHER_PREFIX[kind]}${String(state.voucherSeq).padStart(4, '0')}` : null,
+      precedingSalesVoucherId: req.query.precedingSalesVoucherId || null,
+      body: req.body,
+      createdDate: now,
+      version: 1
+    });
+    return res.json({ id, resourceUri: `${req.protocol}://${req.get('host')}/v1/${kind}/${id}`, createdDate: now, updatedDate: now, version: 1 });
+  }
+
+  reset();
+
+  const app = express();
+  app.use(express.json({ limit: '25mb' }));
+
+  // --- Mock-Steuerung (ohne Auth) ---
+  app.get('/__mock/requests', (req, res) => res.json(state.requests));
+  app.post('/__mock/faults', (req, res) => {
+    injectFault(req.body || {});
+    res.json({ ok: true, faults: state.faults });
+  });
+  app.post('/__mock/events', async (req, res) => {
+    try {
+      res.json({ ok: true, deliveries: await deliverEvent(req.body || {}) });
+    } catch (err) {
+      res.status(502).json({ ok: false, message: err.message });
+    }
+  });
+  app.get('/__mock/webhook-public-key', (req, res) => res.type('text/plain').send(webhookPublicKey));
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  // --- Auth, Request-Log, Fehler-Injektion ---
+  app.use('/v1', (req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      return lexError(res, 401, 'Unauthorized');
+    }
+
+    const fault = state.faults.find(f =>
+      f.remaining > 0 &&
+      (!f.method || f.method === req.method) &&
+      (!f.path || req.path.startsWith(f.path)));
+    if (fault) {
+      fault.remaining--;
+      state.faults = state.faults.filter(f => f.remaining > 0);
+      if (fault.status === 429) res.setHeader('Retry-After', '1');
+      return lexError(res, fault.status, fault.message || (fault.status === 429 ? 'Rate limit exceeded' : 'Injected fault'));
+    }
+    return next();
+  });
+
+  // --- Profil (Health-Check des Tools) ---
+  app.get('/v1/profile', (req, res) => res.json({
+    organizationId: 'mock-organization',
+    companyName: 'Mock GmbH',
+    created: { userId: 'mock-user', userName: 'Mock', userEmail: 'mock@example.com', date: '2024-01-01T00:00:00.000+01:00' },
+    connectionId: 'mock-connection',
+    taxType: 'net',
+    smallBusiness: false
+  }));
+
+  // --- Artikel ---
+  app.get('/v1/articles', (req, res) => {
+    let list = state.articles;
+    if (req.query.articleNumber) list = list.filter(a => a.articleNumber === req.query.articleNumber);
+    if (req.query.type) list = list.filter(a => a.type === req.query.type);
+    res.json(page(list, req));
+  });
+
+  app.get('/v1/articles/:id', (req, res) => {
+    const a = state.articles.find(x => x.id === req.params.id);
+    return a ? res.json(a) : lexError(res, 404, 'Article not found');
+  });
+
+  app.post('/v1/articles', (req, res) => {
+    const a = { ...req.body, id: crypto.randomUUID(), version: 1, archived: false };
+    state.articles.push(a);
+    res.json({ id: a.id, version: a.version });
+  });
+
+  // Optimistic Locking wie Lexware: version muss zum Stand passen, sonst 409
+  app.put('/v1/articles/:id', (req, res) => {
+    const a = state.articles.find(x => x.id === req.params.id);
+    if (!a) return lexError(res, 404, 'Article not found');
+    if (Number(req.body?.version) !== a.version) {
+      return lexError(res, 409, `Version conflict: expected ${a.version}, got ${req.body?.version}`);
+    }
+    Object.assign(a, req.body, { id: a.id, version: a.version + 1 });
+    res.json({ id: a.id, version: a.version });
+  });
+
+  // --- Kontakte (Lexware filtert unscharf per Teilstring) ---
+  app.get('/v1/contacts', (req, res) => {
+    const email = String(req.query.email || '').toLowerCase();
+    const name = String(req.query.name || '').toLowerCase();
+    const list = state.contacts.filter(c => {
+      if (email && !JSON.stringify(c.emailAddresses || {}).toLowerCase().includes(email)) return false;
+      if (name && !contactName(c).toLowerCase().includes(name)) return false;
+      return true;
+    });
+    res.json(page(list, req));
+  });
+
+  app.get('/v1/contacts/:id', (req, res) => {
+    const c = state.contacts.find(x => x.id === req.params.id);
+    return c ? res.json(c) : lexError(res, 404, 'Contact not found');
+  });
+
+  app.post('/v1/contacts', (req, res) => {
+    const c = { ...req.body, id: crypto.randomUUID(), version: 1 };
+    state.contacts.push(c);
+    res.json({ id: c.id, version: c.version });
+  });
+
+  // --- Angebote + Folgebelege ---
+  app.post('/v1/quotations', (req, res) => {
+    if (!Array.isArray(req.body?.lineItems) || !req.body.lineItems.length) {
+      return lexError(res, 406, 'Validation failed', { details: [{ violation: 'NOTNULL', field: 'lineItems', message: 'darf nicht leer sein' }] });
+    }
+    return storeVoucher('quotations', req, res);
+  });
+
+  app.post('/v1/:kind(invoices|order-confirmations)', (req, res) => {
+    const pre = req.query.precedingSalesVoucherId;
+    if (pre && !state.vouchers.has(pre)) return lexError(res, 404, 'Preceding sales voucher not found');
+    return storeVoucher(req.params.kind, req, res);
+  });
+
+  app.get('/v1/:kind(quotations|invoices|order-confirmations)/:id', (req, res) => {
+    const v = state.vouchers.get(req.params.id);
+    if (!v || v.kind !== req.params.kind) return lexError(res, 404, 'Voucher not found');
+    const totals = calculateTotals(v.body);
+    res.json({
+      ...v.body,
+      id: req.params.id,
+      voucherStatus: v.status,
+      voucherNumber: v.voucherNumber,
+      createdDate: v.createdDate,
+      version: v.version,
+      lineItems: v.body.lineItems.map((li, i) => ({ ...li, lineItemAmount: totals.lines[i].lineItemAmount })),
+      totalPrice: {
+        currency: totals.currency,
+        totalNetAmount: totals.totalNetAmount,
+        totalGrossAmount: totals.totalGrossAmount,
+        totalTaxAmount: totals.totalTaxAmount
+      },
+      taxAmounts: totals.taxAmounts.map(({ taxRatePercentage, taxAmount, netAmount }) => ({ taxRatePercentage, taxAmount, netAmount }))
+    });
+  });
+
+  app.get('/v1/quotations/:id/file', (req, res) => {
+    const v = state.vouchers.get(req.params.id);
+    if (!v || v.kind !== 'quotations') return lexError(res, 404, 'Voucher not found');
+    if (v.status === 'draft') {
+      return lexError(res, 409, 'Quotation with status draft cannot be downloaded.');
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${v.voucherNumber}.pdf"`);
+    return res.send(Buffer.from(`%PDF-1.4\n% Mock-Angebot ${v.voucherNumber}\n%%EOF\n`));
+  });
+
+  // --- Event-Subscriptions ---
+  app.get('/v1/event-subscriptions', (req, res) => res.json({ content: state.subscriptions }));
+
+  app.post('/v1/event-subscriptions', (req, res) => {
+    const { eventType, callbackUrl } = req.body || {};
+    if (!eventType || !callbackUrl) return lexError(res, 406, 'eventType and callbackUrl are required');
+    if (state.subscriptions.some(x => x.eventType === eventType && x.callbackUrl === callbackUrl)) {
+      return lexError(res, 409, `Subscription for ${eventType} already exists`);
+    }
+    const sub = { subscriptionId: crypto.randomUUID(), organizationId: 'mock-organization', createdDate: new Date().toISOString(), eventType, callbackUrl };
+    state.subscriptions.push(sub);
+    res.status(201).json(sub);
+  });
+
+  app.delete('/v1/event-subscriptions/:id', (req, res) => {
+    const before = state.subscriptions.length;
+    state.subscriptions = state.subscriptions.filter(x => x.subscriptionId !== req.params.id);
+    return state.subscriptions.length < before ? res.status(204).end() : lexError(res, 404, 'Subscription not found');
+  });
+
+  app.use('/v1', (req, res) => lexError(res, 404, `Mock: ${req.method} ${req.path} nicht implementiert`));
+
+  return { app, state, reset, injectFault, deliverEvent, signEvent, webhookPublicKey };
+}
+
+module.exports = { createLexwareMock, articlesFromLookupSheet };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PORT || 4010);
+  const mock = createLexwareMock({
+    articles: articlesFromLookupSheet(process.env.MOCK_ARTICLES_XLSX || DEFAULT_FIXTURE),
+    apiKey: process.env.MOCK_API_KEY || ''
+  });
+  mock.app.listen(port, () => console.log(`Lexware-Mock läuft auf Port ${port} (${mock.state.articles.length} Artikel)`));
+}
@@ -10,8 +10,32 @@ const express = require('express');
 const axios = require('axios');
 const XLSX = require('xlsx');
 
+const { parseLines } = require('./lib/parseText');
+const { SIZE_COLUMNS, getRowSizeQuantities, readSizeConfig, expandSizeLineItems } = require('./lib/sizeMatrix');
+const { normalizeRules, loadRulesFile, calculatePrintPrice } = require('./lib/printPricing');
+const { JsonFileStore } = require('./lib/jsonFileStore');
+const { ArticleCatalogue, ARTICLE_TYPES, SEARCH_SORTS, searchArticles } = require('./lib/articleCatalogue');
+const { JobRegistry, reportProgress, currentJob } = require('./lib/jobs');
+const { calculateTotals } = require('./lib/voucherTotals');
+const { loadCompanyProfile, renderQuotationPdf } = require('./lib/draftPdf');
+const { readOfferWorkbook } = require('./lib/offerImport');
+const { ARTICLE_SHEET_NAMES, planArticleImport } = require('./lib/articleImport');
+const { buildArticleIndex, matchTitle, pickAutoMatch } = require('./lib/articleMatch');
+const { SIGNATURE_HEADER, DEFAULT_EVENT_TYPES, loadPublicKey, verifySignature, parseEvent, eventKey } = require('./lib/lexwareWebhook');
+const { ROLES, UserStore, UserError, roleAllows } = require('./lib/users');
+const { tenantContext, loadTenantConfig, requestedTenantId } = require('./lib/tenants');
+const { AuditLog } = require('./lib/auditLog');
+const { MetricsRegistry } = require('./lib/metrics');
+const { MARGIN_CHECK_MODES, purchasePriceCell, normalizeCostRows, loadCostTableFile, lineNetRevenue, summarizeMargins } = require('./lib/margin');
+
 const app = express();
-app.use(express.json({ limit: '25mb' }));
+app.use(express.json({
+  limit: '25mb',
+  // Webhook-Signatur gilt für den Body byte-genau → Rohdaten nur dort aufheben
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // ------------------------------------------------------------
 // ENV
@@ -20,21 +44,81 @@ const API_KEY = process.env.LEXOFFICE_API_KEY || process.env.LEXWARE_API_KEY ||
 const API_BASE_URL = (process.env.LEXOFFICE_API_BASE_URL || process.env.LEXWARE_API_BASE_URL || 'https://api.lexware.io')
   .replace(/\/+$/, '');
 
+// Mandanten (mehrere Lexware-Organisationen); ohne Datei gilt nur API_KEY/API_BASE_URL als "default"
+const TENANTS_FILE = process.env.TENANTS_FILE || path.join(__dirname, 'config', 'mandanten.json');
+
 const TOOL_PASSWORD = process.env.TOOL_PASSWORD || '';
 const APP_USER = process.env.APP_USER || '';
 const APP_PASS = process.env.APP_PASS || '';
 
+// Benutzerkonten (sobald einer existiert, gelten TOOL_PASSWORD/APP_USER nicht mehr)
+const USER_STORE_FILE = process.env.USER_STORE_FILE || path.join(__dirname, 'data', 'users.json');
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || '12') * 60 * 60 * 1000;
+// erster Admin beim Start, solange es noch keine Benutzer gibt
+const ADMIN_USER = process.env.ADMIN_USER || '';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+// FINAL-Belege über diesem Nettobetrag nur für admin (leer = keine Grenze)
+const FINALIZE_LIMIT_NET = process.env.FINALIZE_LIMIT_NET ? Number(process.env.FINALIZE_LIMIT_NET) : Infinity;
+
 const ALLOW_PRICE_OVERRIDE_DEFAULT =
   (process.env.ALLOW_PRICE_OVERRIDE_DEFAULT || process.env.ALLOW_PRICE_OVERRIDE || 'false').toLowerCase() === 'true';
 
 const FINALIZE_DEFAULT = (process.env.FINALIZE_DEFAULT || 'true').toLowerCase() === 'true';
 
+// Größen-Matrix: 'split' = eine Position je Größe, 'combined' = Aufschlüsselung in der Beschreibung
+const SIZE_MODE_DEFAULT = (process.env.SIZE_MODE_DEFAULT || 'split').toLowerCase();
+
+// Druckpreis-Regeln (JSON); ein Sheet "Preisregeln" in der Excel hat Vorrang
+const PRICE_RULES_FILE = process.env.PRICE_RULES_FILE || path.join(__dirname, 'config', 'preisregeln.json');
+
+// Einkaufspreise je articleNumber (JSON); Sheet "Einkaufspreise" oder Spalte Einkaufspreis haben Vorrang
+const COST_TABLE_FILE = process.env.COST_TABLE_FILE || path.join(__dirname, 'config', 'einkaufspreise.json');
+// Mindestmarge in % vom Nettoerlös; darunter Warnung (MARGIN_CHECK=warn) oder Fehler (error)
+const MIN_MARGIN_PERCENT = Number(process.env.MIN_MARGIN_PERCENT || '0');
+const MARGIN_CHECK = MARGIN_CHECK_MODES.includes(String(process.env.MARGIN_CHECK || '').toLowerCase())
+  ? String(process.env.MARGIN_CHECK).toLowerCase()
+  : 'warn';
+
+// Briefkopf/Fußzeile für lokal gerenderte Entwurfs-PDFs
+const COMPANY_PROFILE_FILE = process.env.COMPANY_PROFILE_FILE || path.join(__dirname, 'config', 'firma.json');
+
+// Angebots-Verlauf (JSON-Datei; auf Render.com auf ein Persistent Disk legen)
+const OFFER_STORE_FILE = process.env.OFFER_STORE_FILE || path.join(__dirname, 'data', 'offers.json');
+
+// Artikelstamm-Cache (übersteht Neustarts; älter als TEMPLATE_TTL_MS → Neuladen im Hintergrund)
+const ARTICLE_CACHE_FILE = process.env.ARTICLE_CACHE_FILE || path.join(__dirname, 'data', 'articles.json');
+
+// Lexware-Webhooks: öffentlicher Schlüssel für X-Lxo-Signature (PEM oder Datei), Event-Log + Angebotsstatus
+const WEBHOOK_PUBLIC_KEY = loadPublicKey({
+  pem: process.env.LEXWARE_WEBHOOK_PUBLIC_KEY,
+  file: process.env.LEXWARE_WEBHOOK_PUBLIC_KEY_FILE
+});
+const WEBHOOK_STORE_FILE = process.env.WEBHOOK_STORE_FILE || path.join(__dirname, 'data', 'webhooks.json');
+
+// Idempotency-Keys (Header Idempotency-Key) mit Ergebnis; Einträge verfallen nach IDEMPOTENCY_TTL_DAYS
+const IDEMPOTENCY_STORE_FILE = process.env.IDEMPOTENCY_STORE_FILE || path.join(__dirname, 'data', 'idempotency.json');
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+// Audit-Log aller Lexware-Aufrufe (rotierend: AUDIT_LOG_FILES Dateien à AUDIT_LOG_MAX_MB)
+const AUDIT_LOG_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, 'data', 'audit');
+const AUDIT_LOG_MAX_MB = Number(process.env.AUDIT_LOG_MAX_MB || '5');
+const AUDIT_LOG_FILES = Number(process.env.AUDIT_LOG_FILES || '5');
+
+// Öffentliche Adresse des Tools für Lexware-Callbacks (leer = aus dem Request abgeleitet)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// Kunde ohne Treffer in Lexware als Kontakt anlegen (pro Request überschreibbar)
+const CREATE_CONTACT_DEFAULT = (process.env.CREATE_CONTACT_DEFAULT || 'false').toLowerCase() === 'true';
+
 // optional extra buffer interval in ms (zusätzlich zum TokenBucket)
 const MIN_INTERVAL_MS = Number(process.env.LEXWARE_MIN_INTERVAL_MS || '0');
 
 // TTL für dynamisches Template: 10 Minuten
 const TEMPLATE_TTL_MS = 10 * 60 * 1000;
 
+// Abgeschlossene Jobs (inkl. Ergebnis/PDF) so lange abrufbar
+const JOB_TTL_MS = 60 * 60 * 1000;
+
 // Axios timeout (damit Requests nicht "hängen bleiben")
 const AXIOS_TIMEOUT_MS = Number(process.env.AXIOS_TIMEOUT_MS || '45000'); // 45s default
 
@@ -146,8 +230,75 @@ function fail(res, payload) {
 }
 
 // ------------------------------------------------------------
-// Auth: Basic Auth optional ODER TOOL_PASSWORD im Body/Query/Header
+// Auth: Benutzerkonten mit Rollen (Sitzungs-Cookie oder API-Token)
+// ohne Konten wie bisher: Basic Auth optional ODER TOOL_PASSWORD im Body/Query/Header
 // ------------------------------------------------------------
+const users = new UserStore(USER_STORE_FILE, { sessionTtlMs: SESSION_TTL_MS });
+const SESSION_COOKIE = 'lxt_session';
+
+// Fehlversuche je Benutzername: nach LOGIN_MAX_FAILURES für LOGIN_LOCK_MS gesperrt.
+// Abgelaufene Einträge fliegen beim Zugriff raus; bei LOGIN_FAILURES_MAX_ENTRIES (beliebige
+// Benutzernamen durchprobiert) erst alle abgelaufenen, dann die ältesten.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+const LOGIN_FAILURES_MAX_ENTRIES = 10000;
+const loginFailures = new Map(); // Benutzername → { count, until }, älteste zuerst
+
+function activeLoginFailures(username) {
+  const failures = loginFailures.get(username);
+  if (failures && failures.until <= Date.now()) {
+    loginFailures.delete(username);
+    return null;
+  }
+  return failures || null;
+}
+
+function noteLoginFailure(username) {
+  const count = (activeLoginFailures(username)?.count || 0) + 1;
+  loginFailures.delete(username); // neu einfügen → ans Ende der Reihenfolge
+
+  if (loginFailures.size >= LOGIN_FAILURES_MAX_ENTRIES) {
+    const now = Date.now();
+    for (const [name, f] of loginFailures) if (f.until <= now) loginFailures.delete(name);
+    for (const name of loginFailures.keys()) {
+      if (loginFailures.size < LOGIN_FAILURES_MAX_ENTRIES) break;
+      loginFailures.delete(name);
+    }
+  }
+  loginFailures.set(username, { count, until: Date.now() + LOGIN_LOCK_MS });
+}
+
+function authMode() {
+  if (users.hasUsers) return 'users';
+  if (APP_USER && APP_PASS) return 'basic';
+  return TOOL_PASSWORD ? 'toolPassword' : 'none';
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      // kaputt kodierte Cookies ignorieren
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  const parts = [`${SESSION_COOKIE}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`];
+  if (req.secure || req.headers['x-forwarded-proto'] === 'https') parts.push('Secure');
+  return parts.join('; ');
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1] : null;
+}
+
 function parseBasicAuth(header) {
   if (!header || !header.startsWith('Basic ')) return null;
   const b64 = header.slice(6);
@@ -164,12 +315,19 @@ function parseBasicAuth(header) {
 function basicAuthMiddleware(req, res, next) {
   if (!APP_USER || !APP_PASS) return next();
   const auth = parseBasicAuth(req.headers.authorization);
-  if (auth && auth.user === APP_USER && auth.pass === APP_PASS) return next();
+  if (auth && auth.user === APP_USER && auth.pass === APP_PASS) {
+    req.authUser = auth.user;
+    req.authRole = 'admin';
+    return next();
+  }
   res.setHeader('WWW-Authenticate', 'Basic realm="Maiershirts Tool"');
   return res.status(401).send('Auth required');
 }
 
 function toolPasswordMiddleware(req, res, next) {
+  // ein gemeinsames Passwort kennt keine Rollen → alles erlaubt wie bisher
+  req.authUser = null;
+  req.authRole = 'admin';
   if (!TOOL_PASSWORD) return next();
 
   const supplied =
@@ -177,7 +335,10 @@ function toolPasswordMiddleware(req, res, next) {
     req.query?.password ||
     req.headers['x-tool-password'];
 
-  if (supplied === TOOL_PASSWORD) return next();
+  if (supplied === TOOL_PASSWORD) {
+    req.authUser = 'tool';
+    return next();
+  }
 
   return fail(res, {
     stage: 'auth',
@@ -187,11 +348,52 @@ function toolPasswordMiddleware(req, res, next) {
   });
 }
 
+function userAuthMiddleware(req, res, next) {
+  const token = bearerToken(req);
+  const user = token ? users.findToken(token) : users.findSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (user) {
+    req.authUser = user.username;
+    req.authRole = user.role;
+    return next();
+  }
+
+  return fail(res, {
+    stage: 'auth',
+    status: 'UNAUTHORIZED',
+    message: token ? 'API-Token ungültig oder widerrufen.' : 'Nicht angemeldet oder Sitzung abgelaufen.',
+    technical: buildTechnical({ httpStatus: 401, raw: { message: 'UNAUTHORIZED' } })
+  });
+}
+
 function authMiddleware(req, res, next) {
+  if (users.hasUsers) return userAuthMiddleware(req, res, next);
   if (APP_USER && APP_PASS) return basicAuthMiddleware(req, res, next);
   return toolPasswordMiddleware(req, res, next);
 }
 
+function forbidden(res, message) {
+  return fail(res, {
+    stage: 'auth',
+    status: 'FORBIDDEN',
+    message,
+    technical: buildTechnical({ httpStatus: 403, raw: { message: 'FORBIDDEN' } })
+  });
+}
+
+// nach authMiddleware: mindestens diese Rolle (viewer < sales < admin)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (roleAllows(req.authRole, role)) return next();
+    return forbidden(res, `Keine Berechtigung: dafür ist die Rolle "${role}" nötig (angemeldet als ${req.authRole || 'unbekannt'}).`);
+  };
+}
+
+// FINAL über FINALIZE_LIMIT_NET nur für admin → Meldung oder null
+function finalizeLimitError(role, totalNetAmount) {
+  if (roleAllows(role, 'admin') || !(Number(totalNetAmount) > FINALIZE_LIMIT_NET)) return null;
+  return `FINAL über ${FINALIZE_LIMIT_NET} EUR netto darf nur ein Admin erstellen (Beleg: ${Number(totalNetAmount).toFixed(2)} EUR) – als Entwurf anlegen und von einem Admin finalisieren lassen.`;
+}
+
 // ------------------------------------------------------------
 // Rate Limit: TokenBucket 2 req/s + optional MIN_INTERVAL_MS + retry 429
 // ------------------------------------------------------------
@@ -236,32 +438,209 @@ class TokenBucket {
   }
 }
 
-const bucket = new TokenBucket({ capacity: 2, refillPerSec: 2 });
-let lastCallTs = 0;
+// ------------------------------------------------------------
+// Mandanten: je Lexware-Organisation eigener Key, Rate-Limiter und eigene Caches
+// ------------------------------------------------------------
+const tenantConfig = loadTenantConfig({ file: TENANTS_FILE, fallback: { apiKey: API_KEY, baseUrl: API_BASE_URL } });
+
+// Cache-Dateien je Mandant; der Standard-Mandant behält den bisherigen Namen
+function tenantFile(file, id) {
+  if (id === tenantConfig.defaultId) return file;
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${id}${ext}`;
+}
+
+function createTenant(config) {
+  const t = {
+    ...config,
+    bucket: new TokenBucket({ capacity: 2, refillPerSec: 2 }),
+    lastCallTs: 0,
+    articleCache: { byId: new Map(), ttlMs: TEMPLATE_TTL_MS }, // 10 Minuten
+    templateCache: { buffer: null, createdAt: 0 },
+    companyProfile: null,
+    costTable: null,
+    health: null // letzter Lexware-Check für /api/health
+  };
+  // Nachladen im Hintergrund läuft ggf. außerhalb des Requests → Mandant fest binden
+  t.articleCatalogue = new ArticleCatalogue({
+    filePath: tenantFile(ARTICLE_CACHE_FILE, t.id),
+    ttlMs: t.articleCache.ttlMs,
+    fetchAll: () => tenantContext.run(t, fetchAllArticles)
+  });
+  return t;
+}
+
+const tenants = new Map(tenantConfig.tenants.map(c => [c.id, createTenant(c)]));
+
+// aktiver Mandant; außerhalb eines Requests (Start, Timer) der Standard-Mandant
+function tenant() {
+  return tenantContext.getStore() || tenants.get(tenantConfig.defaultId);
+}
+
+function tenantMiddleware(req, res, next) {
+  const id = requestedTenantId(req) || tenantConfig.defaultId;
+  const t = tenants.get(id);
+  if (!t) {
+    return fail(res, {
+      stage: 'tenant',
+      status: 'VALIDATION_ERROR',
+      message: `Unbekannter Mandant "${id}" (${[...tenants.keys()].join(', ')}).`,
+      technical: buildTechnical({ httpStatus: 400, raw: { message: 'UNKNOWN_TENANT' } })
+    });
+  }
+  return tenantContext.run(t, next);
+}
 
-async function enforceMinInterval() {
+async function enforceMinInterval(t) {
   if (!MIN_INTERVAL_MS) return;
   const now = Date.now();
-  const diff = now - lastCallTs;
+  const diff = now - t.lastCallTs;
   if (diff < MIN_INTERVAL_MS) {
     await new Promise(r => setTimeout(r, MIN_INTERVAL_MS - diff));
   }
-  lastCallTs = Date.now();
+  t.lastCallTs = Date.now();
+}
+
+// ------------------------------------------------------------
+// Metriken (Prometheus, GET /metrics): Rate-Limiter, Lexware-Latenz, Caches, Angebote
+// ------------------------------------------------------------
+const metrics = new MetricsRegistry();
+
+const metric = {
+  queueDepth: metrics.gauge({
+    name: 'lxt_rate_limiter_queue_depth',
+    help: 'Lexware-Aufrufe, die gerade im TokenBucket auf einen Token warten.',
+    labelNames: ['tenant'],
+    collect: () => [...tenants.values()].map(t => ({ labels: { tenant: t.id }, value: t.bucket.queue.length }))
+  }),
+  queueWait: metrics.histogram({
+    name: 'lxt_rate_limiter_wait_seconds',
+    help: 'Wartezeit vor einem Lexware-Aufruf (TokenBucket + LEXWARE_MIN_INTERVAL_MS).',
+    labelNames: ['tenant']
+  }),
+  requests: metrics.counter({
+    name: 'lxt_lexware_requests_total',
+    help: 'HTTP-Aufrufe an Lexware (jeder Versuch einzeln) nach Status; 0 = Netzwerkfehler/Timeout.',
+    labelNames: ['tenant', 'method', 'endpoint', 'status']
+  }),
+  latency: metrics.histogram({
+    name: 'lxt_lexware_request_duration_seconds',
+    help: 'Antwortzeit von Lexware je Versuch, ohne Wartezeit im Rate-Limiter.',
+    labelNames: ['tenant', 'method', 'endpoint']
+  }),
+  rateLimited: metrics.counter({
+    name: 'lxt_lexware_rate_limited_total',
+    help: 'Antworten mit HTTP 429 von Lexware.',
+    labelNames: ['tenant', 'endpoint']
+  }),
+  retries: metrics.counter({
+    name: 'lxt_lexware_retries_total',
+    help: 'Wiederholte Lexware-Aufrufe nach 429.',
+    labelNames: ['tenant', 'endpoint']
+  }),
+  cache: metrics.counter({
+    name: 'lxt_cache_requests_total',
+    help: 'Zugriffe auf articleCache (Einzelartikel), articleCatalogue (Artikelstamm) und templateCache.',
+    labelNames: ['tenant', 'cache', 'result']
+  }),
+  offers: metrics.counter({
+    name: 'lxt_offers_total',
+    help: 'Angebote nach Ergebnis (success/failure) und Stufe, an der es endete.',
+    labelNames: ['tenant', 'result', 'stage']
+  })
+};
+
+const CACHE_NAMES = ['article', 'articleCatalogue', 'template'];
+metrics.gauge({
+  name: 'lxt_cache_hit_ratio',
+  help: 'Anteil Treffer an allen Zugriffen seit dem Start (0–1).',
+  labelNames: ['tenant', 'cache'],
+  collect: () => [...tenants.values()].flatMap(t => CACHE_NAMES.map(cache => {
+    const hit = metric.cache.get({ tenant: t.id, cache, result: 'hit' });
+    const miss = metric.cache.get({ tenant: t.id, cache, result: 'miss' });
+    return { labels: { tenant: t.id, cache }, value: hit + miss ? Math.round((hit / (hit + miss)) * 1000) / 1000 : 0 };
+  }))
+});
+
+function cacheAccess(cache, hit) {
+  metric.cache.inc({ tenant: tenant().id, cache, result: hit ? 'hit' : 'miss' });
+}
+
+// /v1/quotations/3f2…/file → /v1/quotations/:id/file (IDs als Label würden die Zeitreihen sprengen)
+function lexwareEndpoint(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = String(url).split('?')[0];
+  }
+  return pathname.split('/').map((seg, i) => (i >= 3 && i % 2 === 1 ? ':id' : seg)).join('/');
+}
+
+// ------------------------------------------------------------
+// Audit-Log: jeder Lexware-Aufruf mit Status, Dauer, Wiederholungen und bereinigten Bodies
+// ------------------------------------------------------------
+const auditLog = new AuditLog({ dir: AUDIT_LOG_DIR, maxBytes: AUDIT_LOG_MAX_MB * 1024 * 1024, maxFiles: AUDIT_LOG_FILES });
+
+// Angebot, zu dem ein Aufruf gehört (Filter im Admin-Endpunkt)
+function auditQuotationId({ url }, res) {
+  const byPath = /\/v1\/quotations\/([^/?]+)/.exec(url);
+  if (byPath) return decodeURIComponent(byPath[1]);
+  if (/\/v1\/quotations(\?|$)/.test(url)) return res.data?.id || null;
+  try {
+    return new URL(url).searchParams.get('precedingSalesVoucherId'); // Folgebeleg aus Angebot
+  } catch {
+    return null;
+  }
+}
+
+function auditLexwareCall(request, res, { startedAt, retries }) {
+  const success = res.status >= 200 && res.status < 300;
+  // Fehler-Bodies kommen bei PDF-Abrufen als Buffer → lesbar machen; PDFs selbst bleiben binär
+  const response = success ? res : { ...res, data: safeJson(res.data) };
+  const meta = success ? {} : extractMeta(response.data);
+  const entry = auditLog.entry({
+    ts: new Date(startedAt).toISOString(),
+    tenant: tenant().id,
+    jobId: currentJob()?.id || null,
+    quotationId: auditQuotationId(request, res),
+    ms: Date.now() - startedAt,
+    retries,
+    traceId: meta.traceId || res.headers?.['x-trace-id'] || null,
+    requestId: meta.requestId || res.headers?.['x-request-id'] || null,
+    request,
+    response
+  });
+  auditLog.append(entry);
 }
 
-async function lexwareRequest({ method, url, headers, data, responseType, accept }) {
+async function lexwareRequest(request) {
+  const startedAt = Date.now();
+  const { res, retries } = await sendLexwareRequest(request);
+  auditLexwareCall(request, res, { startedAt, retries });
+  return res;
+}
+
+// → { res, retries }; wirft nie
+async function sendLexwareRequest({ method, url, headers, data, responseType, accept }) {
   const maxRetries = 5;
+  const t = tenant();
+  const labels = { tenant: t.id, method: String(method || 'GET').toUpperCase(), endpoint: lexwareEndpoint(url) };
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    await bucket.acquire();
-    await enforceMinInterval();
+    const queuedAt = Date.now();
+    await t.bucket.acquire();
+    await enforceMinInterval(t);
+    const sentAt = Date.now();
+    metric.queueWait.observe({ tenant: t.id }, (sentAt - queuedAt) / 1000);
+    if (attempt > 0) metric.retries.inc(labels);
 
     try {
       const res = await axios({
         method,
         url,
         headers: {
-          Authorization: `Bearer ${API_KEY}`,
+          Authorization: `Bearer ${t.apiKey}`,
           Accept: accept || 'application/json',
           ...(headers || {})
         },
@@ -270,21 +649,27 @@ async function lexwareRequest({ method, url, headers, data, responseType, accept
         validateStatus: () => true,
         timeout: AXIOS_TIMEOUT_MS
       });
+      metric.latency.observe(labels, (Date.now() - sentAt) / 1000);
+      metric.requests.inc({ ...labels, status: res.status });
 
-      if (res.status !== 429) return res;
+      if (res.status !== 429) return { res, retries: attempt };
+      metric.rateLimited.inc(labels);
 
       const base = 800 * Math.pow(2, attempt);
       const jitter = Math.floor(Math.random() * 250);
       const wait = Math.min(12000, base + jitter);
+      reportProgress(null, `Lexware Rate-Limit (429) → warte ${Math.round(wait / 100) / 10}s (Versuch ${attempt + 1}/${maxRetries})…`);
       await new Promise(r => setTimeout(r, wait));
     } catch (err) {
       const status = err?.response?.status || 0;
+      metric.latency.observe(labels, (Date.now() - sentAt) / 1000);
+      metric.requests.inc({ ...labels, status });
       const raw = err?.response?.data || { message: 'NETWORK_OR_TIMEOUT', detail: err?.message || 'request failed' };
-      return { status, data: raw, headers: err?.response?.headers || {} };
+      return { res: { status, data: raw, headers: err?.response?.headers || {} }, retries: attempt };
     }
   }
 
-  return { status: 429, data: { message: 'Rate limit exceeded (client retries exhausted)' } };
+  return { res: { status: 429, data: { message: 'Rate limit exceeded (client retries exhausted)' } }, retries: maxRetries };
 }
 
 // ------------------------------------------------------------
@@ -295,15 +680,15 @@ function sheetToJson(wb, name) {
   return sh ? XLSX.utils.sheet_to_json(sh, { defval: '' }) : null;
 }
 
+const KV_FIELD_KEYS = ['Feld', 'feld', 'Field', 'field'];
+const KV_VALUE_KEYS = ['Wert', 'wert', 'Value', 'value', 'val'];
+
 function sheetRowsToKeyValueObject(rows) {
   if (!rows || !rows.length) return null;
 
   const first = rows[0];
-  const fieldKeys = ['Feld', 'feld', 'Field', 'field'];
-  const valueKeys = ['Wert', 'wert', 'Value', 'value', 'val'];
-
-  const fieldCol = fieldKeys.find(k => k in first);
-  const valueCol = valueKeys.find(k => k in first);
+  const fieldCol = KV_FIELD_KEYS.find(k => k in first);
+  const valueCol = KV_VALUE_KEYS.find(k => k in first);
   if (!fieldCol || !valueCol) return null;
 
   const obj = {};
@@ -315,6 +700,19 @@ function sheetRowsToKeyValueObject(rows) {
   return obj;
 }
 
+// Excel-Zeile je Feld in einem Feld/Wert-Sheet (für {sheet,row,field,message}); unbekannt → 2
+function keyValueRowOf(rows) {
+  const rowByField = new Map();
+  const fieldCol = rows?.length ? KV_FIELD_KEYS.find(k => k in rows[0]) : null;
+  if (fieldCol) {
+    rows.forEach((r, i) => {
+      const key = String(r[fieldCol] || '').trim();
+      if (key) rowByField.set(key, i + 2);
+    });
+  }
+  return field => rowByField.get(field) ?? 2;
+}
+
 function numOrNull(v) {
   if (v === '' || v === null || v === undefined) return null;
   const n = Number(v);
@@ -354,28 +752,51 @@ function getRowArticleNumber(row) {
 // ------------------------------------------------------------
 // Artikel Cache + Artikel API
 // ------------------------------------------------------------
-const articleCache = {
-  byId: new Map(),
-  list: null,
-  fetchedAt: 0,
-  ttlMs: TEMPLATE_TTL_MS // 10 Minuten
-};
+// alle Seiten aus Lexware; complete=false, wenn eine Seite fehlschlägt oder das Limit greift
+async function fetchAllArticles() {
+  const all = [];
+  let page = 0;
+  const size = 250;
+
+  while (true) {
+    const res = await lexwareRequest({
+      method: 'GET',
+      url: `${tenant().baseUrl}/v1/articles?page=${page}&size=${size}`
+    });
+
+    if (!(res.status >= 200 && res.status < 300) || !res.data) return { articles: all, complete: false };
+
+    const content = Array.isArray(res.data.content) ? res.data.content : [];
+    all.push(...content);
+
+    if (res.data.last === true) break;
+    if (content.length === 0) break;
+
+    page++;
+    if (page > 100) return { articles: all, complete: false };
+  }
+
+  return { articles: all, complete: true };
+}
 
 function clearArticleCache() {
-  articleCache.byId = new Map();
-  articleCache.list = null;
-  articleCache.fetchedAt = 0;
+  const t = tenant();
+  t.articleCache.byId = new Map();
+  return t.articleCatalogue.invalidate();
 }
 
 async function getArticleById(articleId) {
   if (!articleId) return null;
 
+  const { articleCache } = tenant();
   const cached = articleCache.byId.get(articleId);
-  if (cached && (Date.now() - cached._ts) < articleCache.ttlMs) return cached.data;
+  const hit = !!cached && (Date.now() - cached._ts) < articleCache.ttlMs;
+  cacheAccess('article', hit);
+  if (hit) return cached.data;
 
   const res = await lexwareRequest({
     method: 'GET',
-    url: `${API_BASE_URL}/v1/articles/${encodeURIComponent(articleId)}`
+    url: `${tenant().baseUrl}/v1/articles/${encodeURIComponent(articleId)}`
   });
 
   if (res.status >= 200 && res.status < 300) {
@@ -386,35 +807,147 @@ async function getArticleById(articleId) {
   return null;
 }
 
+// veralteter Stand kommt sofort zurück und wird im Hintergrund erneuert; forceRefresh wartet auf Lexware
 async function listAllArticlesCached(forceRefresh = false) {
-  if (forceRefresh) clearArticleCache();
-  if (articleCache.list && (Date.now() - articleCache.fetchedAt) < articleCache.ttlMs) return articleCache.list;
+  const t = tenant();
+  if (forceRefresh) t.articleCache.byId = new Map();
+  // veralteter Stand zählt als Fehlgriff, auch wenn er sofort ausgeliefert wird
+  cacheAccess('articleCatalogue', !forceRefresh && t.articleCatalogue.isFresh());
+  return t.articleCatalogue.list({ refresh: forceRefresh });
+}
 
-  const all = [];
-  let page = 0;
-  const size = 250;
+// ------------------------------------------------------------
+// Kontakte: Lookup (email -> name) + optionale Neuanlage
+// ------------------------------------------------------------
+const CONTACT_KINDS = ['company', 'person'];
 
-  while (true) {
-    const res = await lexwareRequest({
-      method: 'GET',
-      url: `${API_BASE_URL}/v1/articles?page=${page}&size=${size}`
-    });
+function contactDisplayName(c) {
+  if (c?.company?.name) return String(c.company.name).trim();
+  const p = c?.person || {};
+  return [p.firstName, p.lastName].filter(Boolean).join(' ').trim();
+}
 
-    if (!(res.status >= 200 && res.status < 300) || !res.data) break;
+function contactEmails(c) {
+  const e = c?.emailAddresses || {};
+  return Object.values(e).flat().map(toLowerTrim).filter(Boolean);
+}
 
-    const content = Array.isArray(res.data.content) ? res.data.content : [];
-    all.push(...content);
+function contactPhones(c) {
+  return Object.values(c?.phoneNumbers || {}).flat().map(p => String(p || '').trim()).filter(Boolean);
+}
 
-    if (res.data.last === true) break;
-    if (content.length === 0) break;
+// null = nicht gefunden oder Lookup fehlgeschlagen
+async function fetchContact(contactId) {
+  const res = await lexwareRequest({
+    method: 'GET',
+    url: `${tenant().baseUrl}/v1/contacts/${encodeURIComponent(contactId)}`
+  });
+  return res.status >= 200 && res.status < 300 ? res.data : null;
+}
 
-    page++;
-    if (page > 100) break;
+// null = Lookup fehlgeschlagen, [] = kein Treffer
+async function searchContacts(filter) {
+  const qs = new URLSearchParams({ ...filter, page: '0', size: '100' }).toString();
+  const res = await lexwareRequest({
+    method: 'GET',
+    url: `${tenant().baseUrl}/v1/contacts?${qs}`
+  });
+
+  if (!(res.status >= 200 && res.status < 300) || !res.data) return null;
+  return Array.isArray(res.data.content) ? res.data.content : [];
+}
+
+async function resolveContact(kunde, { errors, warnings, createContact }) {
+  const contactId = String(kunde.contactId || '').trim();
+  if (contactId) return { status: 'given', contactId, matchedBy: 'contactId' };
+
+  const kind = toLowerTrim(kunde.kind) || 'company';
+  if (!CONTACT_KINDS.includes(kind)) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'kind', message: `kind "${kunde.kind}" ist ungültig (company oder person).` });
+    return { status: 'none', contactId: null, matchedBy: null };
+  }
+
+  const email = toLowerTrim(kunde.email);
+  const name = String(kunde.name || kunde.Name || '').trim();
+
+  // (1) via email, (2) via exaktem Namen – Lexware filtert unscharf, daher lokal exakt vergleichen
+  const lookups = [
+    { field: 'email', value: email, filter: { email }, match: c => contactEmails(c).includes(email) },
+    { field: 'name', value: name, filter: { name }, match: c => contactDisplayName(c).toLowerCase() === name.toLowerCase() }
+  ];
+
+  for (const l of lookups) {
+    if (l.value.length < 3) continue; // Lexware-Filter braucht min. 3 Zeichen
+
+    const found = await searchContacts(l.filter);
+    if (found === null) {
+      warnings.push({ sheet: 'Kunde', row: 2, message: `Kontaktsuche über ${l.field} fehlgeschlagen → Angebot ohne Kontaktverknüpfung.` });
+      return { status: 'none', contactId: null, matchedBy: null };
+    }
+
+    const hits = found.filter(l.match);
+    if (hits.length === 1) {
+      warnings.push({ sheet: 'Kunde', row: 2, message: `${l.field} "${l.value}" → contactId automatisch gesetzt.` });
+      return { status: 'matched', contactId: hits[0].id, matchedBy: l.field, vatRegistrationId: hits[0].company?.vatRegistrationId || null };
+    }
+    if (hits.length > 1) {
+      errors.push({
+        sheet: 'Kunde',
+        row: 2,
+        field: l.field,
+        message: `${l.field} "${l.value}" ist nicht eindeutig (${hits.length} Kontakte). Bitte contactId direkt setzen.`
+      });
+      return { status: 'ambiguous', contactId: null, matchedBy: l.field };
+    }
+  }
+
+  if (!createContact) {
+    warnings.push({ sheet: 'Kunde', row: 2, message: 'Kein Lexware-Kontakt gefunden → Angebot mit freier Adresse.' });
+    return { status: 'none', contactId: null, matchedBy: null };
+  }
+
+  warnings.push({ sheet: 'Kunde', row: 2, message: `Kein Lexware-Kontakt gefunden → wird beim Erstellen neu angelegt (kind=${kind}).` });
+  return { status: 'create', contactId: null, matchedBy: null, kind };
+}
+
+function splitPersonName(fullName) {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  const lastName = parts.pop() || '';
+  return { firstName: parts.join(' ') || undefined, lastName };
+}
+
+function buildContactPayload(kind, address, { vatRegistrationId } = {}) {
+  const contact = { version: 0, roles: { customer: {} } };
+
+  if (kind === 'person') {
+    contact.person = splitPersonName(address.name);
+  } else {
+    contact.company = { name: address.name };
+    if (vatRegistrationId) contact.company.vatRegistrationId = vatRegistrationId;
+    if (address.contactPerson) {
+      contact.company.contactPersons = [{ ...splitPersonName(address.contactPerson), primary: true }];
+    }
   }
 
-  articleCache.list = all;
-  articleCache.fetchedAt = Date.now();
-  return all;
+  if (address.street || address.zip || address.city) {
+    contact.addresses = {
+      billing: [{ street: address.street, zip: address.zip, city: address.city, countryCode: address.countryCode || 'DE' }]
+    };
+  }
+  if (address.email) contact.emailAddresses = { business: [address.email] };
+  if (address.phone) contact.phoneNumbers = { business: [address.phone] };
+
+  return contact;
+}
+
+async function createContact(kind, address, extra) {
+  return lexwareRequest({
+    method: 'POST',
+    url: `${tenant().baseUrl}/v1/contacts`,
+    headers: { 'Content-Type': 'application/json' },
+    data: buildContactPayload(kind, address, extra),
+    accept: 'application/json'
+  });
 }
 
 // ------------------------------------------------------------
@@ -449,7 +982,8 @@ function buildUnitPriceFromExcel({ taxType, amount, taxRate }) {
   return buildUnitPriceFromNetGross({ net: a, gross: null, taxRate: tr });
 }
 
-function buildUnitPriceFromArticle(articleObj) {
+// taxRate überschreibt den Steuersatz des Artikels (0 % bei steuerfreien Steuerarten) – Basis ist dann der Nettopreis
+function buildUnitPriceFromArticle(articleObj, { taxRate: overrideRate = null } = {}) {
   const p = articleObj?.price;
   if (!p) return null;
 
@@ -457,101 +991,560 @@ function buildUnitPriceFromArticle(articleObj) {
   const net = p.netPrice != null ? Number(p.netPrice) : null;
   const gross = p.grossPrice != null ? Number(p.grossPrice) : null;
 
+  if (overrideRate !== null && overrideRate !== taxRate) {
+    const baseNet = net != null ? net : gross != null ? gross / (1 + taxRate / 100) : null;
+    return buildUnitPriceFromNetGross({ net: baseNet, gross: null, taxRate: overrideRate });
+  }
   return buildUnitPriceFromNetGross({ net, gross, taxRate });
 }
 
 // ------------------------------------------------------------
-// Excel -> Quotation Payload
+// Steuerarten (Angebot.taxType): Inland, EU, Drittland, steuerfrei
 // ------------------------------------------------------------
-async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverride }) {
-  const errors = [];
-  const warnings = [];
-  const autoNamedLineItems = [];
-  const byType = {};
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+// lexware = taxConditions.taxType, zeroRate = alle Positionen mit 0 % USt,
+// countries = erlaubte Kundenländer, vatId = USt-IdNr. des Kunden Pflicht,
+// note = Pflichthinweis, wird als Textposition ans Ende gestellt (überschreibbar per Angebot.taxNote)
+const TAX_TYPES = {
+  net: { lexware: 'net' },
+  gross: { lexware: 'gross' },
+  vatfree: {
+    lexware: 'vatfree',
+    zeroRate: true,
+    note: 'Steuerfreier Umsatz.'
+  },
+  smallBusiness: {
+    lexware: 'vatfree',
+    zeroRate: true,
+    note: 'Gemäß § 19 UStG wird keine Umsatzsteuer berechnet.'
+  },
+  intraCommunitySupply: {
+    lexware: 'intraCommunitySupply',
+    zeroRate: true,
+    countries: 'eu',
+    vatId: true,
+    note: 'Steuerfreie innergemeinschaftliche Lieferung gem. § 4 Nr. 1b i. V. m. § 6a UStG.'
+  },
+  thirdPartyCountryDelivery: {
+    lexware: 'thirdPartyCountryDelivery',
+    zeroRate: true,
+    countries: 'non-eu',
+    note: 'Steuerfreie Ausfuhrlieferung gem. § 4 Nr. 1a i. V. m. § 6 UStG.'
+  },
+  thirdPartyCountryService: {
+    lexware: 'thirdPartyCountryService',
+    zeroRate: true,
+    countries: 'non-eu',
+    note: 'Nicht im Inland steuerbare Leistung. Steuerschuldnerschaft des Leistungsempfängers.'
+  }
+};
 
-  const wb = XLSX.read(Buffer.from(excelBase64, 'base64'), { type: 'buffer' });
+const TAX_NOTE_LINE_NAME = 'Hinweis zur Umsatzsteuer';
+
+const TAX_TYPE_ALIASES = {
+  netto: 'net',
+  brutto: 'gross',
+  steuerfrei: 'vatfree',
+  kleinunternehmer: 'smallBusiness',
+  eu: 'intraCommunitySupply',
+  innergemeinschaftlich: 'intraCommunitySupply',
+  thirdpartycountry: 'thirdPartyCountryDelivery',
+  drittland: 'thirdPartyCountryDelivery',
+  export: 'thirdPartyCountryDelivery',
+  ausfuhr: 'thirdPartyCountryDelivery',
+  drittlandleistung: 'thirdPartyCountryService'
+};
 
-  const angebotRows = sheetToJson(wb, 'Angebot');
-  const kundeRows = sheetToJson(wb, 'Kunde');
-  const posRows = sheetToJson(wb, 'Positionen');
+// "Intra-Community Supply", "EU", "kleinunternehmer" … → Schlüssel aus TAX_TYPES; unbekannt → null
+function normalizeTaxType(v) {
+  const key = toLowerTrim(v).replace(/[\s\-_]+/g, '');
+  if (!key) return null;
+  return Object.keys(TAX_TYPES).find(t => t.toLowerCase() === key) || TAX_TYPE_ALIASES[key] || null;
+}
 
-  if (!angebotRows) errors.push({ sheet: 'Angebot', message: 'Sheet „Angebot“ fehlt.' });
-  if (!kundeRows) errors.push({ sheet: 'Kunde', message: 'Sheet „Kunde“ fehlt.' });
-  if (!posRows) errors.push({ sheet: 'Positionen', message: 'Sheet „Positionen“ fehlt.' });
-  if (errors.length) return { ok: false, payload: null, summary: { errors, warnings } };
+function normalizeVatId(v) {
+  return String(v ?? '').replace(/[\s.\-]/g, '').toUpperCase();
+}
 
-  const angebot = sheetRowsToKeyValueObject(angebotRows) || angebotRows[0] || {};
-  const taxType = String(angebot.taxType || angebot.TaxType || angebot.TAXTYPE || '').trim();
-  if (!taxType) errors.push({ sheet: 'Angebot', row: 2, field: 'taxType', message: 'taxType ist Pflicht (z. B. „gross“ oder „net“).' });
+// Land + USt-IdNr. des Kunden gegen die Steuerart prüfen (Fehler/Hinweise im Sheet Kunde)
+function checkTaxCountry(taxType, { countryCode, vatId }, { errors, warnings }) {
+  const mode = TAX_TYPES[taxType];
+  const isEu = EU_COUNTRIES.includes(countryCode);
+
+  if (mode.countries === 'eu' && (!isEu || countryCode === 'DE')) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'countryCode', message: `taxType ${taxType} gilt nur für Kunden in anderen EU-Ländern (countryCode=${countryCode}).` });
+  } else if (mode.countries === 'non-eu' && isEu) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'countryCode', message: `taxType ${taxType} gilt nur für Kunden außerhalb der EU (countryCode=${countryCode}).` });
+  } else if (!mode.zeroRate && !isEu) {
+    warnings.push({ sheet: 'Kunde', row: 2, message: `Kunde außerhalb der EU (countryCode=${countryCode}) → taxType thirdPartyCountryDelivery/-Service prüfen.` });
+  }
 
-  const kunde = sheetRowsToKeyValueObject(kundeRows) || kundeRows[0] || {};
-  const customerName = String(kunde.name || kunde.Name || '').trim();
-  if (!customerName) errors.push({ sheet: 'Kunde', row: 2, field: 'name', message: 'Kundenname ist Pflicht.' });
+  if (!mode.vatId) return;
+  // Griechenland nutzt in der USt-IdNr. das Präfix EL
+  const prefix = countryCode === 'GR' ? 'EL' : countryCode;
+  if (!vatId) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'vatRegistrationId', message: `vatRegistrationId (USt-IdNr. des Kunden) ist Pflicht bei taxType ${taxType}.` });
+  } else if (!new RegExp(`^${prefix}[0-9A-Z]{2,12}$`).test(vatId)) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'vatRegistrationId', message: `vatRegistrationId "${vatId}" passt nicht zu countryCode ${countryCode} (erwartet ${prefix}…).` });
+  }
+}
 
-  const taxConditions = taxType ? { taxType } : null;
-  if (!taxConditions) errors.push({ sheet: 'Angebot', row: 2, field: 'taxConditions', message: 'taxConditions.taxType ist Pflicht.' });
+function taxNoteText(taxType, { vatId, taxNote }) {
+  const mode = TAX_TYPES[taxType];
+  if (taxNote) return taxNote;
+  if (!mode.note) return null;
+  return mode.vatId && vatId ? `${mode.note} USt-IdNr. des Leistungsempfängers: ${vatId}.` : mode.note;
+}
 
-  const voucherDate = new Date().toISOString();
-  const expirationDate = new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString();
+// ------------------------------------------------------------
+// Druckpreis-Rechner: Preisregeln aus Datei (Default) oder Sheet
+// ------------------------------------------------------------
+const defaultPriceRules = (() => {
+  try {
+    const { rules, errors } = normalizeRules(loadRulesFile(PRICE_RULES_FILE), { firstRow: 1 });
+    errors.forEach(e => console.error(`Preisregeln (${PRICE_RULES_FILE}) Eintrag ${e.row}: ${e.message}`));
+    return rules;
+  } catch (err) {
+    console.error(`Preisregeln konnten nicht geladen werden (${PRICE_RULES_FILE}):`, err.message);
+    return [];
+  }
+})();
 
-  const address = {
-    name: customerName || undefined,
-    contactId: String(kunde.contactId || '').trim() || undefined,
-    street: String(kunde.street || '').trim() || undefined,
-    zip: String(kunde.zip || '').trim() || undefined,
-    city: String(kunde.city || '').trim() || undefined,
-    countryCode: String(kunde.countryCode || 'DE').trim() || 'DE',
-    contactPerson: String(kunde.contactPerson || '').trim() || undefined,
-    email: String(kunde.email || '').trim() || undefined,
-    phone: String(kunde.phone || '').trim() || undefined
-  };
+function resolvePriceRules(priceRuleRows, errors) {
+  if (!priceRuleRows || !priceRuleRows.length) return defaultPriceRules;
 
-  // --------------------------------------------------------
-  // ✅ Mapping: articleNumber -> articleId (priorität) -> dann articleTitle
-  // --------------------------------------------------------
-  const needsMapping = posRows.some(r => {
-    const type = toLowerTrim(r.type);
-    const title = String(r.articleTitle || r.articleText || r.article || '').trim();
-    const nr = getRowArticleNumber(r);
-    const id = String(r.articleId || r.articleID || '').trim();
-    const bad = isBadExcelArticleId(id);
-    return bad && (type === 'material' || type === 'service' || type === 'custom') && (!!title || !!nr);
-  });
+  const { rules, errors: ruleErrors } = normalizeRules(priceRuleRows);
+  ruleErrors.forEach(e => errors.push({ sheet: 'Preisregeln', ...e }));
+  return rules;
+}
 
-  let titleToIds = null;
-  let numberToIds = null;
+// ------------------------------------------------------------
+// Einkaufspreise + Marge (nur intern, nie im Lexware-Payload)
+// ------------------------------------------------------------
+// lokale Tabelle je Mandant (costTableFile in TENANTS_FILE, sonst COST_TABLE_FILE), einmal geladen
+function tenantCostTable() {
+  const t = tenant();
+  if (t.costTable) return t.costTable;
+  const file = t.costTableFile ? path.resolve(__dirname, t.costTableFile) : COST_TABLE_FILE;
+  try {
+    const { costs, errors } = normalizeCostRows(loadCostTableFile(file), { firstRow: 1 });
+    errors.forEach(e => console.error(`Einkaufspreise (${file}) Eintrag ${e.row}: ${e.message}`));
+    t.costTable = costs;
+  } catch (err) {
+    console.error(`Einkaufspreise konnten nicht geladen werden (${file}):`, err.message);
+    t.costTable = new Map();
+  }
+  return t.costTable;
+}
 
-  if (needsMapping) {
-    const articles = await listAllArticlesCached(false);
+// Sheet "Einkaufspreise" vor lokaler Tabelle → articleNumber → { unitCost, costSource } | null
+function resolveCostLookup(costRows, errors) {
+  let sheetCosts = new Map();
+  if (costRows?.length) {
+    const normalized = normalizeCostRows(costRows);
+    normalized.errors.forEach(e => errors.push({ sheet: 'Einkaufspreise', ...e }));
+    sheetCosts = normalized.costs;
+  }
+  const tableCosts = tenantCostTable();
 
-    titleToIds = new Map();   // lower(title) -> [id]
-    numberToIds = new Map();  // lower(articleNumber) -> [id]
+  return articleNumber => {
+    const k = String(articleNumber || '').trim().toLowerCase();
+    if (!k) return null;
+    if (sheetCosts.has(k)) return { unitCost: sheetCosts.get(k), costSource: 'sheet' };
+    if (tableCosts.has(k)) return { unitCost: tableCosts.get(k), costSource: 'table' };
+    return null;
+  };
+}
 
-    for (const a of (articles || [])) {
-      const id = String(a.id || '').trim();
-      const t = String(a.title || '').trim();
-      const n = String(a.articleNumber || '').trim();
+// eine Margenzeile je Excel-Zeile (Größen zusammengefasst); Einrichtungspositionen ohne Einkaufspreis
+function marginLinesForRow({ row, name, quantity, items, setupItems, cost }) {
+  return [
+    { row, name, quantity, revenue: round2(items.reduce((sum, li) => sum + lineNetRevenue(li), 0)), unitCost: cost?.unitCost ?? null, costSource: cost?.costSource ?? null },
+    ...setupItems.map(su => ({ row, name: su.name, quantity: su.quantity, revenue: lineNetRevenue(su), unitCost: null, costSource: null }))
+  ];
+}
 
-      if (id) {
-        if (t) {
-          const k = t.toLowerCase();
-          if (!titleToIds.has(k)) titleToIds.set(k, []);
-          titleToIds.get(k).push(id);
-        }
-        if (n) {
-          const k = n.toLowerCase();
-          if (!numberToIds.has(k)) numberToIds.set(k, []);
-          numberToIds.get(k).push(id);
-        }
-      }
-    }
-  }
+const formatEurPlain = n => `${round2(n).toFixed(2)} EUR`;
 
-  const lineItems = [];
+// Unterschreitung der Mindestmarge → Warnung oder Fehler (MARGIN_CHECK)
+function checkMargins(margins, { posSheet, errors, warnings }) {
+  const target = MARGIN_CHECK === 'error' ? errors : warnings;
+  const percent = p => (p === null ? 'kein Erlös' : `${p} %`);
+
+  for (const l of margins.lines.filter(x => x.belowMinimum)) {
+    target.push({
+      sheet: posSheet,
+      row: l.row,
+      field: 'Einkaufspreis',
+      message: `Marge ${percent(l.marginPercent)} unter Mindestmarge ${margins.minMarginPercent} % („${l.name}“: Erlös ${formatEurPlain(l.revenue)}, Einkauf ${formatEurPlain(l.cost)} netto).`
+    });
+  }
+  if (margins.total.belowMinimum) {
+    target.push({
+      sheet: posSheet,
+      field: 'Marge',
+      message: `Gesamtmarge ${percent(margins.total.marginPercent)} unter Mindestmarge ${margins.minMarginPercent} % (Erlös ${formatEurPlain(margins.total.revenue)}, Einkauf ${formatEurPlain(margins.total.cost)} netto).`
+    });
+  }
+}
+
+// Einkaufspreise und Marge erst ab Rolle sales: darunter fehlen summary.margins und die Margenwarnungen
+// in Antworten, Job-Ergebnissen und gespeicherten Idempotency-Ergebnissen; Fehler bleiben ohne Beträge sichtbar
+const COST_WARNING_FIELDS = new Set(['Einkaufspreis', 'Marge']);
+const COST_HIDDEN_MESSAGE = 'Einkaufspreis/Marge unzulässig – Details sieht erst die Rolle sales.';
+
+function withoutCostData(value) {
+  if (Array.isArray(value)) return value.map(withoutCostData);
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === 'margins') continue;
+    if (k === 'warnings' && Array.isArray(v)) out[k] = v.filter(w => !COST_WARNING_FIELDS.has(w?.field)).map(withoutCostData);
+    else if (k === 'errors' && Array.isArray(v)) out[k] = v.map(e => (COST_WARNING_FIELDS.has(e?.field) ? { ...e, message: COST_HIDDEN_MESSAGE } : withoutCostData(e)));
+    else out[k] = withoutCostData(v);
+  }
+  return out;
+}
+
+function costDataForRole(value, role) {
+  return roleAllows(role, 'sales') ? value : withoutCostData(value);
+}
+
+// ------------------------------------------------------------
+// Größen-Matrix (qty_XS … qty_5XL) + Größenaufschlag, siehe lib/sizeMatrix
+// ------------------------------------------------------------
+function addToUnitPrice(unitPrice, amount, taxType) {
+  const base = String(taxType).trim() === 'gross' ? unitPrice.grossAmount : unitPrice.netAmount;
+  return buildUnitPriceFromExcel({ taxType, amount: base + amount, taxRate: unitPrice.taxRatePercentage });
+}
+
+// ------------------------------------------------------------
+// Angebotskopf (Sheet "Angebot"): Datum, Gültigkeit, Texte, Zahlung, Lieferung
+// ------------------------------------------------------------
+const DEFAULT_VALID_DAYS = 30;
+
+const SHIPPING_TYPES = {
+  none: 'none',
+  keine: 'none',
+  service: 'service',
+  leistung: 'service',
+  serviceperiod: 'serviceperiod',
+  leistungszeitraum: 'serviceperiod',
+  delivery: 'delivery',
+  lieferung: 'delivery',
+  deliveryperiod: 'deliveryperiod',
+  lieferzeitraum: 'deliveryperiod'
+};
+
+// Excel-Seriennummer, Date, JJJJ-MM-TT oder TT.MM.JJJJ → Date; leer → null; ungültig → undefined.
+// 12:00 UTC, damit der Kalendertag in jeder Zeitzone derselbe bleibt.
+function parseSheetDate(v) {
+  if (v === '' || v === null || v === undefined) return null;
+
+  let y, m, d;
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) return undefined;
+    [y, m, d] = [v.getFullYear(), v.getMonth() + 1, v.getDate()];
+  } else if (typeof v === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(v);
+    if (!parsed) return undefined;
+    ({ y, m, d } = parsed);
+  } else {
+    const str = String(v).trim();
+    let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+      [y, m, d] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = str.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) {
+      [d, m, y] = [match[1], match[2], match[3]].map(Number);
+      if (y < 100) y += 2000;
+    } else {
+      return undefined;
+    }
+  }
+
+  const date = new Date(Date.UTC(y, m - 1, d, 12));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return undefined; // z. B. 31.02.
+  return date;
+}
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 3600 * 1000);
+}
+
+function readOfferHeader(angebot, { errors, rowOf }) {
+  const err = (field, message) => errors.push({ sheet: 'Angebot', row: rowOf(field), field, message });
+  const text = field => String(angebot[field] ?? '').trim();
+  const date = field => {
+    const parsed = parseSheetDate(angebot[field]);
+    if (parsed === undefined) err(field, `${field} "${angebot[field]}" ist kein gültiges Datum (TT.MM.JJJJ oder JJJJ-MM-TT).`);
+    return parsed;
+  };
+  const wholeNumber = (field, min) => {
+    if (!text(field)) return null;
+    const n = numOrNull(text(field).replace(',', '.'));
+    if (!Number.isInteger(n) || n < min) {
+      err(field, `${field} muss eine ganze Zahl ≥ ${min} sein.`);
+      return undefined;
+    }
+    return n;
+  };
+
+  const header = {};
+
+  // --- Datum + Gültigkeit (expirationDate ODER validDays) ---
+  const givenVoucherDate = date('voucherDate');
+  const voucherDate = givenVoucherDate || new Date();
+  let expirationDate = date('expirationDate');
+  const validDays = wholeNumber('validDays', 1);
+  if (validDays && expirationDate) {
+    err('validDays', 'Entweder validDays oder expirationDate setzen, nicht beides.');
+  } else if (validDays) {
+    expirationDate = addDays(voucherDate, validDays);
+  }
+  if (!expirationDate) expirationDate = addDays(voucherDate, DEFAULT_VALID_DAYS);
+  if (givenVoucherDate !== undefined && dayOf(expirationDate) < dayOf(voucherDate)) {
+    err('expirationDate', 'expirationDate liegt vor voucherDate.');
+  }
+
+  header.voucherDate = voucherDate.toISOString();
+  header.expirationDate = expirationDate.toISOString();
+
+  // --- Texte ---
+  if (/[\r\n]/.test(text('title'))) err('title', 'title muss einzeilig sein.');
+  for (const field of ['title', 'introduction', 'remark']) {
+    if (text(field)) header[field] = text(field);
+  }
+
+  // --- Zahlungsbedingungen (optional Skonto) ---
+  const termLabel = text('paymentTermLabel');
+  const termDays = wholeNumber('paymentTermDuration', 0);
+  const discountPct = numOrNull(text('paymentDiscountPercentage').replace(',', '.'));
+  const discountDays = wholeNumber('paymentDiscountRange', 1);
+  const hasDiscount = text('paymentDiscountPercentage') !== '' || discountDays != null;
+
+  if (text('paymentDiscountPercentage') && !(discountPct > 0 && discountPct < 100)) {
+    err('paymentDiscountPercentage', 'paymentDiscountPercentage muss zwischen 0 und 100 liegen.');
+  } else if (hasDiscount && (discountPct === null || discountDays === null)) {
+    err(discountPct === null ? 'paymentDiscountRange' : 'paymentDiscountPercentage', 'Skonto braucht paymentDiscountPercentage und paymentDiscountRange (Tage).');
+  } else if ((termLabel || hasDiscount) && termDays === null) {
+    err('paymentTermDuration', 'paymentTermDuration (Tage) ist Pflicht, wenn Zahlungsbedingungen gesetzt sind.');
+  } else if (hasDiscount && discountDays > termDays) {
+    err('paymentDiscountRange', 'paymentDiscountRange darf nicht länger sein als paymentTermDuration.');
+  } else if (termDays != null) {
+    const net = termDays === 0 ? 'Zahlbar sofort ohne Abzug.' : `Zahlbar innerhalb von ${termDays} Tagen ohne Abzug.`;
+    header.paymentConditions = {
+      paymentTermLabel: termLabel || (hasDiscount ? `Zahlbar innerhalb von ${discountDays} Tagen mit ${discountPct} % Skonto. ${net}` : net),
+      paymentTermDuration: termDays
+    };
+    if (hasDiscount) {
+      header.paymentConditions.paymentDiscountConditions = { discountPercentage: discountPct, discountRange: discountDays };
+    }
+  }
+
+  // --- Lieferung / Leistung (Typ ohne Angabe → aus den Daten abgeleitet) ---
+  const shippingDate = date('shippingDate');
+  const shippingEndDate = date('shippingEndDate');
+  let shippingType = 'none';
+  if (text('shippingType')) {
+    shippingType = SHIPPING_TYPES[toLowerTrim(text('shippingType')).replace(/[\s\-_]+/g, '')];
+    if (!shippingType) {
+      err('shippingType', `shippingType "${text('shippingType')}" ist ungültig (${[...new Set(Object.values(SHIPPING_TYPES))].join(', ')}).`);
+      shippingType = 'none';
+    }
+  } else if (shippingDate) {
+    shippingType = shippingEndDate ? 'deliveryperiod' : 'delivery';
+  }
+
+  const isPeriod = shippingType.endsWith('period');
+  if (shippingDate === undefined || shippingEndDate === undefined) {
+    // ungültiges Datum ist bereits gemeldet
+  } else if (shippingType === 'none' && (shippingDate || shippingEndDate)) {
+    err('shippingType', 'shippingType none erlaubt kein shippingDate/shippingEndDate.');
+  } else if (shippingType !== 'none' && !shippingDate) {
+    err('shippingDate', `shippingDate ist Pflicht bei shippingType=${shippingType}.`);
+  } else if (isPeriod && !shippingEndDate) {
+    err('shippingEndDate', `shippingEndDate ist Pflicht bei shippingType=${shippingType}.`);
+  } else if (!isPeriod && shippingEndDate) {
+    err('shippingEndDate', 'shippingEndDate nur bei Zeiträumen (serviceperiod, deliveryperiod).');
+  } else if (isPeriod && dayOf(shippingEndDate) < dayOf(shippingDate)) {
+    err('shippingEndDate', 'shippingEndDate liegt vor shippingDate.');
+  }
+
+  header.shippingConditions = { shippingType };
+  if (shippingType !== 'none' && shippingDate) header.shippingConditions.shippingDate = shippingDate.toISOString();
+  if (isPeriod && shippingEndDate) header.shippingConditions.shippingEndDate = shippingEndDate.toISOString();
+
+  return header;
+}
+
+// ------------------------------------------------------------
+// Excel (xlsx/ods/csv/json) -> Quotation Payload
+// ------------------------------------------------------------
+const MISSING_SHEET_MESSAGES = {
+  csv: name => `Abschnitt [${name}] fehlt.`,
+  json: name => `Schlüssel „${name.toLowerCase()}“ fehlt.`
+};
+
+// excelData = base64 (xlsx, ods, csv oder json); alternativ offer = JSON-Objekt direkt im Body
+function offerSource(body) {
+  if (body?.excelData) return body.excelData;
+  if (body?.offer && typeof body.offer === 'object') return Buffer.from(JSON.stringify(body.offer)).toString('base64');
+  return null;
+}
+
+function readOfferSheets(excelBase64) {
+  const { format, wb, errors: importErrors } = readOfferWorkbook(excelBase64);
+  if (!wb) return { format, sheets: {}, errors: importErrors };
+
+  const sheets = {
+    angebotRows: sheetToJson(wb, 'Angebot'),
+    kundeRows: sheetToJson(wb, 'Kunde'),
+    posRows: sheetToJson(wb, 'Positionen'),
+    configRows: sheetToJson(wb, 'Konfiguration'), // optional
+    priceRuleRows: sheetToJson(wb, 'Preisregeln'), // optional
+    costRows: sheetToJson(wb, 'Einkaufspreise') // optional
+  };
+
+  const errors = [...importErrors];
+  const missing = MISSING_SHEET_MESSAGES[format] || (name => `Sheet „${name}“ fehlt.`);
+  if (!sheets.angebotRows) errors.push({ sheet: 'Angebot', message: missing('Angebot') });
+  if (!sheets.kundeRows) errors.push({ sheet: 'Kunde', message: missing('Kunde') });
+  if (!sheets.posRows) errors.push({ sheet: 'Positionen', message: missing('Positionen') });
+
+  return { format, sheets, errors };
+}
+
+async function parseExcelAndBuildQuotationPayload(excelBase64, options) {
+  reportProgress('parsing', 'Datei wird gelesen…');
+  const { format, sheets, errors } = readOfferSheets(excelBase64);
+  if (errors.length) return { ok: false, payload: null, summary: { errors, warnings: [], sourceFormat: format } };
+
+  const { angebotRows, kundeRows, posRows, configRows, priceRuleRows, costRows } = sheets;
+  const angebot = sheetRowsToKeyValueObject(angebotRows) || angebotRows[0] || {};
+  const kunde = sheetRowsToKeyValueObject(kundeRows) || kundeRows[0] || {};
+  const config = configRows ? (sheetRowsToKeyValueObject(configRows) || configRows[0] || {}) : {};
+
+  const parsed = await buildQuotationPayloadFromRows({ angebot, kunde, posRows, config, priceRuleRows, costRows }, { ...options, angebotRowOf: keyValueRowOf(angebotRows) });
+  parsed.summary.sourceFormat = format;
+  return parsed;
+}
+
+// "Titel" (ArtNr …, id …, 87 %) – für Mapping-Hinweise
+function formatArticleCandidates(candidates) {
+  return candidates
+    .map(c => `"${c.title}" (${c.articleNumber ? `ArtNr ${c.articleNumber}, ` : ''}id ${c.id}, ${Math.round(c.score * 100)} %)`)
+    .join('; ');
+}
+
+// Gemeinsamer Kern für Excel und Freitext: Mapping, Preise, Validierung.
+// posSheet/firstRow/rowNumbers/angebotRowOf steuern nur die Fehlerausgabe ({sheet,row,...}).
+async function buildQuotationPayloadFromRows({ angebot, kunde, posRows, config, priceRuleRows, costRows }, { allowPriceOverride, createContact, posSheet = 'Positionen', firstRow = 2, rowNumbers = null, angebotRowOf = () => 2 }) {
+  const errors = [];
+  const warnings = [];
+  const autoNamedLineItems = [];
+  const byType = {};
+
+  const taxTypeInput = String(angebot.taxType || angebot.TaxType || angebot.TAXTYPE || '').trim();
+  if (!taxTypeInput) errors.push({ sheet: 'Angebot', row: angebotRowOf('taxType'), field: 'taxType', message: 'taxType ist Pflicht (z. B. „gross“ oder „net“).' });
+
+  const customerName = String(kunde.name || kunde.Name || '').trim();
+  if (!customerName) errors.push({ sheet: 'Kunde', row: 2, field: 'name', message: 'Kundenname ist Pflicht.' });
+
+  const taxType = normalizeTaxType(taxTypeInput) || taxTypeInput;
+  if (taxTypeInput && !TAX_TYPES[taxType]) {
+    errors.push({ sheet: 'Angebot', row: angebotRowOf('taxType'), field: 'taxType', message: `taxType "${taxTypeInput}" ist ungültig (${Object.keys(TAX_TYPES).join(', ')}).` });
+  }
+  const taxMode = TAX_TYPES[taxType] || null;
+  const taxConditions = taxMode ? { taxType: taxMode.lexware } : null;
+  if (!taxTypeInput) errors.push({ sheet: 'Angebot', row: angebotRowOf('taxType'), field: 'taxConditions', message: 'taxConditions.taxType ist Pflicht.' });
+  // steuerfreie Steuerarten: Preise sind netto, jede Position mit 0 %
+  const rateFor = given => (taxMode?.zeroRate ? 0 : given !== null ? given : 19);
+
+  const sizeConfig = readSizeConfig(config, errors, { defaultMode: SIZE_MODE_DEFAULT });
+  const priceRules = resolvePriceRules(priceRuleRows, errors);
+  const costOf = resolveCostLookup(costRows, errors);
+  const marginLines = [];
+
+  const header = readOfferHeader(angebot, { errors, rowOf: angebotRowOf });
+
+  const address = {
+    name: customerName || undefined,
+    contactId: String(kunde.contactId || '').trim() || undefined,
+    street: String(kunde.street || '').trim() || undefined,
+    zip: String(kunde.zip || '').trim() || undefined,
+    city: String(kunde.city || '').trim() || undefined,
+    countryCode: String(kunde.countryCode || 'DE').trim().toUpperCase() || 'DE',
+    contactPerson: String(kunde.contactPerson || '').trim() || undefined,
+    email: String(kunde.email || '').trim() || undefined,
+    phone: String(kunde.phone || '').trim() || undefined
+  };
+
+  let taxNote = null;
+  if (customerName) reportProgress('mapping', 'Lexware-Kontakt wird gesucht…');
+  const contact = customerName
+    ? await resolveContact(kunde, { errors, warnings, createContact })
+    : { status: 'none', contactId: null, matchedBy: null };
+  if (contact.contactId) address.contactId = contact.contactId;
+
+  if (!/^[A-Z]{2}$/.test(address.countryCode)) {
+    errors.push({ sheet: 'Kunde', row: 2, field: 'countryCode', message: `countryCode "${kunde.countryCode}" ist kein ISO-Ländercode (z. B. DE, AT, CH).` });
+  } else if (taxMode) {
+    // USt-IdNr. aus dem Sheet, sonst vom gefundenen Lexware-Kontakt
+    const vatId = normalizeVatId(kunde.vatRegistrationId ?? kunde.vatId ?? kunde.ustId) || normalizeVatId(contact.vatRegistrationId);
+    checkTaxCountry(taxType, { countryCode: address.countryCode, vatId }, { errors, warnings });
+    if (vatId && contact.status === 'create') contact.vatRegistrationId = vatId;
+    taxNote = taxNoteText(taxType, { vatId, taxNote: String(angebot.taxNote ?? '').trim() });
+  }
+
+  // --------------------------------------------------------
+  // ✅ Mapping: articleNumber -> articleId (priorität) -> dann articleTitle
+  // --------------------------------------------------------
+  const needsMapping = posRows.some(r => {
+    const type = toLowerTrim(r.type);
+    const title = String(r.articleTitle || r.articleText || r.article || '').trim();
+    const nr = getRowArticleNumber(r);
+    const id = String(r.articleId || r.articleID || '').trim();
+    const bad = isBadExcelArticleId(id);
+    return bad && (type === 'material' || type === 'service' || type === 'custom') && (!!title || !!nr);
+  });
+
+  let articleIndex = null; // unscharfe Titelsuche, siehe lib/articleMatch
+  let numberToIds = null;
+
+  if (needsMapping) {
+    reportProgress('mapping', 'Artikel-Katalog wird geladen…');
+    const articles = await listAllArticlesCached(false);
+
+    articleIndex = buildArticleIndex(articles);
+    numberToIds = new Map();  // lower(articleNumber) -> [id]
+
+    for (const a of (articles || [])) {
+      const id = String(a.id || '').trim();
+      const n = String(a.articleNumber || '').trim();
+
+      if (id && n) {
+        const k = n.toLowerCase();
+        if (!numberToIds.has(k)) numberToIds.set(k, []);
+        if (!numberToIds.get(k).includes(id)) numberToIds.get(k).push(id);
+      }
+    }
+  }
+
+  const lineItems = [];
 
   for (let i = 0; i < posRows.length; i++) {
     const row = posRows[i];
-    const excelRow = i + 2;
+    const excelRow = rowNumbers ? rowNumbers[i] : i + firstRow;
+    reportProgress('pricing', `Position ${i + 1}/${posRows.length}`);
 
     const type = toLowerTrim(row.type);
 
@@ -564,60 +1557,84 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
     let name = String(row.name || '').trim();
     const description = String(row.description || '').trim();
 
-    const qty = numOrNull(row.quantity ?? row.qty ?? row.Qty ?? row.Menge ?? row.menge);
+    let qty = numOrNull(row.quantity ?? row.qty ?? row.Qty ?? row.Menge ?? row.menge);
+    const sizes = getRowSizeQuantities(row);
     const unitName = String(row.unitName || row.unit || '').trim();
 
     const unitPriceAmount = numOrNull(row.unitPriceAmount ?? row.unitPrice ?? row.price ?? row.Preis);
     const taxRatePercentage = numOrNull(row.taxRatePercentage ?? row.taxRate ?? row.tax);
     const discountPercent = numOrNull(row.discountPercent ?? row.discount);
+    const printMethod = String(row.printMethod || '').trim();
+    const purchaseCell = purchasePriceCell(row);
+    const purchasePrice = numOrNull(purchaseCell);
 
-    const hasAny = type || articleTitle || articleNumber || articleId || name || description || qty || unitName || unitPriceAmount || taxRatePercentage || discountPercent;
+    const hasAny = type || articleTitle || articleNumber || articleId || name || description || qty || sizes.length || unitName || unitPriceAmount || taxRatePercentage || discountPercent || printMethod;
     if (!hasAny) continue;
 
     if (!type) {
-      errors.push({ sheet: 'Positionen', row: excelRow, field: 'type', message: 'type ist Pflicht.' });
+      errors.push({ sheet: posSheet, row: excelRow, field: 'type', message: 'type ist Pflicht.' });
       continue;
     }
 
     byType[type] = (byType[type] || 0) + 1;
 
     // ✅ Auto-map (1) articleNumber, (2) articleTitle
-    if (!articleId && (type === 'material' || type === 'service' || type === 'custom') && (numberToIds || titleToIds)) {
+    if (!articleId && (type === 'material' || type === 'service' || type === 'custom') && (numberToIds || articleIndex)) {
       // (1) via articleNumber
       if (articleNumber && numberToIds) {
         const hits = numberToIds.get(articleNumber.toLowerCase()) || [];
         if (hits.length === 1) {
           articleId = hits[0];
-          warnings.push({ sheet: 'Positionen', row: excelRow, message: `articleNumber "${articleNumber}" → articleId automatisch gesetzt.` });
+          warnings.push({ sheet: posSheet, row: excelRow, message: `articleNumber "${articleNumber}" → articleId automatisch gesetzt.` });
         } else if (hits.length > 1) {
           errors.push({
-            sheet: 'Positionen',
+            sheet: posSheet,
             row: excelRow,
             field: 'articleNumber',
             message: `articleNumber "${articleNumber}" ist nicht eindeutig (${hits.length} Treffer). Bitte articleId direkt setzen.`
           });
           continue;
         } else {
-          warnings.push({ sheet: 'Positionen', row: excelRow, message: `articleNumber "${articleNumber}" konnte nicht gemappt werden (kein Treffer).` });
+          warnings.push({ sheet: posSheet, row: excelRow, message: `articleNumber "${articleNumber}" konnte nicht gemappt werden (kein Treffer).` });
         }
       }
 
-      // (2) via articleTitle (nur wenn immer noch leer)
-      if (!articleId && articleTitle && titleToIds) {
-        const hits = titleToIds.get(articleTitle.toLowerCase()) || [];
-        if (hits.length === 1) {
-          articleId = hits[0];
-          warnings.push({ sheet: 'Positionen', row: excelRow, message: `articleTitle "${articleTitle}" → articleId automatisch gesetzt.` });
-        } else if (hits.length > 1) {
+      // (2) via articleTitle (nur wenn immer noch leer): normalisiert + unscharf,
+      //     automatisch nur bei einem sicheren Treffer (siehe pickAutoMatch), sonst Top-3-Vorschläge
+      if (!articleId && articleTitle && articleIndex) {
+        const candidates = matchTitle(articleIndex, articleTitle, { limit: 10 });
+        const exact = candidates.filter(c => c.score === 1);
+        const hit = pickAutoMatch(candidates);
+        const suggestions = candidates.slice(0, 3);
+
+        if (exact.length > 1) {
           errors.push({
-            sheet: 'Positionen',
+            sheet: posSheet,
             row: excelRow,
             field: 'articleTitle',
-            message: `articleTitle "${articleTitle}" ist nicht eindeutig (${hits.length} Treffer). Bitte articleNumber oder articleId setzen.`
+            message: `articleTitle "${articleTitle}" ist nicht eindeutig (${exact.length} Treffer: ${formatArticleCandidates(exact)}). Bitte articleNumber oder articleId setzen.`,
+            candidates: exact
           });
           continue;
+        } else if (hit) {
+          articleId = hit.id;
+          warnings.push({
+            sheet: posSheet,
+            row: excelRow,
+            message: hit.score === 1
+              ? `articleTitle "${articleTitle}" → articleId automatisch gesetzt.`
+              : `articleTitle "${articleTitle}" → ähnlicher Artikel ${formatArticleCandidates([hit])} automatisch gesetzt.`,
+            match: hit
+          });
         } else {
-          warnings.push({ sheet: 'Positionen', row: excelRow, message: `articleTitle "${articleTitle}" konnte nicht gemappt werden (kein Treffer).` });
+          warnings.push({
+            sheet: posSheet,
+            row: excelRow,
+            message: suggestions.length
+              ? `articleTitle "${articleTitle}" konnte nicht eindeutig gemappt werden. Vorschläge: ${formatArticleCandidates(suggestions)}.`
+              : `articleTitle "${articleTitle}" konnte nicht gemappt werden (kein Treffer).`,
+            candidates: suggestions
+          });
         }
       }
     }
@@ -628,18 +1645,32 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
       continue;
     }
 
+    if (sizes.length) {
+      const badSize = sizes.find(s => !(s.qty > 0));
+      if (badSize) {
+        errors.push({ sheet: posSheet, row: excelRow, field: `qty_${badSize.size}`, message: `qty_${badSize.size} muss größer als 0 sein.` });
+        continue;
+      }
+      const sizeSum = sizes.reduce((sum, s) => sum + s.qty, 0);
+      if (qty !== null && qty !== sizeSum) {
+        errors.push({ sheet: posSheet, row: excelRow, field: 'quantity', message: `quantity (${qty}) passt nicht zur Summe der Größen (${sizeSum}). Feld leer lassen oder korrigieren.` });
+        continue;
+      }
+      qty = sizeSum;
+    }
+
     if (!(qty > 0)) {
-      errors.push({ sheet: 'Positionen', row: excelRow, field: 'qty', message: 'qty muss größer als 0 sein.' });
+      errors.push({ sheet: posSheet, row: excelRow, field: 'qty', message: 'qty muss größer als 0 sein.' });
       continue;
     }
 
     if (!unitName) {
-      errors.push({ sheet: 'Positionen', row: excelRow, field: 'unitName', message: 'unitName ist Pflicht.' });
+      errors.push({ sheet: posSheet, row: excelRow, field: 'unitName', message: 'unitName ist Pflicht.' });
       continue;
     }
 
     if ((type === 'material' || type === 'service') && !articleId) {
-      errors.push({ sheet: 'Positionen', row: excelRow, field: 'articleId', message: 'articleId ist Pflicht bei type=material/service.' });
+      errors.push({ sheet: posSheet, row: excelRow, field: 'articleId', message: 'articleId ist Pflicht bei type=material/service.' });
       continue;
     }
 
@@ -648,7 +1679,7 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
       articleObj = await getArticleById(articleId);
       if (!articleObj) {
         errors.push({
-          sheet: 'Positionen',
+          sheet: posSheet,
           row: excelRow,
           field: 'articleId',
           message: `Artikel konnte nicht geladen werden (articleId=${articleId}).`
@@ -657,16 +1688,24 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
       }
     }
 
+    if (String(purchaseCell).trim() !== '' && (purchasePrice === null || purchasePrice < 0)) {
+      errors.push({ sheet: posSheet, row: excelRow, field: 'Einkaufspreis', message: `Einkaufspreis "${purchaseCell}" ist keine gültige Zahl ≥ 0 (netto je Einheit).` });
+      continue;
+    }
+    const cost = purchasePrice !== null
+      ? { unitCost: purchasePrice, costSource: 'column' }
+      : costOf(articleNumber || articleObj?.articleNumber);
+
     if (!name && articleId) {
       const autoName = articleObj?.title || `Artikel ${articleId}`;
       name = autoName;
       autoNamedLineItems.push({ row: excelRow, articleId, name: autoName });
-      warnings.push({ sheet: 'Positionen', row: excelRow, message: `Name war leer → automatisch aus Artikel ergänzt: "${autoName}".` });
+      warnings.push({ sheet: posSheet, row: excelRow, message: `Name war leer → automatisch aus Artikel ergänzt: "${autoName}".` });
     }
     if (!name) {
       name = `Position ${excelRow}`;
       autoNamedLineItems.push({ row: excelRow, articleId: articleId || null, name });
-      warnings.push({ sheet: 'Positionen', row: excelRow, message: `Name war leer → automatisch gesetzt: "${name}".` });
+      warnings.push({ sheet: posSheet, row: excelRow, message: `Name war leer → automatisch gesetzt: "${name}".` });
     }
 
     const item = {
@@ -681,26 +1720,80 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
       item.id = articleId;
     }
 
+    // --- Druckpreis-Rechner (printMethod) ---
+    const setupItems = [];
+    let printCalc = null;
+
+    if (printMethod) {
+      if (type !== 'custom') {
+        errors.push({ sheet: posSheet, row: excelRow, field: 'printMethod', message: 'printMethod ist nur bei type=custom erlaubt.' });
+        continue;
+      }
+
+      if (unitPriceAmount !== null) {
+        warnings.push({ sheet: posSheet, row: excelRow, message: 'unitPriceAmount gesetzt → Druckpreis-Rechner übersprungen.' });
+      } else if (articleId && allowPriceOverride !== true) {
+        warnings.push({ sheet: posSheet, row: excelRow, message: `articleId gesetzt → Preis aus Artikelstamm statt Druckpreis-Rechner (articleId=${articleId}).` });
+      } else {
+        printCalc = calculatePrintPrice(priceRules, {
+          method: printMethod,
+          quantity: qty,
+          colors: numOrNull(row.printColors),
+          stitches: numOrNull(row.printStitches),
+          positions: numOrNull(row.printPositions)
+        });
+        if (!printCalc.ok) {
+          errors.push({ sheet: posSheet, row: excelRow, field: printCalc.field, message: printCalc.message });
+          continue;
+        }
+      }
+    }
+
+    if (taxMode?.zeroRate && taxRatePercentage) {
+      warnings.push({ sheet: posSheet, row: excelRow, message: `taxRatePercentage ${taxRatePercentage} ignoriert → 0 % (taxType ${taxType}).` });
+    }
+
     // --- AUTO unitPrice ---
     const canUseExcelPrice =
       unitPriceAmount !== null &&
       !(type === 'material' || type === 'service') &&
       !(type === 'custom' && articleId && allowPriceOverride !== true);
 
-    if (canUseExcelPrice) {
-      const rate = taxRatePercentage !== null ? taxRatePercentage : 19;
+    if (printCalc) {
+      // Preisregeln sind Netto-Preise → über die net-Logik bauen, gross ergibt sich daraus
+      const rate = rateFor(taxRatePercentage);
+      item.unitPrice = buildUnitPriceFromExcel({ taxType: 'net', amount: printCalc.unitNet, taxRate: rate });
+
+      for (const su of printCalc.setup) {
+        setupItems.push({
+          type: 'custom',
+          name: su.name,
+          quantity: su.quantity,
+          unitName: 'Stk',
+          unitPrice: buildUnitPriceFromExcel({ taxType: 'net', amount: su.unitNet, taxRate: rate })
+        });
+      }
+
+      warnings.push({
+        sheet: posSheet,
+        row: excelRow,
+        message: `Druckpreis berechnet: ${printCalc.method}, Staffel ab ${printCalc.tier.minQty} Stk → ${round2(printCalc.unitNet)} EUR netto/Stk` +
+          (setupItems.length ? ` + ${setupItems.map(su => `${su.quantity}× ${su.name}`).join(', ')}` : '') + '.'
+      });
+    } else if (canUseExcelPrice) {
+      const rate = rateFor(taxRatePercentage);
       const up = buildUnitPriceFromExcel({ taxType, amount: unitPriceAmount, taxRate: rate });
       if (!up) {
-        errors.push({ sheet: 'Positionen', row: excelRow, field: 'unitPriceAmount', message: 'unitPrice konnte aus Excel nicht gebaut werden.' });
+        errors.push({ sheet: posSheet, row: excelRow, field: 'unitPriceAmount', message: 'unitPrice konnte aus Excel nicht gebaut werden.' });
         continue;
       }
       item.unitPrice = up;
     } else {
       if (articleId) {
-        const up = buildUnitPriceFromArticle(articleObj);
+        const up = buildUnitPriceFromArticle(articleObj, { taxRate: taxMode?.zeroRate ? 0 : null });
         if (!up) {
           errors.push({
-            sheet: 'Positionen',
+            sheet: posSheet,
             row: excelRow,
             field: 'unitPriceAmount',
             message: `unitPrice fehlt/ist unvollständig im Artikelstamm (articleId=${articleId}).`
@@ -711,7 +1804,7 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
 
         if (unitPriceAmount === null || type === 'material' || type === 'service') {
           warnings.push({
-            sheet: 'Positionen',
+            sheet: posSheet,
             row: excelRow,
             message: `Preis automatisch aus Artikelstamm gesetzt (articleId=${articleId}).`
           });
@@ -719,17 +1812,17 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
       } else {
         if (unitPriceAmount === null) {
           errors.push({
-            sheet: 'Positionen',
+            sheet: posSheet,
             row: excelRow,
             field: 'unitPriceAmount',
             message: 'Preis ist Pflicht, wenn keine articleId gesetzt ist.'
           });
           continue;
         }
-        const rate = taxRatePercentage !== null ? taxRatePercentage : 19;
+        const rate = rateFor(taxRatePercentage);
         const up = buildUnitPriceFromExcel({ taxType, amount: unitPriceAmount, taxRate: rate });
         if (!up) {
-          errors.push({ sheet: 'Positionen', row: excelRow, field: 'unitPriceAmount', message: 'unitPrice konnte aus Excel nicht gebaut werden.' });
+          errors.push({ sheet: posSheet, row: excelRow, field: 'unitPriceAmount', message: 'unitPrice konnte aus Excel nicht gebaut werden.' });
           continue;
         }
         item.unitPrice = up;
@@ -739,14 +1832,37 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
     if (discountPercent !== null) item.discountPercentage = discountPercent;
 
     if (!item.unitPrice) {
-      errors.push({ sheet: 'Positionen', row: excelRow, field: 'unitPrice', message: 'unitPrice fehlt (würde Lexware 406 auslösen).' });
+      errors.push({ sheet: posSheet, row: excelRow, field: 'unitPrice', message: 'unitPrice fehlt (würde Lexware 406 auslösen).' });
       continue;
     }
 
-    lineItems.push(item);
+    if (!sizes.length) {
+      lineItems.push(item, ...setupItems);
+      marginLines.push(...marginLinesForRow({ row: excelRow, name, quantity: qty, items: [item], setupItems, cost }));
+      continue;
+    }
+
+    const surchargedPrice = sizeConfig.surcharge > 0 ? addToUnitPrice(item.unitPrice, sizeConfig.surcharge, taxType) : item.unitPrice;
+    const expanded = expandSizeLineItems(item, sizes, sizeConfig, surchargedPrice);
+    if (expanded.some(li => !li.unitPrice)) {
+      errors.push({ sheet: posSheet, row: excelRow, field: 'unitPrice', message: 'Größenaufschlag konnte nicht auf den Preis angewendet werden.' });
+      continue;
+    }
+    if (sizeConfig.surcharge > 0 && sizes.some(s => SIZE_COLUMNS.indexOf(s.size) >= sizeConfig.fromIndex)) {
+      warnings.push({ sheet: posSheet, row: excelRow, message: `Größenaufschlag ${sizeConfig.surcharge} EUR (${taxType}) ab ${sizeConfig.from} angewendet.` });
+    }
+    lineItems.push(...expanded, ...setupItems);
+    marginLines.push(...marginLinesForRow({ row: excelRow, name, quantity: qty, items: expanded, setupItems, cost }));
   }
 
-  if (!lineItems.length) errors.push({ sheet: 'Positionen', message: 'Keine Positionen gefunden.' });
+  // Marge nur, wenn mindestens eine Position einen Einkaufspreis hat
+  const margins = marginLines.some(l => l.unitCost !== null)
+    ? summarizeMargins(marginLines, { minMarginPercent: MIN_MARGIN_PERCENT })
+    : null;
+  if (margins) checkMargins(margins, { posSheet, errors, warnings });
+
+  if (!lineItems.length) errors.push({ sheet: posSheet, message: 'Keine Positionen gefunden.' });
+  else if (taxNote) lineItems.push({ type: 'text', name: TAX_NOTE_LINE_NAME, description: taxNote });
 
   const summary = {
     errors,
@@ -754,387 +1870,2315 @@ async function parseExcelAndBuildQuotationPayload(excelBase64, { allowPriceOverr
     byType,
     autoNamedLineItems,
     allowPriceOverrideUsed: !!allowPriceOverride,
-    voucherDate,
-    taxType
+    contact,
+    sizeMode: sizeConfig.mode,
+    voucherDate: header.voucherDate,
+    expirationDate: header.expirationDate,
+    taxType,
+    margins
   };
 
   if (errors.length) return { ok: false, payload: null, summary };
 
+  const { shippingConditions, paymentConditions, ...texts } = header;
   const payload = {
-    voucherDate,
-    expirationDate,
+    ...texts,
     address,
     lineItems,
     totalPrice: { currency: 'EUR' },
     taxConditions,
-    shippingConditions: { shippingType: 'none' }
+    paymentConditions,
+    shippingConditions
   };
 
   return { ok: true, payload, summary };
 }
 
 // ------------------------------------------------------------
-// Idempotency (gegen 3x Erstellung)
+// Batch: mehrere Angebote aus einer Mappe (Spalte "offer") oder mehreren Dateien / ZIP
 // ------------------------------------------------------------
-const inFlight = new Map();
-
-function hashRequest({ excelData, allowPriceOverride, finalize }) {
-  return crypto
-    .createHash('sha256')
-    .update(String(finalize ? '1' : '0'))
-    .update('|')
-    .update(String(allowPriceOverride ? '1' : '0'))
-    .update('|')
-    .update(excelData)
-    .digest('hex');
+function offerKey(row) {
+  return String(row.offer ?? row.Offer ?? row.angebot ?? '').trim();
 }
 
-// ------------------------------------------------------------
-// ✅ Dynamisches Template (10 Minuten TTL)
-// ------------------------------------------------------------
-const templateCache = {
-  buffer: null,
-  createdAt: 0
-};
+function isBatchSheets(sheets) {
+  return !!sheets.posRows?.length && ('offer' in sheets.posRows[0] || 'Offer' in sheets.posRows[0]);
+}
 
-function buildTemplateWorkbook(articles) {
-  const wb = XLSX.utils.book_new();
+// Kunde als Tabelle (eine Zeile pro offer), Angebot gemeinsam (Feld/Wert) oder ebenfalls pro offer
+function splitBatchSheets(sheets) {
+  const { angebotRows, kundeRows, posRows, configRows, priceRuleRows, costRows } = sheets;
+
+  const sharedAngebot = sheetRowsToKeyValueObject(angebotRows);
+  const angebotByKey = new Map(sharedAngebot ? [] : angebotRows.map((r, i) => [offerKey(r), { row: r, rowNumber: i + 2 }]));
+  const kundeByKey = new Map(kundeRows.map(r => [offerKey(r), r]));
+  const config = configRows ? (sheetRowsToKeyValueObject(configRows) || configRows[0] || {}) : {};
+
+  const keys = kundeRows.map(offerKey).filter(Boolean);
+  const posByKey = new Map();
+  const orphanErrors = [];
+
+  posRows.forEach((r, i) => {
+    const k = offerKey(r);
+    const hasAny = Object.entries(r).some(([col, v]) => col !== 'offer' && String(v ?? '').trim() !== '');
+    if (!k) {
+      if (hasAny) orphanErrors.push({ sheet: 'Positionen', row: i + 2, field: 'offer', message: 'offer ist Pflicht im Batch-Modus.' });
+      return;
+    }
+    if (!posByKey.has(k)) posByKey.set(k, { posRows: [], rowNumbers: [] });
+    posByKey.get(k).posRows.push(r);
+    posByKey.get(k).rowNumbers.push(i + 2);
+    if (!keys.includes(k)) keys.push(k);
+  });
 
-  const rows = (articles || []).map(a => ({
-    id: a.id || '',
-    title: a.title || '',
-    articleNumber: a.articleNumber || '',
-    type: a.type || '',
-    unitName: a.unitName || '',
-    netPrice: a.price?.netPrice ?? '',
-    grossPrice: a.price?.grossPrice ?? '',
-    leadingPrice: a.price?.leadingPrice ?? '',
-    taxRate: a.price?.taxRate ?? '',
-    archived: a.archived ?? '',
-    version: a.version ?? ''
-  }));
-  const shArticles = XLSX.utils.json_to_sheet(rows, {
-    header: ['id','title','articleNumber','type','unitName','netPrice','grossPrice','leadingPrice','taxRate','archived','version']
+  const blocks = keys.map(key => {
+    const errors = [];
+    const kunde = kundeByKey.get(key);
+    const angebotEntry = angebotByKey.get(key);
+    const angebot = sharedAngebot || angebotEntry?.row;
+    if (!kunde) errors.push({ sheet: 'Kunde', field: 'offer', message: `Keine Kunde-Zeile für offer "${key}".` });
+    if (!angebot) errors.push({ sheet: 'Angebot', field: 'offer', message: `Keine Angebot-Zeile für offer "${key}".` });
+
+    const pos = posByKey.get(key) || { posRows: [], rowNumbers: [] };
+    return {
+      key,
+      errors,
+      rows: { angebot, kunde, posRows: pos.posRows, config, priceRuleRows, costRows },
+      rowNumbers: pos.rowNumbers,
+      angebotRowOf: sharedAngebot ? keyValueRowOf(angebotRows) : () => angebotEntry?.rowNumber ?? 2
+    };
   });
-  XLSX.utils.book_append_sheet(wb, shArticles, 'Artikel-Lookup');
 
-  const angebot = [
-    { Feld: 'taxType', Wert: 'net', Hinweis: 'Pflicht: net oder gross (entspricht taxConditions.taxType)' }
-  ];
-  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(angebot), 'Angebot');
+  return { blocks, errors: orphanErrors };
+}
 
-  const kunde = [
-    { Feld: 'kind', Wert: 'company', Hinweis: 'company oder person' },
-    { Feld: 'name', Wert: '', Hinweis: 'Pflicht: Firmenname (company) oder Vollname (person)' },
-    { Feld: 'email', Wert: '', Hinweis: 'Optional, aber hilfreich fürs Matching' },
-    { Feld: 'contactPerson', Wert: '', Hinweis: 'Optional' },
-    { Feld: 'street', Wert: '', Hinweis: 'Optional' },
-    { Feld: 'zip', Wert: '', Hinweis: 'Optional' },
-    { Feld: 'city', Wert: '', Hinweis: 'Optional' },
-    { Feld: 'countryCode', Wert: 'DE', Hinweis: 'ISO 3166-1 alpha-2, z.B. DE' },
-    { Feld: 'phone', Wert: '', Hinweis: 'Optional' },
-    { Feld: 'contactId', Wert: '', Hinweis: 'Optional: Lexware Contact ID, wenn du sie kennst' }
-  ];
-  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(kunde), 'Kunde');
+const OFFER_FILE_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.json'];
+
+function extractWorkbooksFromZip(zipBase64) {
+  const container = XLSX.CFB.read(Buffer.from(zipBase64, 'base64'), { type: 'buffer' });
+  return container.FileIndex
+    .map((entry, i) => ({ entry, fullPath: container.FullPaths[i] }))
+    .filter(({ entry, fullPath }) =>
+      entry.type === 2 &&
+      OFFER_FILE_EXTENSIONS.some(ext => entry.name.toLowerCase().endsWith(ext)) &&
+      !entry.name.startsWith('~$') && !entry.name.startsWith('._') &&
+      !fullPath.includes('__MACOSX'))
+    .map(({ entry, fullPath }) => ({
+      name: fullPath.replace(/^Root Entry\//, ''),
+      data: Buffer.from(entry.content).toString('base64')
+    }));
+}
 
-  const posHeader = [
-    'pos','type','articleTitle','articleNumber','articleId','name','description','quantity','unitName','unitPriceAmount','taxRatePercentage','discountPercent'
-  ];
-  const posExample = [
-    {
-      pos: 1, type: 'material', articleTitle: 'Beispiel-Artikel', articleNumber: 'ABC-123', articleId: '',
-      name: '', description: '', quantity: 25, unitName: 'Stk', unitPriceAmount: '', taxRatePercentage: '', discountPercent: ''
-    },
-    {
-      pos: 2, type: 'custom', articleTitle: '', articleNumber: '', articleId: '',
-      name: 'DTF Druck', description: 'Positionierung', quantity: 10, unitName: 'Stk', unitPriceAmount: 6.9, taxRatePercentage: 19, discountPercent: ''
-    },
-    {
-      pos: 3, type: 'text', articleTitle: '', articleNumber: '', articleId: '',
-      name: 'Hinweis', description: 'Druckfreigabe erforderlich.', quantity: '', unitName: '', unitPriceAmount: '', taxRatePercentage: '', discountPercent: ''
+// Jede Einheit = ein Angebot; build() validiert, ohne etwas in Lexware anzulegen
+function collectBatchUnits(workbooks) {
+  const units = [];
+
+  for (const wbFile of workbooks) {
+    let read;
+    try {
+      read = readOfferSheets(wbFile.data);
+    } catch (err) {
+      units.push({ file: wbFile.name, offer: '', errors: [{ message: `Datei nicht lesbar: ${err.message}` }] });
+      continue;
     }
-  ];
-  const shPos = XLSX.utils.json_to_sheet(posExample, { header: posHeader });
-  XLSX.utils.book_append_sheet(wb, shPos, 'Positionen');
 
-  const help = [
-    { Schritt: 1, Hinweis: 'Material/Service: articleNumber ODER articleTitle setzen → Server mappt automatisch auf articleId. (Fallback: articleId direkt setzen)' },
-    { Schritt: 2, Hinweis: 'Angebot: taxType setzen (net/gross)' },
-    { Schritt: 3, Hinweis: 'Kunde: name ist Pflicht' },
-    { Schritt: 4, Hinweis: 'Positionen: type + quantity > 0 + unitName Pflicht (außer text)' },
-    { Schritt: 5, Hinweis: 'Preis: material/service immer aus Artikelstamm; custom ohne articleId braucht unitPriceAmount' }
-  ];
-  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(help), 'Anleitung');
+    if (read.errors.length) {
+      units.push({ file: wbFile.name, offer: '', errors: read.errors });
+      continue;
+    }
 
-  return wb;
+    if (!isBatchSheets(read.sheets)) {
+      units.push({
+        file: wbFile.name,
+        offer: '',
+        errors: [],
+        source: wbFile.data,
+        build: options => parseExcelAndBuildQuotationPayload(wbFile.data, options)
+      });
+      continue;
+    }
+
+    const { blocks, errors } = splitBatchSheets(read.sheets);
+    if (errors.length) units.push({ file: wbFile.name, offer: '', errors });
+
+    for (const b of blocks) {
+      units.push({
+        file: wbFile.name,
+        offer: b.key,
+        customer: String(b.rows.kunde?.name || '').trim(),
+        errors: b.errors,
+        source: JSON.stringify(b.rows),
+        build: options => buildQuotationPayloadFromRows(b.rows, { ...options, rowNumbers: b.rowNumbers, angebotRowOf: b.angebotRowOf })
+      });
+    }
+  }
+
+  return units;
 }
 
-// ------------------------------------------------------------
-// API
-// ------------------------------------------------------------
-app.get('/api/ping', (req, res) => {
-  ok(res, {
-    status: 'OK',
-    passwordProtected: !!(TOOL_PASSWORD || (APP_USER && APP_PASS)),
-    passwordMode: (APP_USER && APP_PASS) ? 'basic' : (TOOL_PASSWORD ? 'toolPassword' : 'none'),
-    allowPriceOverrideDefault: ALLOW_PRICE_OVERRIDE_DEFAULT,
-    minIntervalMs: MIN_INTERVAL_MS,
-    apiBaseUrl: API_BASE_URL,
-    finalizeDefault: FINALIZE_DEFAULT,
-    templateTtlMs: TEMPLATE_TTL_MS,
-    axiosTimeoutMs: AXIOS_TIMEOUT_MS
+function formatIssue(e) {
+  return [e.sheet ? `[${e.sheet}]` : '', e.row ? `Zeile ${e.row}` : '', e.field ? `${e.field}:` : '', e.message]
+    .filter(Boolean).join(' ');
+}
+
+function buildBatchResultWorkbook(results) {
+  const wb = XLSX.utils.book_new();
+  const rows = results.map(r => ({
+    nr: r.nr,
+    file: r.file,
+    offer: r.offer,
+    customer: r.customer || '',
+    status: r.status,
+    quotationId: r.quotationId || '',
+    errors: r.errors.join('\n'),
+    warnings: r.warnings
+  }));
+  const sh = XLSX.utils.json_to_sheet(rows, {
+    header: ['nr','file','offer','customer','status','quotationId','errors','warnings']
+  });
+  XLSX.utils.book_append_sheet(wb, sh, 'Ergebnis');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// (1) alles validieren, (2) erst dann nacheinander anlegen (TokenBucket regelt das Tempo)
+async function runBatch(workbooks, { options, finalize, dryRun, skipInvalid, user, role, startedAt }) {
+  const units = collectBatchUnits(workbooks);
+  const results = [];
+
+  for (let i = 0; i < units.length; i++) {
+    const u = units[i];
+    reportProgress('parsing', `Prüfe Angebot ${i + 1}/${units.length}…`);
+    const parsed = (!u.errors.length && u.build) ? await u.build(options) : null;
+    const errors = parsed ? parsed.summary.errors : u.errors;
+
+    results.push({
+      nr: i + 1,
+      file: u.file,
+      offer: u.offer,
+      customer: parsed?.payload?.address?.name || u.customer || '',
+      status: errors.length ? 'INVALID' : 'VALID',
+      quotationId: null,
+      errors: errors.map(formatIssue),
+      warnings: parsed?.summary?.warnings?.length || 0,
+      unit: u,
+      parsed
+    });
+  }
+
+  const invalid = results.filter(r => r.status === 'INVALID').length;
+  const mayCreate = !dryRun && (!invalid || skipInvalid);
+
+  if (mayCreate) {
+    for (const r of results) {
+      if (r.status !== 'VALID') {
+        r.status = 'SKIPPED';
+        continue;
+      }
+
+      reportProgress('lexware-create', `Erstelle Angebot ${r.nr}/${results.length}…`);
+      const key = hashRequest({ source: r.unit.source, ...options, finalize });
+      const created = await runOnce(`${key}|${user || ''}`, () => createQuotationFromParsed(r.parsed, {
+        finalize,
+        startedAt,
+        meta: { source: 'batch', sourceHash: key, user, role }
+      }));
+
+      r.status = created.ok ? 'CREATED' : 'ERROR';
+      r.quotationId = created.data?.quotationId || null;
+      if (!created.ok) {
+        const msg = created.technical?.meta?.message || created.message;
+        r.errors.push(msg);
+      }
+    }
+  }
+
+  const table = results.map(({ unit, parsed, ...row }) => row);
+  const failed = table.filter(r => r.status !== 'CREATED' && r.status !== 'VALID').length;
+
+  return {
+    ok: !failed,
+    stage: 'batch',
+    status: failed ? (mayCreate ? 'BATCH_PARTIAL' : 'VALIDATION_ERROR') : 'SUCCESS',
+    message: !mayCreate
+      ? (dryRun ? `Prüfung: ${table.length - invalid} gültig, ${invalid} fehlerhaft.` : `${invalid} Angebot(e) fehlerhaft → nichts erstellt.`)
+      : `${table.filter(r => r.status === 'CREATED').length} von ${table.length} Angebot(en) erstellt.`,
+    data: {
+      results: table,
+      resultExcel: buildBatchResultWorkbook(table).toString('base64'),
+      ms: Date.now() - startedAt
+    }
+  };
+}
+
+// ------------------------------------------------------------
+// Artikel-Import: Sheet „Artikel“ → Lexware-Artikel anlegen/ändern
+// ------------------------------------------------------------
+function readArticleSheet(excelBase64) {
+  const { format, wb, errors } = readOfferWorkbook(excelBase64);
+  if (!wb) return { format, sheet: null, rows: null, errors };
+
+  const sheet = ARTICLE_SHEET_NAMES.find(name => wb.Sheets[name]);
+  if (!sheet) {
+    const missing = MISSING_SHEET_MESSAGES[format] || (name => `Sheet „${name}“ fehlt.`);
+    return { format, sheet: null, rows: null, errors: [...errors, { sheet: 'Artikel', message: missing('Artikel') }] };
+  }
+  return { format, sheet, rows: sheetToJson(wb, sheet), errors };
+}
+
+function articleImportError(apiRes) {
+  const meta = extractMeta(safeJson(apiRes.data));
+  if (apiRes.status === 409) return `Versionskonflikt – Artikel wurde in Lexware gerade geändert (${meta.message || 'HTTP 409'}).`;
+  return `Lexware HTTP ${apiRes.status}${meta.message ? `: ${meta.message}` : ''}`;
+}
+
+// Prüfen → (ohne dryRun) schreiben; bei Fehlern in der Datei wird nichts geschrieben
+async function runArticleImport(excelBase64, { dryRun }) {
+  reportProgress('parsing', 'Artikel-Sheet wird gelesen…');
+  const { format, sheet, rows, errors: readErrors } = readArticleSheet(excelBase64);
+  if (readErrors.length) {
+    return {
+      ok: false,
+      stage: 'input',
+      status: 'VALIDATION_ERROR',
+      message: 'Artikel-Datei fehlerhaft → nichts geschrieben.',
+      data: { summary: { errors: readErrors, warnings: [], sourceFormat: format }, results: [] }
+    };
+  }
+
+  reportProgress('lexware-lookup', 'Artikelstamm wird aus Lexware geladen…');
+  const existing = await listAllArticlesCached(true);
+  const { items, errors, warnings } = planArticleImport(rows, existing, { sheet });
+  const results = items.map(({ article, ...item }) => ({ ...item, status: item.action === 'unchanged' ? 'UNCHANGED' : 'PLANNED' }));
+  const count = action => items.filter(i => i.action === action).length;
+  const planned = `${count('create')} neu, ${count('update')} geändert, ${count('unchanged')} unverändert`;
+
+  if (errors.length) {
+    return {
+      ok: false,
+      stage: 'input',
+      status: 'VALIDATION_ERROR',
+      message: `${errors.length} Fehler im Sheet „${sheet}“ → nichts geschrieben.`,
+      data: { summary: { errors, warnings, sourceFormat: format }, results }
+    };
+  }
+  if (dryRun) {
+    return {
+      ok: true,
+      stage: 'articles-import',
+      status: 'DRY_RUN',
+      message: `Prüfung: ${planned}.`,
+      data: { summary: { errors, warnings, sourceFormat: format }, results }
+    };
+  }
+
+  let written = 0;
+  for (const [i, item] of items.entries()) {
+    const result = results[i];
+    if (item.action === 'unchanged') continue;
+
+    reportProgress('lexware-create', `Artikel ${i + 1}/${items.length}: ${item.articleNumber}…`);
+    const apiRes = await lexwareRequest({
+      method: item.action === 'create' ? 'POST' : 'PUT',
+      url: `${tenant().baseUrl}/v1/articles${item.action === 'create' ? '' : `/${encodeURIComponent(item.id)}`}`,
+      headers: { 'Content-Type': 'application/json' },
+      data: item.article,
+      accept: 'application/json'
+    });
+
+    if (apiRes.status >= 200 && apiRes.status < 300) {
+      written++;
+      result.status = item.action === 'create' ? 'CREATED' : 'UPDATED';
+      result.id = apiRes.data?.id || item.id;
+      result.version = apiRes.data?.version ?? result.version;
+    } else {
+      result.status = 'ERROR';
+      result.error = articleImportError(apiRes);
+    }
+  }
+
+  // Preise/Titel im Template und in der Artikelzuordnung sofort aktuell
+  if (written) {
+    await clearArticleCache();
+    tenant().templateCache.buffer = null;
+  }
+
+  const failed = results.filter(r => r.status === 'ERROR').length;
+  return {
+    ok: !failed,
+    stage: 'articles-import',
+    status: failed ? 'IMPORT_PARTIAL' : 'SUCCESS',
+    message: failed
+      ? `${written} Artikel geschrieben, ${failed} fehlgeschlagen (geplant: ${planned}).`
+      : `Artikel-Import: ${planned}.`,
+    data: { summary: { errors, warnings, sourceFormat: format }, results }
+  };
+}
+
+// ------------------------------------------------------------
+// Freitext (Schnellangebot) -> Quotation Payload
+// ------------------------------------------------------------
+function textItemsToPosRows(items, warnings) {
+  return (items || []).map(it => {
+    let type = it.type;
+
+    // Ohne UUID/ArtNr kein sicherer Artikelbezug → custom, Mapping nur über den Namen
+    if ((type === 'material' || type === 'service') && !it.articleId && !it.articleNumber) {
+      type = 'custom';
+      warnings.push({ sheet: 'Text', row: it.line, message: `Kein Artikelbezug (UUID/ArtNr) erkannt → als custom übernommen: "${it.name}".` });
+    }
+
+    return {
+      type,
+      articleTitle: type === 'text' ? '' : (it.name || ''),
+      articleNumber: it.articleNumber || '',
+      articleId: it.articleId || '',
+      name: it.name || '',
+      description: it.description || '',
+      quantity: it.quantity ?? '',
+      unitName: it.unitName || '',
+      unitPriceAmount: it.unitPriceAmount ?? ''
+    };
+  });
+}
+
+async function parseTextAndBuildQuotationPayload({ text, customer, taxType }, options) {
+  reportProgress('parsing', 'Freitext wird gelesen…');
+  const parsed = parseLines(text);
+  const warnings = parsed.warnings.map(w => ({ sheet: 'Text', row: w.line, message: w.message }));
+  const posRows = textItemsToPosRows(parsed.items, warnings);
+
+  const result = await buildQuotationPayloadFromRows(
+    { angebot: { taxType: taxType || 'net' }, kunde: customer || {}, posRows },
+    { ...options, posSheet: 'Text', rowNumbers: parsed.items.map(it => it.line) }
+  );
+
+  result.summary.warnings.unshift(...warnings);
+  return result;
+}
+
+// ------------------------------------------------------------
+// Idempotency (gegen 3x Erstellung)
+// ------------------------------------------------------------
+const inFlight = new Map();
+
+function hashRequest({ source, allowPriceOverride, createContact, finalize }) {
+  return crypto
+    .createHash('sha256')
+    .update(String(finalize ? '1' : '0'))
+    .update('|')
+    .update(String(allowPriceOverride ? '1' : '0'))
+    .update('|')
+    .update(String(createContact ? '1' : '0'))
+    .update('|')
+    .update(source)
+    .digest('hex');
+}
+
+// identische Requests teilen sich ein Ergebnis (15s Nachlauf); Schlüssel enthält den Benutzer,
+// weil das Ergebnis von seiner Rolle abhängen kann (FINALIZE_LIMIT_NET)
+async function runOnce(requestKey, fn) {
+  const key = `${tenant().id}|${requestKey}`; // gleiche Datei bei zwei Mandanten = zwei Angebote
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = fn();
+  inFlight.set(key, promise);
+  try {
+    return await promise;
+  } finally {
+    setTimeout(() => inFlight.delete(key), 15000).unref();
+  }
+}
+
+// ------------------------------------------------------------
+// Idempotency-Key (Header): dauerhaft, übersteht Neustarts und Doppelklicks nach Ablauf von runOnce
+// ------------------------------------------------------------
+// Schlüssel je Mandant und Benutzer; gespeichert wird der Hash der Anfrage (wie runOnce) und nach
+// Erfolg das vollständige Ergebnis (unterhalb sales ohne Kostendaten). Ohne angelegtes Angebot wird der Key wieder freigegeben.
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+const idempotencyStore = new JsonFileStore(IDEMPOTENCY_STORE_FILE, { keys: {} });
+const idempotencyRunning = new Map();
+
+function idempotencyKeyOf(req) {
+  return String(req.get('Idempotency-Key') || '').trim();
+}
+
+function invalidIdempotencyKey(res) {
+  return fail(res, {
+    stage: 'input',
+    status: 'VALIDATION_ERROR',
+    message: 'Idempotency-Key ungültig: 1–255 sichtbare ASCII-Zeichen (z. B. eine UUID).',
+    technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_IDEMPOTENCY_KEY' } })
+  });
+}
+
+function pruneIdempotencyKeys(data) {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString();
+  for (const [k, r] of Object.entries(data.keys)) {
+    if (r.createdAt < cutoff) delete data.keys[k];
+  }
+}
+
+// Neustart zwischen Lexware-Aufruf und Abschluss: das Angebot steht dann schon im Verlauf
+function offerForPendingKey(record) {
+  return tenantOffers().find(o =>
+    o.sourceHash === record.requestHash && (o.user || null) === record.user && o.createdAt >= record.createdAt) || null;
+}
+
+async function runIdempotent({ key, requestHash, user, role }, fn) {
+  if (!key) return fn();
+
+  const scoped = `${tenant().id}|${user || ''}|${key}`;
+  const record = idempotencyStore.data.keys[scoped];
+
+  if (record && record.requestHash !== requestHash) {
+    return {
+      ok: false,
+      stage: 'idempotency',
+      status: 'IDEMPOTENCY_KEY_REUSED',
+      message: `Idempotency-Key "${key}" gehört zu einer anderen Anfrage${record.quotationId ? ` (Angebot ${record.quotationId})` : ''} – für geänderte Daten einen neuen Key verwenden.`,
+      technical: buildTechnical({ httpStatus: 422, raw: { message: 'IDEMPOTENCY_KEY_REUSED' } })
+    };
+  }
+  if (idempotencyRunning.has(scoped)) return idempotencyRunning.get(scoped);
+  if (record?.status === 'done') return { ...costDataForRole(record.result, role), replayed: true };
+
+  const promise = (async () => {
+    const recovered = record?.status === 'pending' ? offerForPendingKey(record) : null;
+    if (recovered) {
+      const result = {
+        ok: true,
+        stage: 'lexware-create',
+        status: 'SUCCESS',
+        message: 'Angebot erstellt (nach Neustart aus dem Verlauf übernommen).',
+        data: { quotationId: recovered.id }
+      };
+      await idempotencyStore.update(d => {
+        d.keys[scoped] = { ...record, status: 'done', completedAt: new Date().toISOString(), quotationId: recovered.id, result };
+      });
+      return { ...result, replayed: true };
+    }
+
+    // vor dem Lexware-Aufruf festhalten, damit ein Absturz mittendrin erkennbar bleibt
+    await idempotencyStore.update(d => {
+      pruneIdempotencyKeys(d);
+      d.keys[scoped] = { key, tenant: tenant().id, user: user || null, requestHash, status: 'pending', createdAt: new Date().toISOString() };
+    });
+
+    const result = await fn();
+    await idempotencyStore.update(d => {
+      const quotationId = result.ok ? result.data?.quotationId : null;
+      if (quotationId) d.keys[scoped] = { ...d.keys[scoped], status: 'done', completedAt: new Date().toISOString(), quotationId, result: costDataForRole(result, role) };
+      else delete d.keys[scoped];
+    });
+    return result;
+  })();
+
+  idempotencyRunning.set(scoped, promise);
+  try {
+    return await promise;
+  } finally {
+    idempotencyRunning.delete(scoped);
+  }
+}
+
+// ------------------------------------------------------------
+// Angebots-Verlauf (persistent)
+// ------------------------------------------------------------
+const offerStore = new JsonFileStore(OFFER_STORE_FILE, { offers: [] });
+
+// im Verlauf nur die Summen, die Positionsaufstellung steckt in Lexware
+function offerTotals(payload) {
+  const { currency, totalNetAmount, totalTaxAmount, totalGrossAmount } = calculateTotals(payload);
+  return { currency, totalNetAmount, totalTaxAmount, totalGrossAmount };
+}
+
+// Margenwarnungen (checkMargins) nennen Einkaufspreise – der Verlauf ist für jede Rolle lesbar
+
+function recordOffer({ quotationId, payload, summary, finalize, meta }) {
+  const record = {
+    id: quotationId,
+    createdAt: new Date().toISOString(),
+    source: meta?.source || null,
+    sourceHash: meta?.sourceHash || null,
+    tenant: tenant().id,
+    user: meta?.user || null,
+    role: meta?.role || null,
+    finalized: !!finalize,
+    customer: {
+      name: payload.address?.name || null,
+      email: payload.address?.email || null,
+      contactId: payload.address?.contactId || null
+    },
+    totals: offerTotals(payload),
+    lineItemCount: payload.lineItems.length,
+    warnings: (summary.warnings || []).filter(w => !COST_WARNING_FIELDS.has(w.field))
+  };
+
+  return offerStore.update(data => {
+    data.offers.push(record);
+    return record;
+  });
+}
+
+// Verlauf nur des aktiven Mandanten; Einträge von vor den Mandanten gehören zum Standard-Mandanten
+function tenantOffers() {
+  const id = tenant().id;
+  return offerStore.data.offers.filter(o => (o.tenant || tenantConfig.defaultId) === id);
+}
+
+function searchOffers({ q, limit, offset }) {
+  const needle = toLowerTrim(q);
+  const all = tenantOffers()
+    .filter(o => !needle || [o.id, o.customer?.name, o.customer?.email, o.user].some(v => toLowerTrim(v).includes(needle)))
+    .slice()
+    .reverse(); // neueste zuerst
+
+  return { total: all.length, offers: all.slice(offset, offset + limit) };
+}
+
+// ------------------------------------------------------------
+// Lexware: Angebot anlegen (aus fertig validiertem Payload)
+// ------------------------------------------------------------
+// jedes Ergebnis (auch Validierungsfehler) landet in lxt_offers_total
+async function createQuotationFromParsed(parsed, options) {
+  const result = await createQuotationInLexware(parsed, options);
+  metric.offers.inc({ tenant: tenant().id, result: result.ok ? 'success' : 'failure', stage: result.stage });
+  return result;
+}
+
+async function createQuotationInLexware(parsed, { finalize, startedAt, meta }) {
+  if (!parsed.ok) {
+    return {
+      ok: false,
+      stage: 'validation',
+      status: 'VALIDATION_ERROR',
+      message: `${meta?.source === 'text' ? 'Eingabe' : 'Excel'} enthält Validierungsfehler. Details siehe errors.`,
+      data: { summary: parsed.summary }
+    };
+  }
+
+  const limitError = finalize ? finalizeLimitError(meta?.role, calculateTotals(parsed.payload).totalNetAmount) : null;
+  if (limitError) {
+    return {
+      ok: false,
+      stage: 'auth',
+      status: 'FORBIDDEN',
+      message: limitError,
+      technical: buildTechnical({ httpStatus: 403, raw: { message: 'FINALIZE_LIMIT' } }),
+      data: { summary: parsed.summary }
+    };
+  }
+
+  const contact = parsed.summary.contact;
+  if (contact?.status === 'create') {
+    reportProgress('lexware-create', 'Kontakt wird in Lexware angelegt…');
+    const cRes = await createContact(contact.kind, parsed.payload.address, { vatRegistrationId: contact.vatRegistrationId });
+    if (cRes.status < 200 || cRes.status >= 300 || !cRes.data?.id) {
+      return {
+        ok: false,
+        stage: 'lexware-contact',
+        status: cRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
+        message: 'Kontakt konnte nicht angelegt werden.',
+        technical: buildTechnical({ httpStatus: cRes.status, raw: cRes.data }),
+        data: { summary: parsed.summary }
+      };
+    }
+    contact.status = 'created';
+    contact.contactId = cRes.data.id;
+    parsed.payload.address.contactId = cRes.data.id;
+  }
+
+  reportProgress('lexware-create', `Angebot wird in Lexware angelegt (${finalize ? 'FINAL' : 'ENTWURF'})…`);
+  const url = `${tenant().baseUrl}/v1/quotations${finalize ? '?finalize=true' : ''}`;
+  const apiRes = await lexwareRequest({
+    method: 'POST',
+    url,
+    headers: { 'Content-Type': 'application/json' },
+    data: parsed.payload,
+    accept: 'application/json'
+  });
+
+  if (apiRes.status < 200 || apiRes.status >= 300) {
+    return {
+      ok: false,
+      stage: 'lexware-create',
+      status: apiRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
+      message: apiRes.status === 429 ? 'Rate limit exceeded' : 'Lexware API Fehler',
+      technical: buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data }),
+      data: { summary: parsed.summary }
+    };
+  }
+
+  const quotationId = apiRes.data?.id || null;
+  if (quotationId) {
+    await recordOffer({ quotationId, payload: parsed.payload, summary: parsed.summary, finalize, meta });
+  }
+
+  return {
+    ok: true,
+    stage: 'lexware-create',
+    status: 'SUCCESS',
+    message: 'Angebot erstellt.',
+    data: {
+      quotationId,
+      summary: parsed.summary,
+      ms: Date.now() - startedAt
+    }
+  };
+}
+
+// ------------------------------------------------------------
+// Lexware: Angebot laden
+// ------------------------------------------------------------
+async function fetchQuotation(quotationId) {
+  const qRes = await lexwareRequest({
+    method: 'GET',
+    url: `${tenant().baseUrl}/v1/quotations/${encodeURIComponent(quotationId)}`
+  });
+
+  if (qRes.status < 200 || qRes.status >= 300) {
+    return {
+      ok: false,
+      stage: 'lexware-quotation',
+      status: qRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
+      message: qRes.status === 404 ? 'Angebot nicht gefunden.' : 'Angebot konnte nicht geladen werden.',
+      technical: buildTechnical({ httpStatus: qRes.status, raw: qRes.data })
+    };
+  }
+
+  return { ok: true, quotation: qRes.data };
+}
+
+// ------------------------------------------------------------
+// Lexware: Angebots-PDF
+// ------------------------------------------------------------
+async function fetchQuotationPdf(quotationId) {
+  const apiRes = await lexwareRequest({
+    method: 'GET',
+    url: `${tenant().baseUrl}/v1/quotations/${encodeURIComponent(quotationId)}/file`,
+    responseType: 'arraybuffer',
+    accept: '*/*'
   });
+
+  if (apiRes.status < 200 || apiRes.status >= 300) {
+    const tech = buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data });
+
+    const msg = (tech?.raw && typeof tech.raw === 'object' && tech.raw.message) ? String(tech.raw.message) : '';
+    const isDraftPdf =
+      apiRes.status === 409 &&
+      msg.toLowerCase().includes('status') &&
+      msg.toLowerCase().includes('draft') &&
+      msg.toLowerCase().includes('cannot be downloaded');
+
+    return {
+      ok: false,
+      stage: 'lexware-pdf',
+      status: apiRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
+      message: isDraftPdf
+        ? 'PDF nicht verfügbar: Angebot ist im ENTWURF (draft). Entwurfs-PDF lokal erzeugen oder im Modus FINAL erstellen.'
+        : (apiRes.status === 429 ? 'Rate limit exceeded' : 'Lexware PDF Fehler'),
+      technical: tech
+    };
+  }
+
+  return {
+    ok: true,
+    contentType: apiRes.headers?.['content-type'] || 'application/pdf',
+    disposition: apiRes.headers?.['content-disposition'] || 'attachment; filename="quotation.pdf"',
+    buffer: Buffer.from(apiRes.data)
+  };
+}
+
+// ------------------------------------------------------------
+// Entwurfs-PDF: lokal gerendert, weil Lexware für Drafts nur 409 liefert
+// ------------------------------------------------------------
+// Briefkopf je Mandant (companyProfileFile), sonst COMPANY_PROFILE_FILE; einmal geladen
+function companyProfile() {
+  const t = tenant();
+  if (t.companyProfile) return t.companyProfile;
+  const file = t.companyProfileFile ? path.resolve(__dirname, t.companyProfileFile) : COMPANY_PROFILE_FILE;
+  try {
+    t.companyProfile = loadCompanyProfile(file) || {};
+  } catch (err) {
+    console.error(`Firmenprofil konnte nicht geladen werden (${file}):`, err.message);
+    t.companyProfile = {};
+  }
+  return t.companyProfile;
+}
+
+async function sendDraftPdf(res, payload, { fileName, voucherNumber }) {
+  const buffer = await renderQuotationPdf(payload, { company: companyProfile(), voucherNumber });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  return res.status(200).send(buffer);
+}
+
+// ------------------------------------------------------------
+// Jobs: Erstellung asynchron (Polling /api/jobs/:id oder SSE)
+// ------------------------------------------------------------
+const jobs = new JobRegistry({ ttlMs: JOB_TTL_MS });
+
+function jobExceptionResult(err, job) {
+  return {
+    ok: false,
+    stage: job.stage,
+    status: 'ERROR',
+    message: err.message || 'Unerwarteter Fehler',
+    technical: buildTechnical({ httpStatus: 500, raw: { message: 'JOB_EXCEPTION' }, err })
+  };
+}
+
+// Angebots-Jobs laden bei FINAL das PDF gleich mit (Stage "pdf"); Ergebnis wie für die Rolle des Auftraggebers
+function startOfferJob(type, user, run, { finalize, role }) {
+  return jobs.start({ type, user, tenant: tenant().id }, async (job) => {
+    const result = await run();
+
+    const quotationId = result.ok ? result.data?.quotationId : null;
+    if (quotationId && finalize) {
+      reportProgress('pdf', 'PDF wird geladen…');
+      const pdf = await fetchQuotationPdf(quotationId);
+      if (pdf.ok) {
+        job.files.pdf = pdf;
+        reportProgress('pdf', 'PDF bereit.');
+      } else {
+        reportProgress('pdf', `PDF nicht verfügbar: ${pdf.message}`);
+      }
+    }
+
+    return costDataForRole(result, role);
+  }, jobExceptionResult);
+}
+
+function jobAccepted(res, job) {
+  return ok(res, { stage: 'job', status: 'ACCEPTED', message: 'Job gestartet.', data: { jobId: job.id } });
+}
+
+// ------------------------------------------------------------
+// Folgebeleg: Angebot -> Auftragsbestätigung / Rechnung
+// ------------------------------------------------------------
+const FOLLOW_UP_TARGETS = {
+  'order-confirmation': { path: 'order-confirmations', label: 'Auftragsbestätigung' },
+  invoice: { path: 'invoices', label: 'Rechnung' }
+};
+
+// Nur die Felder, die Lexware beim Anlegen akzeptiert (keine berechneten Beträge, keine Alternativ-/Optionalpositionen)
+function buildFollowUpVoucher(quotation) {
+  const warnings = [];
+  const lineItems = [];
+
+  for (const li of (quotation.lineItems || [])) {
+    if (li.alternative === true || li.optional === true) {
+      warnings.push({ message: `Position "${li.name}" ist ${li.alternative ? 'Alternativ' : 'Optional'}position → nicht übernommen.` });
+      continue;
+    }
+
+    const item = {
+      type: li.type,
+      name: li.name,
+      description: li.description || undefined
+    };
+    if (li.type !== 'text') {
+      item.quantity = li.quantity;
+      item.unitName = li.unitName;
+      item.unitPrice = li.unitPrice;
+      if (li.discountPercentage) item.discountPercentage = li.discountPercentage;
+    }
+    if (li.id && (li.type === 'material' || li.type === 'service')) item.id = li.id;
+
+    lineItems.push(item);
+  }
+
+  const payload = {
+    voucherDate: new Date().toISOString(),
+    address: quotation.address,
+    lineItems,
+    totalPrice: { currency: quotation.totalPrice?.currency || 'EUR' },
+    taxConditions: quotation.taxConditions,
+    shippingConditions: quotation.shippingConditions || { shippingType: 'none' },
+    paymentConditions: quotation.paymentConditions || undefined,
+    title: quotation.title || undefined,
+    introduction: quotation.introduction || undefined,
+    remark: quotation.remark || undefined
+  };
+
+  return { payload, warnings };
+}
+
+// ------------------------------------------------------------
+// ✅ Dynamisches Template (10 Minuten TTL, Cache je Mandant)
+// ------------------------------------------------------------
+// values (optional, siehe quotationToTemplateValues) füllt Angebot/Kunde/Positionen statt der Beispielwerte
+function buildTemplateWorkbook(articles, values = null) {
+  const wb = XLSX.utils.book_new();
+  const withValues = (rows, v) => (v ? rows.map(r => ({ ...r, Wert: v[r.Feld] ?? '' })) : rows);
+
+  const rows = (articles || []).map(a => ({
+    id: a.id || '',
+    title: a.title || '',
+    articleNumber: a.articleNumber || '',
+    type: a.type || '',
+    unitName: a.unitName || '',
+    netPrice: a.price?.netPrice ?? '',
+    grossPrice: a.price?.grossPrice ?? '',
+    leadingPrice: a.price?.leadingPrice ?? '',
+    taxRate: a.price?.taxRate ?? '',
+    archived: a.archived ?? '',
+    version: a.version ?? ''
+  }));
+  const shArticles = XLSX.utils.json_to_sheet(rows, {
+    header: ['id','title','articleNumber','type','unitName','netPrice','grossPrice','leadingPrice','taxRate','archived','version']
+  });
+  XLSX.utils.book_append_sheet(wb, shArticles, 'Artikel-Lookup');
+
+  const angebot = [
+    { Feld: 'taxType', Wert: 'net', Hinweis: 'Pflicht: net, gross, vatfree, smallBusiness (Kleinunternehmer), intraCommunitySupply (EU mit USt-IdNr.), thirdPartyCountryDelivery / thirdPartyCountryService (Drittland)' },
+    { Feld: 'taxNote', Wert: '', Hinweis: 'Optional: eigener Steuerhinweis statt des Standardtexts (nur bei steuerfreien taxTypes)' },
+    { Feld: 'voucherDate', Wert: '', Hinweis: 'Optional: Angebotsdatum (TT.MM.JJJJ oder JJJJ-MM-TT), leer = heute' },
+    { Feld: 'validDays', Wert: '', Hinweis: `Optional: gültig N Tage ab voucherDate (leer = ${DEFAULT_VALID_DAYS})` },
+    { Feld: 'expirationDate', Wert: '', Hinweis: 'Optional: gültig bis (Datum) – statt validDays, nicht beides' },
+    { Feld: 'title', Wert: '', Hinweis: 'Optional: Belegtitel (einzeilig), leer = Lexware-Standard' },
+    { Feld: 'introduction', Wert: '', Hinweis: 'Optional: Einleitungstext über den Positionen' },
+    { Feld: 'remark', Wert: '', Hinweis: 'Optional: Schlusstext unter den Positionen' },
+    { Feld: 'paymentTermDuration', Wert: '', Hinweis: 'Optional: Zahlungsziel in Tagen (Pflicht, sobald Zahlungsbedingungen gesetzt sind)' },
+    { Feld: 'paymentTermLabel', Wert: '', Hinweis: 'Optional: Text der Zahlungsbedingung, leer = wird aus Tagen/Skonto erzeugt' },
+    { Feld: 'paymentDiscountPercentage', Wert: '', Hinweis: 'Optional: Skonto in % (nur zusammen mit paymentDiscountRange)' },
+    { Feld: 'paymentDiscountRange', Wert: '', Hinweis: 'Optional: Skonto-Frist in Tagen (≤ paymentTermDuration)' },
+    { Feld: 'shippingType', Wert: '', Hinweis: 'Optional: none, delivery, deliveryperiod, service, serviceperiod – leer = aus den Daten abgeleitet' },
+    { Feld: 'shippingDate', Wert: '', Hinweis: 'Optional: Liefer-/Leistungsdatum bzw. Beginn des Zeitraums' },
+    { Feld: 'shippingEndDate', Wert: '', Hinweis: 'Optional: Ende des Liefer-/Leistungszeitraums (nur *period)' }
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(withValues(angebot, values?.angebot)), 'Angebot');
+
+  const kunde = [
+    { Feld: 'kind', Wert: 'company', Hinweis: 'company oder person (wird für die Neuanlage des Kontakts genutzt)' },
+    { Feld: 'name', Wert: '', Hinweis: 'Pflicht: Firmenname (company) oder Vollname (person)' },
+    { Feld: 'email', Wert: '', Hinweis: 'Optional, aber hilfreich fürs Matching (Kontaktsuche zuerst über email, dann über name)' },
+    { Feld: 'contactPerson', Wert: '', Hinweis: 'Optional' },
+    { Feld: 'street', Wert: '', Hinweis: 'Optional' },
+    { Feld: 'zip', Wert: '', Hinweis: 'Optional' },
+    { Feld: 'city', Wert: '', Hinweis: 'Optional' },
+    { Feld: 'countryCode', Wert: 'DE', Hinweis: 'ISO 3166-1 alpha-2, z.B. DE' },
+    { Feld: 'vatRegistrationId', Wert: '', Hinweis: 'USt-IdNr. des Kunden (Pflicht bei taxType intraCommunitySupply, z.B. ATU12345678)' },
+    { Feld: 'phone', Wert: '', Hinweis: 'Optional' },
+    { Feld: 'contactId', Wert: '', Hinweis: 'Optional: Lexware Contact ID, wenn du sie kennst' }
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(withValues(kunde, values?.kunde)), 'Kunde');
+
+  const posHeader = [
+    'pos','type','articleTitle','articleNumber','articleId','name','description','quantity',
+    ...SIZE_COLUMNS.map(sz => `qty_${sz}`),
+    'unitName','unitPriceAmount','taxRatePercentage','discountPercent',
+    'printMethod','printColors','printStitches','printPositions','Einkaufspreis'
+  ];
+  const posExample = [
+    {
+      pos: 1, type: 'material', articleTitle: 'Beispiel-Artikel', articleNumber: 'ABC-123', articleId: '',
+      name: '', description: '', quantity: '', qty_S: 5, qty_M: 10, qty_L: 7, qty_2XL: 3,
+      unitName: 'Stk', unitPriceAmount: '', taxRatePercentage: '', discountPercent: ''
+    },
+    {
+      pos: 2, type: 'custom', articleTitle: '', articleNumber: '', articleId: '',
+      name: 'DTF Druck', description: 'Positionierung', quantity: 10, unitName: 'Stk', unitPriceAmount: '', taxRatePercentage: 19, discountPercent: '',
+      printMethod: 'dtf', printColors: '', printStitches: '', printPositions: 1
+    },
+    {
+      pos: 3, type: 'text', articleTitle: '', articleNumber: '', articleId: '',
+      name: 'Hinweis', description: 'Druckfreigabe erforderlich.', quantity: '', unitName: '', unitPriceAmount: '', taxRatePercentage: '', discountPercent: ''
+    }
+  ];
+  const shPos = XLSX.utils.json_to_sheet(values ? values.positions : posExample, { header: posHeader });
+  XLSX.utils.book_append_sheet(wb, shPos, 'Positionen');
+
+  const konfiguration = [
+    { Feld: 'sizeMode', Wert: SIZE_MODE_DEFAULT, Hinweis: 'split (eine Position je Größe) oder combined (eine Position, Größen in der Beschreibung)' },
+    { Feld: 'sizeSurcharge', Wert: '', Hinweis: 'Optional: Aufschlag pro Stück (net/gross wie taxType) für große Größen' },
+    { Feld: 'sizeSurchargeFrom', Wert: '2XL', Hinweis: `Aufschlag ab dieser Größe (${SIZE_COLUMNS.join(', ')})` }
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(konfiguration), 'Konfiguration');
+
+  // leer = Server-Preisregeln; Zeilen eintragen, um sie nur für diese Datei zu überschreiben
+  const shRules = XLSX.utils.json_to_sheet([], {
+    header: ['method','minQty','basePrice','perColor','per1000Stitches','setupName','setupPrice','setupPer']
+  });
+  XLSX.utils.book_append_sheet(wb, shRules, 'Preisregeln');
+
+  // optional, nur für die Margenprüfung – Einkaufspreise gehen nicht an Lexware
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([], { header: ['articleNumber', 'Einkaufspreis'] }), 'Einkaufspreise');
+
+  const help = [
+    { Schritt: 1, Hinweis: 'Material/Service: articleNumber ODER articleTitle setzen → Server mappt automatisch auf articleId. articleTitle darf in Schreibweise/Reihenfolge abweichen; ist der Treffer unsicher, stehen die 3 besten Vorschläge (mit id + Artikelnummer) im Protokoll. (Fallback: articleId direkt setzen)' },
+    { Schritt: 2, Hinweis: 'Angebot: taxType setzen (net/gross, EU/Export siehe Schritt 9)' },
+    { Schritt: 3, Hinweis: 'Kunde: name ist Pflicht → Server sucht den Lexware-Kontakt über email, dann exakten name (optional Neuanlage)' },
+    { Schritt: 4, Hinweis: 'Positionen: type + quantity > 0 + unitName Pflicht (außer text)' },
+    { Schritt: 5, Hinweis: 'Preis: material/service immer aus Artikelstamm; custom ohne articleId braucht unitPriceAmount' },
+    { Schritt: 6, Hinweis: 'Größen: qty_XS … qty_5XL statt quantity füllen → je Größe eine Position (sizeMode=split) oder Aufschlüsselung in der Beschreibung (sizeMode=combined), siehe Sheet Konfiguration' },
+    { Schritt: 7, Hinweis: 'Druckpreis: custom mit printMethod (dtf/siebdruck/stick) + printColors bzw. printStitches + printPositions und leerem unitPriceAmount → Stückpreis nach Mengenstaffel, Sieb/Stickprogramm als eigene Position. Sheet Preisregeln leer = Server-Standard' },
+    { Schritt: 8, Hinweis: 'Angebotskopf (optional): voucherDate, Gültigkeit (validDays ODER expirationDate), title/introduction/remark, Zahlungsziel + Skonto, Lieferdatum bzw. -zeitraum – Details siehe Spalte Hinweis im Sheet Angebot' },
+    { Schritt: 9, Hinweis: 'EU/Export/steuerfrei: taxType umstellen → alle Positionen mit 0 % USt, countryCode wird geprüft, Steuerhinweis wird als Textposition angehängt' },
+    { Schritt: 10, Hinweis: 'Bestehendes Angebot wiederverwenden: /api/quotations/<id>/export.xlsx liefert diese Mappe ausgefüllt → Mengen anpassen und wieder hochladen (Datum = heute, Gültigkeit wie im Original)' },
+    { Schritt: 11, Hinweis: 'Neue Artikel/Preise: Sheet Artikel-Lookup bearbeiten (neue Zeilen ohne id, articleNumber Pflicht) und über „Artikel importieren“ hochladen → Abgleich über articleNumber, version schützt vor zwischenzeitlichen Änderungen in Lexware. Erst „Prüfen“ zeigt die Änderungen' },
+    { Schritt: 12, Hinweis: 'Marge (optional): Einkaufspreis netto je Einheit in Spalte Einkaufspreis oder je articleNumber im Sheet Einkaufspreise (sonst Server-Tabelle) → Testmodus zeigt Marge je Position und gesamt, unter der Mindestmarge gibt es eine Warnung bzw. einen Fehler. Einkaufspreise bleiben im Tool' }
+  ];
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(help), 'Anleitung');
+
+  return wb;
+}
+
+// ------------------------------------------------------------
+// Export: Lexware-Angebot → Template-Werte (Round-Trip über /api/create-offer)
+// ------------------------------------------------------------
+function daysBetween(fromIso, toIso) {
+  const from = parseSheetDate(String(fromIso || '').slice(0, 10));
+  const to = parseSheetDate(String(toIso || '').slice(0, 10));
+  return from && to ? Math.round((to - from) / (24 * 3600 * 1000)) : null;
+}
+
+// voucherDate bleibt leer (= heute beim neuen Hochladen), die Gültigkeit wird als validDays übernommen.
+// Der automatisch angehängte Steuerhinweis wird nicht als Position exportiert – der Upload hängt ihn wieder an.
+function quotationToTemplateValues(quotation, { articles = [], contact = null } = {}) {
+  const q = quotation || {};
+  const lexwareTaxType = q.taxConditions?.taxType || 'net';
+  const isGross = lexwareTaxType === 'gross';
+  const vatId = normalizeVatId(contact?.company?.vatRegistrationId);
+
+  const lineItems = q.lineItems || [];
+  const noteLine = lineItems.find(li => li.type === 'text' && li.name === TAX_NOTE_LINE_NAME) || null;
+  const taxType = lexwareTaxType === 'vatfree' && noteLine?.description === TAX_TYPES.smallBusiness.note ? 'smallBusiness' : lexwareTaxType;
+  const taxNote = noteLine && TAX_TYPES[taxType] && noteLine.description !== taxNoteText(taxType, { vatId }) ? noteLine.description : '';
+
+  const validDays = daysBetween(q.voucherDate, q.expirationDate);
+  const payment = q.paymentConditions || {};
+  const shipping = q.shippingConditions || {};
+  const angebot = {
+    taxType,
+    taxNote,
+    validDays: validDays > 0 ? validDays : '',
+    title: q.title,
+    introduction: q.introduction,
+    remark: q.remark,
+    paymentTermDuration: payment.paymentTermDuration,
+    paymentTermLabel: payment.paymentTermLabel,
+    paymentDiscountPercentage: payment.paymentDiscountConditions?.discountPercentage,
+    paymentDiscountRange: payment.paymentDiscountConditions?.discountRange,
+    shippingType: shipping.shippingType && shipping.shippingType !== 'none' ? shipping.shippingType : '',
+    shippingDate: shipping.shippingDate ? String(shipping.shippingDate).slice(0, 10) : '',
+    shippingEndDate: shipping.shippingEndDate ? String(shipping.shippingEndDate).slice(0, 10) : ''
+  };
+
+  const a = q.address || {};
+  const kunde = {
+    kind: contact?.person ? 'person' : 'company',
+    name: a.name,
+    email: contactEmails(contact)[0],
+    contactPerson: a.contactPerson,
+    street: a.street,
+    zip: a.zip,
+    city: a.city,
+    countryCode: a.countryCode || 'DE',
+    vatRegistrationId: vatId,
+    phone: contactPhones(contact)[0],
+    contactId: a.contactId
+  };
+
+  // material/service: Preis kommt beim Upload immer aus dem Artikelstamm → unitPriceAmount leer
+  const articleById = new Map((articles || []).map(art => [art.id, art]));
+  const positions = lineItems.filter(li => li !== noteLine).map((li, i) => {
+    const article = li.id ? articleById.get(li.id) : null;
+    const priced = li.type === 'custom' && li.unitPrice;
+    return {
+      pos: i + 1,
+      type: li.type,
+      articleTitle: article?.title || '',
+      articleNumber: article?.articleNumber || '',
+      articleId: li.id || '',
+      name: li.name || '',
+      description: li.description || '',
+      quantity: li.type === 'text' ? '' : li.quantity ?? '',
+      unitName: li.unitName || '',
+      unitPriceAmount: priced ? (isGross ? li.unitPrice.grossAmount : li.unitPrice.netAmount) : '',
+      taxRatePercentage: priced ? li.unitPrice.taxRatePercentage : '',
+      discountPercent: li.discountPercentage || ''
+    };
+  });
+
+  return { angebot, kunde, positions };
+}
+
+// ------------------------------------------------------------
+// Lexware-Webhooks: Angebotsstatus + Artikel-Cache aktuell halten
+// ------------------------------------------------------------
+const WEBHOOK_PATH = '/api/webhooks/lexware';
+const WEBHOOK_EVENT_LOG_SIZE = 200;
+
+const webhookStore = new JsonFileStore(WEBHOOK_STORE_FILE, { quotations: {}, events: [] });
+
+// Lexware ruft ohne Mandanten-Auswahl zurück → Mandant steckt in der URL (Standard-Mandant ohne)
+function webhookCallbackUrl(req) {
+  const id = tenant().id;
+  const query = id === tenantConfig.defaultId ? '' : `?tenant=${encodeURIComponent(id)}`;
+  return `${PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`}${WEBHOOK_PATH}${query}`;
+}
+
+// → { retry, result }; retry = Lexware soll später erneut zustellen (Antwort 503)
+async function handleQuotationEvent(event) {
+  let status = 'deleted';
+  let voucherNumber = null;
+
+  if (event.eventType !== 'quotation.deleted') {
+    const res = await lexwareRequest({
+      method: 'GET',
+      url: `${tenant().baseUrl}/v1/quotations/${encodeURIComponent(event.resourceId)}`
+    });
+    if (res.status === 404) return { retry: false, result: 'Angebot in Lexware nicht gefunden.' };
+    if (res.status < 200 || res.status >= 300) return { retry: true, result: `Angebot nicht abrufbar (HTTP ${res.status}).` };
+    status = res.data?.voucherStatus || 'unknown';
+    voucherNumber = res.data?.voucherNumber || null;
+  }
+
+  const entry = { tenant: tenant().id, status, voucherNumber, eventType: event.eventType, eventDate: event.eventDate, updatedAt: new Date().toISOString() };
+  await webhookStore.update(d => {
+    d.quotations[event.resourceId] = entry;
+  });
+
+  // Angebote aus dem Verlauf bekommen den Status direkt mit
+  const offers = tenantOffers().filter(o => o.id === event.resourceId);
+  if (offers.length) {
+    await offerStore.update(() => {
+      for (const o of offers) {
+        o.lexwareStatus = status;
+        o.lexwareStatusAt = entry.updatedAt;
+      }
+    });
+  }
+  return { retry: false, result: `Status ${status}` };
+}
+
+async function handleWebhookEvent(event) {
+  if (event.resource === 'quotation') return handleQuotationEvent(event);
+  if (event.resource === 'article') {
+    await clearArticleCache();
+    tenant().templateCache.buffer = null;
+    return { retry: false, result: 'Artikel-Cache geleert' };
+  }
+  return { retry: false, result: 'ignoriert' };
+}
+
+function recordWebhookEvent(event, result) {
+  return webhookStore.update(d => {
+    d.events.push({ ...event, tenant: tenant().id, key: eventKey(event), receivedAt: new Date().toISOString(), result });
+    if (d.events.length > WEBHOOK_EVENT_LOG_SIZE) d.events.splice(0, d.events.length - WEBHOOK_EVENT_LOG_SIZE);
+  });
+}
+
+function listEventSubscriptions() {
+  return lexwareRequest({ method: 'GET', url: `${tenant().baseUrl}/v1/event-subscriptions` });
+}
+
+// ------------------------------------------------------------
+// Health-Check: Lexware je Mandant mit einem billigen Aufruf (GET /v1/profile)
+// ------------------------------------------------------------
+// Load-Balancer fragen alle paar Sekunden → Ergebnis kurz aufheben, parallele Checks teilen sich einen Aufruf
+const HEALTH_CHECK_TTL_MS = Number(process.env.HEALTH_CHECK_TTL_MS || '30000');
+
+async function checkLexware(t) {
+  if (!t.apiKey) return { id: t.id, ok: false, httpStatus: null, ms: 0, message: 'API Key fehlt.' };
+
+  const startedAt = Date.now();
+  const res = await tenantContext.run(t, () => lexwareRequest({ method: 'GET', url: `${t.baseUrl}/v1/profile` }));
+  const reachable = res.status >= 200 && res.status < 300;
+  let message = 'Lexware erreichbar.';
+  if (res.status === 401 || res.status === 403) message = 'API Key ungültig oder ohne Berechtigung.';
+  else if (!reachable) message = res.status ? `Lexware antwortet mit HTTP ${res.status}.` : 'Lexware nicht erreichbar (Netzwerk/Timeout).';
+  return { id: t.id, ok: reachable, httpStatus: res.status, ms: Date.now() - startedAt, message };
+}
+
+function tenantHealth(t) {
+  const cached = t.health;
+  if (cached && (cached.pending || Date.now() - cached.checkedAt < HEALTH_CHECK_TTL_MS)) return cached.result;
+
+  const result = checkLexware(t).then(r => ({ ...r, checkedAt: new Date().toISOString() }));
+  t.health = { pending: true, result };
+  // Ausnahme im Check → nichts cachen, der nächste Aufruf prüft neu
+  result.then(
+    () => { t.health = { pending: false, checkedAt: Date.now(), result }; },
+    () => { if (t.health?.result === result) t.health = null; }
+  );
+  return result;
+}
+
+// ------------------------------------------------------------
+// API
+// ------------------------------------------------------------
+app.use('/api', tenantMiddleware);
+
+app.get('/api/ping', (req, res) => {
+  ok(res, {
+    status: 'OK',
+    passwordProtected: authMode() !== 'none',
+    passwordMode: authMode(),
+    allowPriceOverrideDefault: ALLOW_PRICE_OVERRIDE_DEFAULT,
+    minIntervalMs: MIN_INTERVAL_MS,
+    apiBaseUrl: tenant().baseUrl,
+    tenant: tenant().id,
+    tenants: [...tenants.values()].map(t => ({ id: t.id, name: t.name, configured: !!t.apiKey })),
+    finalizeDefault: FINALIZE_DEFAULT,
+    createContactDefault: CREATE_CONTACT_DEFAULT,
+    templateTtlMs: TEMPLATE_TTL_MS,
+    axiosTimeoutMs: AXIOS_TIMEOUT_MS
+  });
+});
+
+// tief: prüft für jeden Mandanten, ob Lexware mit seinem Key antwortet; 503, sobald einer nicht erreichbar ist
+app.get('/api/health', async (req, res) => {
+  const checks = await Promise.all([...tenants.values()].map(tenantHealth));
+  const data = {
+    tenants: checks,
+    rateLimiter: [...tenants.values()].map(t => ({ tenant: t.id, queueDepth: t.bucket.queue.length })),
+    uptimeSeconds: Math.round(process.uptime())
+  };
+
+  const down = checks.filter(c => !c.ok);
+  if (down.length) {
+    return fail(res.status(503), {
+      stage: 'health',
+      status: 'UNAVAILABLE',
+      message: `Lexware nicht erreichbar: ${down.map(c => `${c.id} (${c.message})`).join(', ')}`,
+      technical: buildTechnical({ httpStatus: 503, raw: { message: 'LEXWARE_UNAVAILABLE' } }),
+      data
+    });
+  }
+  return ok(res, { status: 'OK', message: 'Lexware erreichbar.', data });
+});
+
+// Prometheus-Scrape; bei Benutzerkonten mit API-Token (bearer_token in der Scrape-Config)
+app.get('/metrics', authMiddleware, (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.status(200).send(metrics.render());
+});
+
+// Anmeldung: Sitzungs-Cookie (HttpOnly), damit auch PDF-Links ohne Passwort in der URL funktionieren
+app.post('/api/login', async (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const password = String(req.body?.password || '');
+
+  if (!users.hasUsers) {
+    return fail(res, {
+      stage: 'auth',
+      status: 'CONFIG_ERROR',
+      message: 'Es sind keine Benutzer angelegt (Anmeldung über Tool-Passwort bzw. Basic Auth).',
+      technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_USERS' } })
+    });
+  }
+
+  const failures = activeLoginFailures(username);
+  if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+    return fail(res, {
+      stage: 'auth',
+      status: 'LOCKED',
+      message: 'Zu viele Fehlversuche – bitte in 15 Minuten erneut versuchen.',
+      technical: buildTechnical({ httpStatus: 429, raw: { message: 'LOGIN_LOCKED' } })
+    });
+  }
+
+  try {
+    const user = await users.authenticate(username, password);
+    if (!user) {
+      noteLoginFailure(username);
+      return fail(res, {
+        stage: 'auth',
+        status: 'UNAUTHORIZED',
+        message: 'Benutzername oder Passwort falsch.',
+        technical: buildTechnical({ httpStatus: 401, raw: { message: 'INVALID_CREDENTIALS' } })
+      });
+    }
+
+    loginFailures.delete(username);
+    const session = await users.createSession(user.username);
+    res.setHeader('Set-Cookie', sessionCookie(req, session.token, SESSION_TTL_MS));
+    ok(res, {
+      stage: 'auth',
+      status: 'SUCCESS',
+      message: `Angemeldet als ${user.username} (${user.role}).`,
+      data: { username: user.username, name: user.name, role: user.role, expiresAt: new Date(session.expiresAt).toISOString() }
+    });
+  } catch (err) {
+    fail(res, {
+      stage: 'auth',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'LOGIN_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.post('/api/logout', async (req, res) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) await users.endSession(token);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  ok(res, { stage: 'auth', status: 'SUCCESS', message: 'Abgemeldet.' });
+});
+
+app.get('/api/me', authMiddleware, (req, res) => {
+  ok(res, {
+    stage: 'auth',
+    status: 'SUCCESS',
+    data: {
+      username: req.authUser,
+      role: req.authRole,
+      mode: authMode(),
+      finalizeLimitNet: Number.isFinite(FINALIZE_LIMIT_NET) ? FINALIZE_LIMIT_NET : null
+    }
+  });
+});
+
+app.get('/api/articles', authMiddleware, async (req, res) => {
+  try {
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+    const forceRefresh = String(req.query.refresh || '').trim() === '1';
+    if (forceRefresh && !roleAllows(req.authRole, 'admin')) {
+      return forbidden(res, 'Keine Berechtigung: den Artikel-Cache darf nur ein Admin neu laden.');
+    }
+    const list = await listAllArticlesCached(forceRefresh);
+    ok(res, { status: 'SUCCESS', data: { count: list.length, fetchedAt: catalogueFetchedAt(), articles: list } });
+  } catch (err) {
+    fail(res, {
+      stage: 'articles',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'ARTICLES_EXCEPTION' }, err })
+    });
+  }
+});
+
+function catalogueFetchedAt() {
+  const { articleCatalogue } = tenant();
+  return articleCatalogue.fetchedAt ? new Date(articleCatalogue.fetchedAt).toISOString() : null;
+}
+
+// Artikel-Picker: ?q=&type=PRODUCT|SERVICE&archived=false|true|all&sort=title|articleNumber|netPrice|grossPrice[,desc]&page=&size=
+app.get('/api/articles/search', authMiddleware, async (req, res) => {
+  const type = String(req.query.type || '').trim().toUpperCase();
+  const archived = String(req.query.archived || 'false').trim().toLowerCase();
+  const sort = String(req.query.sort || '').trim();
+  const errors = [];
+  if (type && !ARTICLE_TYPES.includes(type)) errors.push(`type "${req.query.type}" ist ungültig (${ARTICLE_TYPES.join(', ')}).`);
+  if (!['false', 'true', 'all'].includes(archived)) errors.push(`archived "${req.query.archived}" ist ungültig (false, true, all).`);
+  if (sort) {
+    const [field, dir = 'asc'] = sort.split(',').map(v => v.trim());
+    if (!SEARCH_SORTS[field] || !['asc', 'desc'].includes(dir.toLowerCase())) {
+      errors.push(`sort "${sort}" ist ungültig (${Object.keys(SEARCH_SORTS).join(', ')}, optional ",desc").`);
+    }
+  }
+  if (errors.length) {
+    return fail(res, {
+      stage: 'input',
+      status: 'VALIDATION_ERROR',
+      message: errors.join(' '),
+      technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_SEARCH_QUERY' } })
+    });
+  }
+
+  try {
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+    const list = await listAllArticlesCached(false);
+    const result = searchArticles(list, { q: req.query.q, type, archived, sort, page: req.query.page, size: req.query.size });
+    ok(res, { status: 'SUCCESS', data: { ...result, fetchedAt: catalogueFetchedAt() } });
+  } catch (err) {
+    fail(res, {
+      stage: 'articles',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'ARTICLES_EXCEPTION' }, err })
+    });
+  }
+});
+
+// Artikel-Sheet (Spalten wie Artikel-Lookup) → Lexware; dryRun = nur Diff
+app.post('/api/articles/import', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { excelData, dryRun } = req.body || {};
+    if (!excelData) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Keine Datei übergeben (excelData).',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+      });
+    }
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const run = () => runArticleImport(excelData, { dryRun: dryRun === true });
+    if (req.body.async === true) {
+      return jobAccepted(res, jobs.start({ type: 'articles-import', user: req.authUser, tenant: tenant().id }, run, jobExceptionResult));
+    }
+    return res.json(await run());
+  } catch (err) {
+    return fail(res, {
+      stage: 'articles-import',
+      status: 'ERROR',
+      message: err.message || 'Unerwarteter Fehler',
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'ARTICLES_IMPORT_EXCEPTION' }, err })
+    });
+  }
+});
+
+// ✅ Dynamisches Template (auth + TTL 10min)
+app.get('/api/template.xlsx', authMiddleware, async (req, res) => {
+  try {
+    if (!tenant().apiKey) {
+      return res.status(200).json({
+        ok: false,
+        stage: 'template',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const { templateCache } = tenant();
+    const now = Date.now();
+    const hit = !!templateCache.buffer && (now - templateCache.createdAt) < TEMPLATE_TTL_MS;
+    cacheAccess('template', hit);
+    if (hit) {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', 'attachment; filename="lexware_template.xlsx"');
+      return res.status(200).send(templateCache.buffer);
+    }
+
+    const articles = await listAllArticlesCached(false);
+    const wb = buildTemplateWorkbook(articles);
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    templateCache.buffer = buffer;
+    templateCache.createdAt = now;
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="lexware_template.xlsx"');
+    return res.status(200).send(buffer);
+  } catch (err) {
+    return res.status(200).json({
+      ok: false,
+      stage: 'template',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'TEMPLATE_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.post('/api/test-excel', authMiddleware, async (req, res) => {
+  try {
+    const excelData = offerSource(req.body);
+    const { allowPriceOverride, createContact } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+    const doCreateContact = typeof createContact === 'boolean' ? createContact : CREATE_CONTACT_DEFAULT;
+
+    if (!excelData) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Keine Angebotsdaten übergeben (excelData oder offer).',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+      });
+    }
+
+    const parsed = await parseExcelAndBuildQuotationPayload(excelData, { allowPriceOverride: allow, createContact: doCreateContact });
+
+    if (!parsed.ok) {
+      return fail(res, {
+        stage: 'validation',
+        status: 'VALIDATION_ERROR',
+        message: 'Excel enthält Validierungsfehler. Details siehe errors.',
+        data: costDataForRole({ summary: parsed.summary }, req.authRole)
+      });
+    }
+
+    // Vorschau: genau der Payload, der an Lexware ginge, plus lokal gerechnete Summen
+    ok(res, {
+      stage: 'test',
+      status: 'SUCCESS',
+      message: 'Test erfolgreich — keine kritischen Fehler.',
+      data: costDataForRole({ summary: parsed.summary, payload: parsed.payload, totals: calculateTotals(parsed.payload) }, req.authRole)
+    });
+  } catch (err) {
+    fail(res, {
+      stage: 'test',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'TEST_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.post('/api/create-offer', authMiddleware, requireRole('sales'), async (req, res) => {
+  const startedAt = Date.now();
+
+  try {
+    const excelData = offerSource(req.body);
+    const { allowPriceOverride, createContact, finalize } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+    const doCreateContact = typeof createContact === 'boolean' ? createContact : CREATE_CONTACT_DEFAULT;
+    const doFinalize = typeof finalize === 'boolean' ? finalize : FINALIZE_DEFAULT;
+
+    if (!excelData) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Keine Angebotsdaten übergeben (excelData oder offer).',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+      });
+    }
+
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const idempotencyKey = idempotencyKeyOf(req);
+    if (idempotencyKey && !IDEMPOTENCY_KEY_RE.test(idempotencyKey)) return invalidIdempotencyKey(res);
+
+    const key = hashRequest({ source: excelData, allowPriceOverride: allow, createContact: doCreateContact, finalize: doFinalize });
+    const run = () => runIdempotent({ key: idempotencyKey, requestHash: key, user: req.authUser, role: req.authRole }, () => runOnce(`${key}|${req.authUser || ''}`, async () => {
+      const parsed = await parseExcelAndBuildQuotationPayload(excelData, { allowPriceOverride: allow, createContact: doCreateContact });
+      return createQuotationFromParsed(parsed, {
+        finalize: doFinalize,
+        startedAt,
+        meta: { source: 'excel', sourceHash: key, user: req.authUser, role: req.authRole }
+      });
+    }));
+
+    if (req.body.async === true) {
+      return jobAccepted(res, startOfferJob('create-offer', req.authUser, run, { finalize: doFinalize, role: req.authRole }));
+    }
+    return res.json(await run());
+  } catch (err) {
+    return fail(res, {
+      stage: 'lexware-create',
+      status: 'ERROR',
+      message: err.message || 'Unerwarteter Fehler',
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'UNHANDLED_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.post('/api/batch', authMiddleware, requireRole('sales'), async (req, res) => {
+  const startedAt = Date.now();
+
+  try {
+    const { excelData, files, zipData, allowPriceOverride, createContact, finalize, dryRun, skipInvalid } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+    const doCreateContact = typeof createContact === 'boolean' ? createContact : CREATE_CONTACT_DEFAULT;
+    const doFinalize = typeof finalize === 'boolean' ? finalize : FINALIZE_DEFAULT;
+
+    const workbooks = [];
+    if (excelData) workbooks.push({ name: 'upload.xlsx', data: excelData });
+    for (const f of (Array.isArray(files) ? files : [])) {
+      if (f?.data) workbooks.push({ name: String(f.name || `datei_${workbooks.length + 1}.xlsx`), data: f.data });
+    }
+    if (zipData) {
+      try {
+        workbooks.push(...extractWorkbooksFromZip(zipData));
+      } catch (err) {
+        return fail(res, {
+          stage: 'input',
+          status: 'VALIDATION_ERROR',
+          message: `ZIP konnte nicht gelesen werden: ${err.message}`,
+          technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_ZIP' }, err })
+        });
+      }
+    }
+
+    if (!workbooks.length) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Keine Excel-Dateien übergeben.',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+      });
+    }
+
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const run = () => runBatch(workbooks, {
+      options: { allowPriceOverride: allow, createContact: doCreateContact },
+      finalize: doFinalize,
+      dryRun: dryRun === true,
+      skipInvalid: skipInvalid === true,
+      user: req.authUser,
+      role: req.authRole,
+      startedAt
+    });
+
+    if (req.body.async === true) {
+      return jobAccepted(res, jobs.start({ type: 'batch', user: req.authUser, tenant: tenant().id }, async () => costDataForRole(await run(), req.authRole), jobExceptionResult));
+    }
+    return res.json(await run());
+  } catch (err) {
+    return fail(res, {
+      stage: 'batch',
+      status: 'ERROR',
+      message: err.message || 'Unerwarteter Fehler',
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'BATCH_EXCEPTION' }, err })
+    });
+  }
+});
+
+// Vorschau des Schnellangebots: derselbe Weg wie create-offer-from-text, nur ohne Lexware-Anlage
+app.post('/api/parse-text', authMiddleware, async (req, res) => {
+  try {
+    const { text, customer, taxType, allowPriceOverride, createContact } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+    const doCreateContact = typeof createContact === 'boolean' ? createContact : CREATE_CONTACT_DEFAULT;
+
+    if (!String(text || '').trim()) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Kein Text übergeben.',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_TEXT' } })
+      });
+    }
+
+    const input = { text: String(text), customer: customer || {}, taxType: taxType || 'net' };
+    const parsed = await parseTextAndBuildQuotationPayload(input, { allowPriceOverride: allow, createContact: doCreateContact });
+
+    if (!parsed.ok) {
+      return fail(res, {
+        stage: 'validation',
+        status: 'VALIDATION_ERROR',
+        message: 'Eingabe enthält Validierungsfehler. Details siehe errors.',
+        data: costDataForRole({ summary: parsed.summary }, req.authRole)
+      });
+    }
+
+    ok(res, {
+      stage: 'parse-text',
+      status: 'SUCCESS',
+      message: `${parsed.payload.lineItems.length} Position(en) erkannt.`,
+      data: costDataForRole({ summary: parsed.summary, payload: parsed.payload, totals: calculateTotals(parsed.payload) }, req.authRole)
+    });
+  } catch (err) {
+    fail(res, {
+      stage: 'parse-text',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'PARSE_TEXT_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.post('/api/create-offer-from-text', authMiddleware, requireRole('sales'), async (req, res) => {
+  const startedAt = Date.now();
+
+  try {
+    const { text, customer, taxType, allowPriceOverride, createContact, finalize } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+    const doCreateContact = typeof createContact === 'boolean' ? createContact : CREATE_CONTACT_DEFAULT;
+    const doFinalize = typeof finalize === 'boolean' ? finalize : FINALIZE_DEFAULT;
+
+    if (!String(text || '').trim()) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Kein Text übergeben.',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_TEXT' } })
+      });
+    }
+
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const idempotencyKey = idempotencyKeyOf(req);
+    if (idempotencyKey && !IDEMPOTENCY_KEY_RE.test(idempotencyKey)) return invalidIdempotencyKey(res);
+
+    const input = { text: String(text), customer: customer || {}, taxType: taxType || 'net' };
+    const key = hashRequest({ source: JSON.stringify(input), allowPriceOverride: allow, createContact: doCreateContact, finalize: doFinalize });
+    const run = () => runIdempotent({ key: idempotencyKey, requestHash: key, user: req.authUser, role: req.authRole }, () => runOnce(`${key}|${req.authUser || ''}`, async () => {
+      const parsed = await parseTextAndBuildQuotationPayload(input, { allowPriceOverride: allow, createContact: doCreateContact });
+      return createQuotationFromParsed(parsed, {
+        finalize: doFinalize,
+        startedAt,
+        meta: { source: 'text', sourceHash: key, user: req.authUser, role: req.authRole }
+      });
+    }));
+
+    if (req.body.async === true) {
+      return jobAccepted(res, startOfferJob('create-offer-from-text', req.authUser, run, { finalize: doFinalize, role: req.authRole }));
+    }
+    return res.json(await run());
+  } catch (err) {
+    return fail(res, {
+      stage: 'lexware-create',
+      status: 'ERROR',
+      message: err.message || 'Unerwarteter Fehler',
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'UNHANDLED_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.get('/api/offers', authMiddleware, (req, res) => {
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const result = searchOffers({ q: req.query.q, limit, offset });
+  ok(res, { status: 'SUCCESS', data: { total: result.total, limit, offset, offers: result.offers } });
+});
+
+app.get('/api/offers/:id', authMiddleware, (req, res) => {
+  const offer = tenantOffers().find(o => o.id === req.params.id);
+  if (!offer) {
+    return fail(res, {
+      stage: 'offers',
+      status: 'NOT_FOUND',
+      message: 'Angebot nicht im Verlauf gefunden.',
+      technical: buildTechnical({ httpStatus: 404, raw: { message: 'OFFER_NOT_FOUND' } })
+    });
+  }
+  ok(res, { status: 'SUCCESS', data: { offer } });
+});
+
+app.post('/api/quotations/:id/convert', authMiddleware, requireRole('sales'), async (req, res) => {
+  try {
+    const quotationId = String(req.params.id || '').trim();
+    const to = String(req.query.to || req.body?.to || '').trim();
+    const target = FOLLOW_UP_TARGETS[to];
+    const doFinalize = req.body?.finalize === true;
+
+    if (!target) {
+      return fail(res, {
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: `Unbekanntes Ziel "${to}" (order-confirmation oder invoice).`,
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_TARGET' } })
+      });
+    }
+
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
+        status: 'CONFIG_ERROR',
+        message: 'API Key fehlt.',
+        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+      });
+    }
+
+    const key = hashRequest({ source: `convert|${quotationId}|${to}`, finalize: doFinalize });
+    const result = await runOnce(`${key}|${req.authUser || ''}`, async () => {
+      const q = await fetchQuotation(quotationId);
+      if (!q.ok) return q;
+
+      const limitError = doFinalize ? finalizeLimitError(req.authRole, q.quotation.totalPrice?.totalNetAmount) : null;
+      if (limitError) {
+        return {
+          ok: false,
+          stage: 'auth',
+          status: 'FORBIDDEN',
+          message: limitError,
+          technical: buildTechnical({ httpStatus: 403, raw: { message: 'FINALIZE_LIMIT' } })
+        };
+      }
+
+      const { payload, warnings } = buildFollowUpVoucher(q.quotation);
+      const params = new URLSearchParams({ precedingSalesVoucherId: quotationId });
+      if (doFinalize) params.set('finalize', 'true');
+
+      const apiRes = await lexwareRequest({
+        method: 'POST',
+        url: `${tenant().baseUrl}/v1/${target.path}?${params.toString()}`,
+        headers: { 'Content-Type': 'application/json' },
+        data: payload,
+        accept: 'application/json'
+      });
+
+      if (apiRes.status < 200 || apiRes.status >= 300) {
+        return {
+          ok: false,
+          stage: 'lexware-convert',
+          status: apiRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
+          message: `${target.label} konnte nicht erstellt werden.`,
+          technical: buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data }),
+          data: { summary: { errors: [], warnings } }
+        };
+      }
+
+      return {
+        ok: true,
+        stage: 'lexware-convert',
+        status: 'SUCCESS',
+        message: `${target.label} erstellt${doFinalize ? ' (FINAL)' : ' (ENTWURF)'}.`,
+        data: {
+          voucherId: apiRes.data?.id || null,
+          voucherType: to,
+          quotationId,
+          summary: { errors: [], warnings }
+        }
+      };
+    });
+
+    return res.json(result);
+  } catch (err) {
+    return fail(res, {
+      stage: 'lexware-convert',
+      status: 'ERROR',
+      message: err.message || 'Unerwarteter Fehler',
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'CONVERT_EXCEPTION' }, err })
+    });
+  }
+});
+
+app.get('/api/download-pdf', authMiddleware, async (req, res) => {
+  try {
+    const quotationId = String(req.query.id || '').trim();
+    if (!quotationId) return res.status(400).send('Missing id');
+    if (!tenant().apiKey) return res.status(500).send('API Key fehlt');
+
+    const pdf = await fetchQuotationPdf(quotationId);
+    if (!pdf.ok) return res.status(200).json(pdf);
+
+    res.setHeader('Content-Type', pdf.contentType);
+    res.setHeader('Content-Disposition', pdf.disposition);
+    return res.status(200).send(pdf.buffer);
+  } catch (err) {
+    return res.status(200).json({
+      ok: false,
+      stage: 'lexware-pdf',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'PDF_EXCEPTION' }, err })
+    });
+  }
 });
 
-app.get('/api/articles', authMiddleware, async (req, res) => {
+// Entwurfs-PDF aus der Excel (vor dem Anlegen) – Kontakte werden nur gesucht, nie angelegt
+app.post('/api/draft-pdf', authMiddleware, async (req, res) => {
   try {
-    if (!API_KEY) {
+    const excelData = offerSource(req.body);
+    const { allowPriceOverride } = req.body || {};
+    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+
+    if (!excelData) {
       return fail(res, {
-        stage: 'config',
-        status: 'CONFIG_ERROR',
-        message: 'API Key fehlt.',
-        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+        stage: 'input',
+        status: 'VALIDATION_ERROR',
+        message: 'Keine Angebotsdaten übergeben (excelData oder offer).',
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
       });
     }
-    const forceRefresh = String(req.query.refresh || '').trim() === '1';
-    const list = await listAllArticlesCached(forceRefresh);
-    ok(res, { status: 'SUCCESS', data: { count: list.length, articles: list } });
+
+    const parsed = await parseExcelAndBuildQuotationPayload(excelData, { allowPriceOverride: allow, createContact: false });
+    if (!parsed.ok) {
+      return fail(res, {
+        stage: 'validation',
+        status: 'VALIDATION_ERROR',
+        message: 'Excel enthält Validierungsfehler. Details siehe errors.',
+        data: costDataForRole({ summary: parsed.summary }, req.authRole)
+      });
+    }
+
+    return sendDraftPdf(res, parsed.payload, { fileName: 'angebot_entwurf.pdf' });
   } catch (err) {
-    fail(res, {
-      stage: 'articles',
+    return fail(res, {
+      stage: 'draft-pdf',
       status: 'ERROR',
       message: err.message,
-      technical: buildTechnical({ httpStatus: 500, raw: { message: 'ARTICLES_EXCEPTION' }, err })
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'DRAFT_PDF_EXCEPTION' }, err })
     });
   }
 });
 
-// ✅ Dynamisches Template (auth + TTL 10min)
-app.get('/api/template.xlsx', authMiddleware, async (req, res) => {
+// Entwurfs-PDF eines bestehenden Angebots (z. B. Draft in Lexware)
+app.get('/api/quotations/:id/draft-pdf', authMiddleware, async (req, res) => {
   try {
-    if (!API_KEY) {
-      return res.status(200).json({
-        ok: false,
-        stage: 'template',
+    const quotationId = String(req.params.id || '').trim();
+    if (!tenant().apiKey) return res.status(500).send('API Key fehlt');
+
+    const q = await fetchQuotation(quotationId);
+    if (!q.ok) return res.status(200).json(q);
+
+    return sendDraftPdf(res, q.quotation, {
+      fileName: `angebot_entwurf_${quotationId}.pdf`,
+      voucherNumber: q.quotation.voucherNumber || null
+    });
+  } catch (err) {
+    return fail(res, {
+      stage: 'draft-pdf',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'DRAFT_PDF_EXCEPTION' }, err })
+    });
+  }
+});
+
+// Bestehendes Angebot als ausgefülltes Template (gleiches Layout wie /api/template.xlsx)
+app.get('/api/quotations/:id/export.xlsx', authMiddleware, async (req, res) => {
+  try {
+    const quotationId = String(req.params.id || '').trim();
+    if (!tenant().apiKey) {
+      return fail(res, {
+        stage: 'config',
         status: 'CONFIG_ERROR',
         message: 'API Key fehlt.',
         technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
       });
     }
 
-    const now = Date.now();
-    if (templateCache.buffer && (now - templateCache.createdAt) < TEMPLATE_TTL_MS) {
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', 'attachment; filename="lexware_template.xlsx"');
-      return res.status(200).send(templateCache.buffer);
-    }
+    const q = await fetchQuotation(quotationId);
+    if (!q.ok) return res.status(200).json(q);
 
+    const contactId = q.quotation.address?.contactId;
+    const contact = contactId ? await fetchContact(contactId) : null;
     const articles = await listAllArticlesCached(false);
-    const wb = buildTemplateWorkbook(articles);
+    const wb = buildTemplateWorkbook(articles, quotationToTemplateValues(q.quotation, { articles, contact }));
     const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
 
-    templateCache.buffer = buffer;
-    templateCache.createdAt = now;
-
+    const fileName = `angebot_${String(q.quotation.voucherNumber || quotationId).replace(/[^\w.-]+/g, '_')}.xlsx`;
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename="lexware_template.xlsx"');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     return res.status(200).send(buffer);
   } catch (err) {
-    return res.status(200).json({
-      ok: false,
-      stage: 'template',
+    return fail(res, {
+      stage: 'export',
       status: 'ERROR',
       message: err.message,
-      technical: buildTechnical({ httpStatus: 500, raw: { message: 'TEMPLATE_EXCEPTION' }, err })
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'EXPORT_EXCEPTION' }, err })
     });
   }
 });
 
-app.post('/api/test-excel', authMiddleware, async (req, res) => {
-  try {
-    const { excelData, allowPriceOverride } = req.body || {};
-    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
+// Jobs anderer Mandanten und anderer Benutzer gibt es für diesen Request nicht (admin sieht alle des Mandanten)
+function tenantJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || job.tenant !== tenant().id) return null;
+  return roleAllows(req.authRole, 'admin') || job.user === (req.authUser || null) ? job : null;
+}
 
-    if (!excelData) {
-      return fail(res, {
-        stage: 'input',
-        status: 'VALIDATION_ERROR',
-        message: 'Keine Excel-Daten übergeben.',
-        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+function jobNotFound(res) {
+  return fail(res, {
+    stage: 'job',
+    status: 'NOT_FOUND',
+    message: 'Job nicht gefunden (abgelaufen oder Server neu gestartet).',
+    technical: buildTechnical({ httpStatus: 404, raw: { message: 'JOB_NOT_FOUND' } })
+  });
+}
+
+app.get('/api/jobs/:id', authMiddleware, (req, res) => {
+  const job = tenantJob(req);
+  if (!job) return jobNotFound(res);
+  ok(res, { status: 'SUCCESS', data: { job: costDataForRole(job.toJSON(), req.authRole) } });
+});
+
+// Server-Sent Events: erst bisherige Events, dann live bis "done"
+app.get('/api/jobs/:id/events', authMiddleware, (req, res) => {
+  const job = tenantJob(req);
+  if (!job) return jobNotFound(res);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  job.events.forEach(e => send('progress', e));
+  if (job.status !== 'running') {
+    send('done', costDataForRole(job.toJSON(), req.authRole));
+    return res.end();
+  }
+
+  const onProgress = e => send('progress', e);
+  const onDone = j => {
+    send('done', costDataForRole(j, req.authRole));
+    cleanup();
+    res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    job.emitter.off('progress', onProgress);
+    job.emitter.off('done', onDone);
+  }
+
+  job.emitter.on('progress', onProgress);
+  job.emitter.on('done', onDone);
+  req.on('close', cleanup);
+});
+
+app.get('/api/jobs/:id/pdf', authMiddleware, (req, res) => {
+  const job = tenantJob(req);
+  const pdf = job?.files.pdf;
+  if (!pdf) return jobNotFound(res);
+
+  res.setHeader('Content-Type', pdf.contentType);
+  res.setHeader('Content-Disposition', pdf.disposition);
+  return res.status(200).send(pdf.buffer);
+});
+
+// ------------------------------------------------------------
+// Webhook-Empfänger (ohne Tool-Passwort: Lexware authentifiziert sich über die Signatur)
+// ------------------------------------------------------------
+app.post(WEBHOOK_PATH, async (req, res) => {
+  if (!WEBHOOK_PUBLIC_KEY) {
+    return fail(res.status(503), {
+      stage: 'webhook',
+      status: 'CONFIG_ERROR',
+      message: 'Webhook-Schlüssel fehlt (LEXWARE_WEBHOOK_PUBLIC_KEY oder LEXWARE_WEBHOOK_PUBLIC_KEY_FILE).',
+      technical: buildTechnical({ httpStatus: 503, raw: { message: 'NO_WEBHOOK_KEY' } })
+    });
+  }
+  if (!verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), WEBHOOK_PUBLIC_KEY)) {
+    return fail(res.status(401), {
+      stage: 'webhook',
+      status: 'INVALID_SIGNATURE',
+      message: 'Signatur fehlt oder ist ungültig.',
+      technical: buildTechnical({ httpStatus: 401, raw: { message: 'INVALID_SIGNATURE' } })
+    });
+  }
+
+  const { event, error } = parseEvent(req.body);
+  if (!event) {
+    return fail(res.status(400), {
+      stage: 'webhook',
+      status: 'VALIDATION_ERROR',
+      message: error,
+      technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_EVENT' } })
+    });
+  }
+
+  // Wiederholte Zustellung: schon verarbeitet → nur bestätigen
+  const key = eventKey(event);
+  const id = tenant().id;
+  if (webhookStore.data.events.some(e => e.key === key && (e.tenant || tenantConfig.defaultId) === id)) {
+    return ok(res, { stage: 'webhook', status: 'DUPLICATE', message: 'Event bereits verarbeitet.' });
+  }
+
+  try {
+    const { retry, result } = await handleWebhookEvent(event);
+    if (retry) {
+      return fail(res.status(503), {
+        stage: 'webhook',
+        status: 'RETRY',
+        message: result,
+        technical: buildTechnical({ httpStatus: 503, raw: { message: 'WEBHOOK_RETRY' } })
       });
     }
+    await recordWebhookEvent(event, result);
+    ok(res, { stage: 'webhook', status: 'SUCCESS', message: result });
+  } catch (err) {
+    fail(res.status(500), {
+      stage: 'webhook',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'WEBHOOK_EXCEPTION' }, err })
+    });
+  }
+});
 
-    const parsed = await parseExcelAndBuildQuotationPayload(excelData, { allowPriceOverride: allow });
-
-    if (!parsed.ok) {
+// Abos bei Lexware: anzeigen, fehlende anlegen, löschen
+app.get('/api/admin/webhooks/subscriptions', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const apiRes = await listEventSubscriptions();
+    if (apiRes.status < 200 || apiRes.status >= 300) {
       return fail(res, {
-        stage: 'validation',
-        status: 'VALIDATION_ERROR',
-        message: 'Excel enthält Validierungsfehler. Details siehe errors.',
-        data: { summary: parsed.summary }
+        stage: 'webhook-subscriptions',
+        status: 'ERROR',
+        message: 'Event-Subscriptions konnten nicht geladen werden.',
+        technical: buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data })
       });
     }
-
-    ok(res, {
-      stage: 'test',
-      status: 'SUCCESS',
-      message: 'Test erfolgreich — keine kritischen Fehler.',
-      data: { summary: parsed.summary }
-    });
+    const callbackUrl = webhookCallbackUrl(req);
+    const subscriptions = (apiRes.data?.content || []).map(s => ({ ...s, ours: s.callbackUrl === callbackUrl }));
+    ok(res, { status: 'SUCCESS', data: { callbackUrl, signatureKeyConfigured: !!WEBHOOK_PUBLIC_KEY, subscriptions } });
   } catch (err) {
     fail(res, {
-      stage: 'test',
+      stage: 'webhook-subscriptions',
       status: 'ERROR',
       message: err.message,
-      technical: buildTechnical({ httpStatus: 500, raw: { message: 'TEST_EXCEPTION' }, err })
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'WEBHOOK_SUBSCRIPTIONS_EXCEPTION' }, err })
     });
   }
 });
 
-app.post('/api/create-offer', authMiddleware, async (req, res) => {
-  const startedAt = Date.now();
-
+app.post('/api/admin/webhooks/subscriptions', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { excelData, allowPriceOverride, finalize } = req.body || {};
-    const allow = typeof allowPriceOverride === 'boolean' ? allowPriceOverride : ALLOW_PRICE_OVERRIDE_DEFAULT;
-    const doFinalize = typeof finalize === 'boolean' ? finalize : FINALIZE_DEFAULT;
+    const callbackUrl = String(req.body?.callbackUrl || '').trim() || webhookCallbackUrl(req);
+    const eventTypes = Array.isArray(req.body?.eventTypes) && req.body.eventTypes.length ? req.body.eventTypes : DEFAULT_EVENT_TYPES;
 
-    if (!excelData) {
+    const invalid = eventTypes.filter(t => !parseEvent({ eventType: t, resourceId: '-' }).event);
+    if (invalid.length || !/^https?:\/\//.test(callbackUrl)) {
       return fail(res, {
         stage: 'input',
         status: 'VALIDATION_ERROR',
-        message: 'Keine Excel-Daten übergeben.',
-        technical: buildTechnical({ httpStatus: 400, raw: { message: 'NO_EXCEL' } })
+        message: invalid.length ? `Ungültige eventTypes: ${invalid.join(', ')}.` : `callbackUrl "${callbackUrl}" ist keine URL.`,
+        technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_SUBSCRIPTION' } })
       });
     }
 
-    if (!API_KEY) {
+    const listed = await listEventSubscriptions();
+    if (listed.status < 200 || listed.status >= 300) {
       return fail(res, {
-        stage: 'config',
-        status: 'CONFIG_ERROR',
-        message: 'API Key fehlt.',
-        technical: buildTechnical({ httpStatus: 500, raw: { message: 'NO_API_KEY' } })
+        stage: 'webhook-subscriptions',
+        status: 'ERROR',
+        message: 'Event-Subscriptions konnten nicht geladen werden.',
+        technical: buildTechnical({ httpStatus: listed.status, raw: listed.data })
       });
     }
 
-    const key = hashRequest({ excelData, allowPriceOverride: allow, finalize: doFinalize });
-    if (inFlight.has(key)) {
-      const cached = await inFlight.get(key);
-      return res.json(cached);
-    }
-
-    const promise = (async () => {
-      const parsed = await parseExcelAndBuildQuotationPayload(excelData, { allowPriceOverride: allow });
-
-      if (!parsed.ok) {
-        return {
-          ok: false,
-          stage: 'validation',
-          status: 'VALIDATION_ERROR',
-          message: 'Excel enthält Validierungsfehler. Details siehe errors.',
-          data: { summary: parsed.summary }
-        };
+    const current = listed.data?.content || [];
+    const existing = [];
+    const created = [];
+    const errors = [];
+    for (const eventType of eventTypes) {
+      const found = current.find(s => s.eventType === eventType && s.callbackUrl === callbackUrl);
+      if (found) {
+        existing.push(found);
+        continue;
       }
-
-      const url = `${API_BASE_URL}/v1/quotations${doFinalize ? '?finalize=true' : ''}`;
       const apiRes = await lexwareRequest({
         method: 'POST',
-        url,
+        url: `${tenant().baseUrl}/v1/event-subscriptions`,
         headers: { 'Content-Type': 'application/json' },
-        data: parsed.payload,
+        data: { eventType, callbackUrl },
         accept: 'application/json'
       });
+      if (apiRes.status >= 200 && apiRes.status < 300) created.push(apiRes.data);
+      else errors.push({ field: eventType, message: `${eventType}: Lexware HTTP ${apiRes.status}${apiRes.data?.message ? ` – ${apiRes.data.message}` : ''}` });
+    }
 
-      if (apiRes.status < 200 || apiRes.status >= 300) {
-        return {
-          ok: false,
-          stage: 'lexware-create',
-          status: apiRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
-          message: apiRes.status === 429 ? 'Rate limit exceeded' : 'Lexware API Fehler',
-          technical: buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data }),
-          data: { summary: parsed.summary }
-        };
-      }
-
-      return {
-        ok: true,
-        stage: 'lexware-create',
-        status: 'SUCCESS',
-        message: 'Angebot erstellt.',
-        data: {
-          quotationId: apiRes.data?.id || null,
-          summary: parsed.summary,
-          ms: Date.now() - startedAt
-        }
-      };
-    })();
-
-    inFlight.set(key, promise);
-    const result = await promise;
-    setTimeout(() => inFlight.delete(key), 15000);
-
-    return res.json(result);
+    const payload = {
+      stage: 'webhook-subscriptions',
+      message: `${created.length} angelegt, ${existing.length} schon vorhanden${errors.length ? `, ${errors.length} fehlgeschlagen` : ''}.`,
+      data: { callbackUrl, created, existing, errors }
+    };
+    return errors.length ? fail(res, { ...payload, status: 'PARTIAL' }) : ok(res, { ...payload, status: 'SUCCESS' });
   } catch (err) {
-    return fail(res, {
-      stage: 'lexware-create',
+    fail(res, {
+      stage: 'webhook-subscriptions',
       status: 'ERROR',
-      message: err.message || 'Unerwarteter Fehler',
-      technical: buildTechnical({ httpStatus: 500, raw: { message: 'UNHANDLED_EXCEPTION' }, err })
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'WEBHOOK_SUBSCRIPTIONS_EXCEPTION' }, err })
     });
   }
 });
 
-app.get('/api/download-pdf', authMiddleware, async (req, res) => {
+app.delete('/api/admin/webhooks/subscriptions/:id', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const quotationId = String(req.query.id || '').trim();
-    if (!quotationId) return res.status(400).send('Missing id');
-    if (!API_KEY) return res.status(500).send('API Key fehlt');
-
     const apiRes = await lexwareRequest({
-      method: 'GET',
-      url: `${API_BASE_URL}/v1/quotations/${encodeURIComponent(quotationId)}/file`,
-      responseType: 'arraybuffer',
-      accept: '*/*'
+      method: 'DELETE',
+      url: `${tenant().baseUrl}/v1/event-subscriptions/${encodeURIComponent(req.params.id)}`
     });
-
     if (apiRes.status < 200 || apiRes.status >= 300) {
-      const tech = buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data });
-
-      const msg = (tech?.raw && typeof tech.raw === 'object' && tech.raw.message) ? String(tech.raw.message) : '';
-      const isDraftPdf =
-        apiRes.status === 409 &&
-        msg.toLowerCase().includes('status') &&
-        msg.toLowerCase().includes('draft') &&
-        msg.toLowerCase().includes('cannot be downloaded');
-
-      return res.status(200).json({
-        ok: false,
-        stage: 'lexware-pdf',
-        status: apiRes.status === 429 ? 'RATE_LIMIT' : 'ERROR',
-        message: isDraftPdf
-          ? 'PDF nicht verfügbar: Angebot ist im ENTWURF (draft). Bitte im Modus FINAL erstellen.'
-          : (apiRes.status === 429 ? 'Rate limit exceeded' : 'Lexware PDF Fehler'),
-        technical: tech
+      return fail(res, {
+        stage: 'webhook-subscriptions',
+        status: apiRes.status === 404 ? 'NOT_FOUND' : 'ERROR',
+        message: 'Event-Subscription konnte nicht gelöscht werden.',
+        technical: buildTechnical({ httpStatus: apiRes.status, raw: apiRes.data })
       });
     }
+    ok(res, { status: 'SUCCESS', message: 'Event-Subscription gelöscht.' });
+  } catch (err) {
+    fail(res, {
+      stage: 'webhook-subscriptions',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'WEBHOOK_SUBSCRIPTIONS_EXCEPTION' }, err })
+    });
+  }
+});
+
+// Empfangene Events (neueste zuerst) und letzter bekannter Status je Angebot
+app.get('/api/admin/webhooks/events', authMiddleware, requireRole('admin'), (req, res) => {
+  const id = tenant().id;
+  const mine = entry => (entry.tenant || tenantConfig.defaultId) === id;
+  const quotations = Object.fromEntries(Object.entries(webhookStore.data.quotations).filter(([, q]) => mine(q)));
+  const events = webhookStore.data.events.filter(mine).reverse();
+  ok(res, { status: 'SUCCESS', data: { quotations, events } });
+});
+
+// ------------------------------------------------------------
+// Audit-Log (admin): Lexware-Aufrufe filtern und als Beleg für den Lexware-Support herunterladen
+// ?quotationId=&from=2026-10-01&to=2026-10-19&status=422|4xx|error&limit=200&format=ndjson
+// ------------------------------------------------------------
+const AUDIT_DATE_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+const AUDIT_STATUS_RE = /^(\d{3}|[1-5]xx|error)$/i;
+const AUDIT_MAX_LIMIT = 5000;
+
+app.get('/api/admin/audit', authMiddleware, requireRole('admin'), async (req, res) => {
+  const quotationId = String(req.query.quotationId || '').trim();
+  const from = String(req.query.from || '').trim();
+  const to = String(req.query.to || '').trim();
+  const status = String(req.query.status || '').trim();
+  const limit = Math.min(AUDIT_MAX_LIMIT, Math.max(1, Number(req.query.limit) || 200));
+
+  const invalid = [
+    from && !AUDIT_DATE_RE.test(from) && `from "${from}" ist kein Datum (JJJJ-MM-TT).`,
+    to && !AUDIT_DATE_RE.test(to) && `to "${to}" ist kein Datum (JJJJ-MM-TT).`,
+    status && !AUDIT_STATUS_RE.test(status) && `status "${status}" ist ungültig (z. B. 422, 4xx, error).`
+  ].filter(Boolean);
+  if (invalid.length) {
+    return fail(res, {
+      stage: 'input',
+      status: 'VALIDATION_ERROR',
+      message: invalid.join(' '),
+      technical: buildTechnical({ httpStatus: 400, raw: { message: 'INVALID_FILTER' } })
+    });
+  }
+
+  try {
+    const entries = await auditLog.query({ tenant: tenant().id, quotationId, from, to, status, limit });
 
-    const contentType = apiRes.headers?.['content-type'] || 'application/pdf';
-    const disposition = apiRes.headers?.['content-disposition'] || 'attachment; filename="quotation.pdf"';
+    if (req.query.format === 'ndjson') {
+      const name = `lexware-audit_${quotationId || tenant().id}_${new Date().toISOString().slice(0, 10)}.ndjson`;
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+      return res.status(200).send(entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : ''));
+    }
 
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', disposition);
-    return res.status(200).send(Buffer.from(apiRes.data));
+    ok(res, { stage: 'audit', status: 'SUCCESS', data: { count: entries.length, entries } });
   } catch (err) {
-    return res.status(200).json({
-      ok: false,
-      stage: 'lexware-pdf',
+    fail(res, {
+      stage: 'audit',
       status: 'ERROR',
       message: err.message,
-      technical: buildTechnical({ httpStatus: 500, raw: { message: 'PDF_EXCEPTION' }, err })
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'AUDIT_EXCEPTION' }, err })
     });
   }
 });
 
 // ------------------------------------------------------------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log('Server läuft auf Port', PORT));
+// Benutzerverwaltung (admin)
+// ------------------------------------------------------------
+const USER_ERROR_HTTP = { USER_NOT_FOUND: 404, TOKEN_NOT_FOUND: 404, USER_EXISTS: 409, LAST_ADMIN: 409 };
+
+function userError(res, err) {
+  if (!(err instanceof UserError)) {
+    return fail(res, {
+      stage: 'users',
+      status: 'ERROR',
+      message: err.message,
+      technical: buildTechnical({ httpStatus: 500, raw: { message: 'USERS_EXCEPTION' }, err })
+    });
+  }
+  const httpStatus = USER_ERROR_HTTP[err.code] || 400;
+  return fail(res, {
+    stage: 'users',
+    status: httpStatus === 400 ? 'VALIDATION_ERROR' : err.code,
+    message: err.message,
+    technical: buildTechnical({ httpStatus, raw: { message: err.code } })
+  });
+}
+
+app.get('/api/admin/users', authMiddleware, requireRole('admin'), (req, res) => {
+  ok(res, { stage: 'users', status: 'SUCCESS', data: { roles: ROLES, users: users.list() } });
+});
+
+// { username, password, role, name } – der erste Benutzer muss admin sein (schaltet auf Benutzerkonten um)
+app.post('/api/admin/users', authMiddleware, requireRole('admin'), async (req, res) => {
+  const { username, password, role, name } = req.body || {};
+  try {
+    if (!users.hasUsers && role !== 'admin') {
+      throw new UserError('Der erste Benutzer muss die Rolle "admin" haben.', 'INVALID_ROLE');
+    }
+    const user = await users.create({ username, password, role, name });
+    ok(res, { stage: 'users', status: 'SUCCESS', message: `Benutzer ${user.username} angelegt.`, data: { user } });
+  } catch (err) {
+    userError(res, err);
+  }
+});
+
+// { password?, role?, name?, disabled? }
+app.patch('/api/admin/users/:username', authMiddleware, requireRole('admin'), async (req, res) => {
+  const { password, role, name, disabled } = req.body || {};
+  try {
+    const user = await users.update(req.params.username, { password, role, name, disabled });
+    ok(res, { stage: 'users', status: 'SUCCESS', message: `Benutzer ${user.username} geändert.`, data: { user } });
+  } catch (err) {
+    userError(res, err);
+  }
+});
+
+app.delete('/api/admin/users/:username', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    await users.remove(req.params.username);
+    ok(res, { stage: 'users', status: 'SUCCESS', message: 'Benutzer gelöscht.' });
+  } catch (err) {
+    userError(res, err);
+  }
+});
+
+// API-Token für Skripte (Authorization: Bearer …); der Klartext wird nur hier einmal ausgegeben
+app.post('/api/admin/users/:username/tokens', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const token = await users.createToken(req.params.username, req.body?.label);
+    ok(res, { stage: 'users', status: 'SUCCESS', message: 'Token erstellt – jetzt kopieren, er wird nicht noch einmal angezeigt.', data: token });
+  } catch (err) {
+    userError(res, err);
+  }
+});
+
+app.delete('/api/admin/users/:username/tokens/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    await users.revokeToken(req.params.username, req.params.id);
+    ok(res, { stage: 'users', status: 'SUCCESS', message: 'Token widerrufen.' });
+  } catch (err) {
+    userError(res, err);
+  }
+});
+
+// Direkt gestartet → lauschen; per require() (Tests) nur die App exportieren
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log('Server läuft auf Port', PORT));
+  // Artikelstamm vorwärmen: fehlt der Cache, wird geladen; ist er veraltet, im Hintergrund erneuert
+  for (const t of tenants.values()) {
+    if (!t.apiKey) continue;
+    tenantContext.run(t, () => listAllArticlesCached(false))
+      .catch(err => console.error(`Artikelstamm (${t.id}) konnte nicht geladen werden:`, err.message));
+  }
+  // erster Admin aus der ENV, solange noch niemand angelegt ist
+  if (!users.hasUsers && ADMIN_USER && ADMIN_PASSWORD) {
+    users.create({ username: ADMIN_USER, password: ADMIN_PASSWORD, role: 'admin', name: 'Admin' })
+      .then(u => console.log(`Admin ${u.username} angelegt – Anmeldung jetzt mit Benutzerkonto.`))
+      .catch(err => console.error('Admin konnte nicht angelegt werden:', err.message));
+  }
+}
+
+module.exports = app;
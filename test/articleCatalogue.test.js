@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ArticleCatalogue, searchArticles } = require('../lib/articleCatalogue');
+
+const ARTICLES = [
+  { id: 'a1', title: 'Gildan Softstyle T-Shirt', articleNumber: 'GS-64000', type: 'PRODUCT', price: { netPrice: 4.2, grossPrice: 5 } },
+  { id: 'a2', title: 'Druck Größe klein', articleNumber: 'DK', type: 'SERVICE', price: { netPrice: 2.5, grossPrice: 2.98 } },
+  { id: 'a3', title: 'Druck Größe groß', articleNumber: 'DG', type: 'SERVICE', price: { netPrice: 4.9, grossPrice: 5.83 } },
+  { id: 'a4', title: 'Softstyle Hoodie', articleNumber: 'GS-18500', type: 'PRODUCT', archived: true, price: { netPrice: 14, grossPrice: 16.66 } },
+  { id: 'a5', title: 'Tasche Baumwolle', articleNumber: '', type: 'PRODUCT', price: { netPrice: 1.9, grossPrice: 2.26 } },
+  { id: 'a2', title: 'Druck Größe klein', articleNumber: 'DK', type: 'SERVICE', price: { netPrice: 2.5, grossPrice: 2.98 } }
+];
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-catalogue-'));
+  return path.join(dir, 'articles.json');
+}
+
+function fakeFetch(results) {
+  const fetchAll = async () => {
+    fetchAll.calls++;
+    return results.shift();
+  };
+  fetchAll.calls = 0;
+  return fetchAll;
+}
+
+test('Katalog liegt auf der Platte und übersteht einen Neustart', async () => {
+  const filePath = tmpFile();
+  const fetchAll = fakeFetch([{ articles: ARTICLES, complete: true }]);
+
+  const first = new ArticleCatalogue({ filePath, ttlMs: 60_000, fetchAll });
+  const [a, b] = await Promise.all([first.list(), first.list()]);
+  assert.equal(a.length, ARTICLES.length);
+  assert.equal(b, a);
+  assert.equal(fetchAll.calls, 1, 'parallele Aufrufe teilen sich einen Abruf');
+
+  const restarted = new ArticleCatalogue({ filePath, ttlMs: 60_000, fetchAll });
+  assert.equal((await restarted.list()).length, ARTICLES.length);
+  assert.equal(fetchAll.calls, 1, 'nach Neustart aus der Datei');
+
+  await restarted.invalidate();
+  assert.equal(new ArticleCatalogue({ filePath, ttlMs: 60_000, fetchAll }).store.data.articles, null);
+});
+
+test('Veralteter Katalog: sofort ausliefern, im Hintergrund erneuern; abgebrochener Abruf ersetzt nichts', async () => {
+  const filePath = tmpFile();
+  const fetchAll = fakeFetch([
+    { articles: ARTICLES.slice(0, 2), complete: true },
+    { articles: ARTICLES, complete: true },
+    { articles: [], complete: false }
+  ]);
+  const catalogue = new ArticleCatalogue({ filePath, ttlMs: 0, fetchAll });
+
+  assert.equal((await catalogue.list()).length, 2);
+  assert.equal((await catalogue.list()).length, 2, 'alter Stand sofort');
+  assert.ok(catalogue.loading, 'Neuladen läuft im Hintergrund');
+  await catalogue.loading;
+  assert.equal(catalogue.store.data.articles.length, ARTICLES.length);
+
+  assert.equal((await catalogue.list({ refresh: true })).length, ARTICLES.length);
+  assert.equal(fetchAll.calls, 3);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).articles.length, ARTICLES.length);
+});
+
+test('Suche: Wörter, Typ, archivierte, Sortierung und Seiten', () => {
+  const titles = r => r.content.map(a => a.title);
+
+  assert.deepEqual(titles(searchArticles(ARTICLES, { q: 'druck grosse' })), ['Druck Größe groß', 'Druck Größe klein']);
+  assert.deepEqual(titles(searchArticles(ARTICLES, { q: 'dk' })), ['Druck Größe klein'], 'Artikelnummer, Dublette nur einmal');
+  assert.deepEqual(titles(searchArticles(ARTICLES, { q: 'softstyle' })), ['Gildan Softstyle T-Shirt']);
+  assert.deepEqual(titles(searchArticles(ARTICLES, { q: 'softstyle', archived: 'all' })), ['Softstyle Hoodie', 'Gildan Softstyle T-Shirt'], 'Titel beginnt mit q zuerst');
+  assert.deepEqual(titles(searchArticles(ARTICLES, { archived: 'true' })), ['Softstyle Hoodie']);
+  assert.deepEqual(titles(searchArticles(ARTICLES, { type: 'service', sort: 'netPrice,desc' })), ['Druck Größe groß', 'Druck Größe klein']);
+  assert.deepEqual(searchArticles(ARTICLES, { sort: 'articleNumber' }).content.map(a => a.articleNumber), ['DG', 'DK', 'GS-64000', ''], 'leere Nummer ans Ende');
+
+  const page = searchArticles(ARTICLES, { size: 3, page: 1 });
+  assert.deepEqual(
+    { ...page, content: titles(page) },
+    { content: ['Tasche Baumwolle'], number: 1, size: 3, totalElements: 4, totalPages: 2, first: false, last: true }
+  );
+});
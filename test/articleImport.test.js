@@ -0,0 +1,68 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planArticleImport } = require('../lib/articleImport');
+
+const EXISTING = [
+  { id: 'a1', organizationId: 'org', title: 'Softstyle T-Shirt', articleNumber: 'GS-64000', type: 'PRODUCT', unitName: 'Stück', gtin: '4001', archived: false, version: 3, price: { netPrice: 4.2, grossPrice: 5, leadingPrice: 'NET', taxRate: 19 } },
+  { id: 'a2', title: 'Druck klein', articleNumber: 'DK', type: 'SERVICE', unitName: 'Stück', archived: true, version: 1, price: { netPrice: 2.5, grossPrice: 2.98, leadingPrice: 'NET', taxRate: 19 } },
+  { id: 'a3', title: 'Tasche', articleNumber: 'T-1', type: 'PRODUCT', version: 1, price: { netPrice: 1, grossPrice: 1.19, leadingPrice: 'NET', taxRate: 19 } },
+  { id: 'a4', title: 'Tasche groß', articleNumber: 'T-1', type: 'PRODUCT', version: 1, price: { netPrice: 2, grossPrice: 2.38, leadingPrice: 'NET', taxRate: 19 } },
+  { id: 'a1', title: 'Softstyle T-Shirt', articleNumber: 'GS-64000', version: 1 } // Dublette aus dem Paging
+];
+
+test('Neuanlage, Änderung mit Diff und unveränderte Zeilen', () => {
+  const { items, errors, warnings } = planArticleImport([
+    { id: '', title: 'Stanley/Stella Creator Hoodie', articleNumber: 'STSU868', type: '', unitName: '', netPrice: '24,9', grossPrice: '', leadingPrice: '', taxRate: '', version: '' },
+    { id: 'a1', title: 'Softstyle T-Shirt', articleNumber: 'GS-64000', type: 'PRODUCT', unitName: 'Stück', netPrice: 4.5, grossPrice: 5, leadingPrice: 'NET', taxRate: 19, version: 3 },
+    {},
+    { title: 'Druck klein', articleNumber: 'DK', type: 'dienstleistung', netPrice: '2,50' }
+  ], EXISTING);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items.map(i => [i.row, i.action, i.id]), [[2, 'create', null], [3, 'update', 'a1'], [5, 'unchanged', 'a2']]);
+
+  assert.deepEqual(items[0].article, {
+    articleNumber: 'STSU868',
+    title: 'Stanley/Stella Creator Hoodie',
+    type: 'PRODUCT',
+    unitName: 'Stück',
+    price: { netPrice: 24.9, grossPrice: 29.63, leadingPrice: 'NET', taxRate: 19 }
+  });
+
+  assert.deepEqual(items[1].changes, [
+    { field: 'netPrice', from: 4.2, to: 4.5 },
+    { field: 'grossPrice', from: 5, to: 5.36 }
+  ]);
+  assert.equal(items[1].article.version, 3, 'version für das optimistische Locking');
+  assert.equal(items[1].article.gtin, '4001', 'übrige Lexware-Felder bleiben erhalten');
+  assert.equal(items[1].article.id, undefined);
+  assert.equal(items[1].article.organizationId, undefined);
+
+  assert.deepEqual(warnings.map(w => `${w.row}:${w.field}`), ['3:grossPrice', '5:archived']);
+});
+
+test('Fehler: Version veraltet, doppelte/mehrdeutige Nummer, fremde id, ungültige Werte', () => {
+  const { items, errors } = planArticleImport([
+    { articleNumber: 'GS-64000', title: 'Softstyle T-Shirt', netPrice: 4.2, version: 2 },
+    { articleNumber: 'NEU-1', title: 'Neu', netPrice: 1 },
+    { articleNumber: 'NEU-1', title: 'Neu doppelt', netPrice: 1 },
+    { articleNumber: 'T-1', title: 'Tasche', netPrice: 1 },
+    { articleNumber: 'DK', id: 'a1', title: 'Druck klein' },
+    { articleNumber: 'NEU-2', title: '', type: 'Ware', taxRate: 16, leadingPrice: 'brutto' },
+    { articleNumber: '', id: 'gibt-es-nicht', title: 'x', netPrice: 'abc' }
+  ], EXISTING);
+
+  assert.deepEqual(items.map(i => i.articleNumber), ['NEU-1']);
+  assert.deepEqual(errors.map(e => `${e.row}:${e.field}`), [
+    '2:version',
+    '4:articleNumber',
+    '5:articleNumber',
+    '6:id',
+    '7:title', '7:type', '7:leadingPrice', '7:taxRate', '7:netPrice',
+    '8:articleNumber', '8:id', '8:netPrice'
+  ]);
+  assert.match(errors[0].message, /zwischenzeitlich geändert \(Version 3, Datei 2\)/);
+});
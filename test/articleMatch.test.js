@@ -0,0 +1,68 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AUTO_MATCH_SCORE, normalizeTitle, buildArticleIndex, matchTitle, pickAutoMatch } = require('../lib/articleMatch');
+
+const ARTICLES = [
+  { id: 'a1', title: 'Gildan Softstyle T-Shirt', articleNumber: 'GS-64000' },
+  { id: 'a2', title: 'Men´s Fit T-Shirt', articleNumber: 'TS-M' },
+  { id: 'a3', title: 'Ladies´ Fit T-Shirt ', articleNumber: 'TS-L' },
+  { id: 'a4', title: 'Druck Größe klein (max. 15x20 cm)', articleNumber: 'DK' },
+  { id: 'a5', title: 'PANTALÓN LARGO ESTADIO II NEGRO', articleNumber: null },
+  { id: 'a6', title: 'Camiseta Combi Woman Marino', articleNumber: '900248.331' },
+  { id: 'a2', title: 'Men´s Fit T-Shirt', articleNumber: 'TS-M' } // Dublette aus Paging
+];
+
+const index = buildArticleIndex(ARTICLES);
+const best = title => matchTitle(index, title)[0];
+
+test('Normalisierung: Umlaute, Akzente, Apostrophe, Bindestriche', () => {
+  assert.equal(normalizeTitle('Druck Größe KLEIN'), 'druck groesse klein');
+  assert.equal(normalizeTitle('Pantalón  largo'), 'pantalon largo');
+  assert.equal(normalizeTitle('Men´s Fit T-Shirt'), 'mens fit t shirt');
+  assert.equal(index.length, 6, 'gleiche id nur einmal im Index');
+});
+
+test('Schreibweisen und Reihenfolge werden sicher erkannt', () => {
+  assert.deepEqual(best('Gildan Softstyle Tshirt'), { id: 'a1', title: 'Gildan Softstyle T-Shirt', articleNumber: 'GS-64000', score: 1 });
+  assert.equal(best('pantalon largo estadio ii negro').score, 1);
+  assert.equal(best('Fit T-Shirt Mens').id, 'a2');
+  assert.equal(best('Fit T-Shirt Mens').score, 0.97);
+
+  const typo = best('Gildan Sofstyle T-Shirt');
+  assert.equal(typo.id, 'a1');
+  assert.ok(typo.score >= AUTO_MATCH_SCORE && typo.score < 1, String(typo.score));
+});
+
+test('Unsichere Treffer: mehrere Kandidaten oder anderes Wort bleiben unter der Schwelle', () => {
+  const fit = matchTitle(index, 'Fit T-Shirt');
+  assert.deepEqual(fit.slice(0, 2).map(c => c.id).sort(), ['a2', 'a3']);
+  assert.equal(fit[0].score, fit[1].score);
+
+  assert.ok(best('Camiseta Combi Man Marino').score < AUTO_MATCH_SCORE, 'man ≠ woman');
+  assert.ok(best('Druck Grösse klein').score < AUTO_MATCH_SCORE, 'Titel hat Zusätze → nur Vorschlag');
+  assert.equal(best('Druck Grösse klein').id, 'a4');
+  assert.deepEqual(matchTitle(index, 'Kaffeetasse'), []);
+});
+
+test('Varianten: exakter Titel gewinnt, unscharfer Treffer braucht Vorsprung vor dem zweiten', () => {
+  const variants = buildArticleIndex([
+    ...ARTICLES,
+    { id: 'a1-xl', title: 'Gildan Softstyle T-Shirt XL', articleNumber: 'GS-64000-XL' },
+    { id: 'a1-nv', title: 'Gildan Softstyle T-Shirt Navy', articleNumber: 'GS-64000-NV' }
+  ]);
+  const pick = title => pickAutoMatch(matchTitle(variants, title, { limit: 10 }))?.id ?? null;
+
+  const exact = matchTitle(variants, 'Gildan Softstyle T-Shirt');
+  assert.ok(exact[1].score >= AUTO_MATCH_SCORE, 'Variante liegt selbst über der Schwelle');
+  assert.equal(pick('Gildan Softstyle T-Shirt'), 'a1');
+  assert.equal(pick('Gildan Softstyle T-Shirt XL'), 'a1-xl');
+  assert.equal(pick('Gildan Sofstyle T-Shirt'), 'a1', '0.96 gegen 0.91');
+
+  assert.equal(pick('Fit T-Shirt'), null, 'gleichauf');
+  assert.equal(pick('Druck Grösse klein'), null, 'unter der Schwelle');
+  assert.equal(pickAutoMatch([{ id: 'x', score: 1 }, { id: 'y', score: 1 }]), null, 'mehrere exakte Treffer');
+  assert.equal(pickAutoMatch([]), null);
+});
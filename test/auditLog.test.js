@@ -0,0 +1,70 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuditLog, REDACTED, redact, redactUrl, matchesStatus } = require('../lib/auditLog');
+
+test('Secrets werden entfernt, große und binäre Bodies gekürzt', () => {
+  assert.deepEqual(redact({ Authorization: 'Bearer abc', nested: [{ apiKey: 'k', title: 'T-Shirt' }], note: 'Header war Bearer xyz.123' }), {
+    Authorization: REDACTED,
+    nested: [{ apiKey: REDACTED, title: 'T-Shirt' }],
+    note: `Header war Bearer ${REDACTED}`
+  });
+  assert.equal(redactUrl('https://api.lexware.io/v1/contacts?email=a@b.de&access_token=geheim'), `https://api.lexware.io/v1/contacts?email=a%40b.de&access_token=${encodeURIComponent(REDACTED)}`);
+
+  const log = new AuditLog({ dir: os.tmpdir(), maxBodyChars: 50 });
+  const entry = log.entry({
+    ts: '2026-10-19T10:00:00.000Z',
+    request: { method: 'post', url: 'https://x/v1/quotations', headers: { 'Content-Type': 'application/json' }, data: { password: 'p', lineItems: Array(20).fill({ name: 'Shirt' }) } },
+    response: { status: 200, data: Buffer.from('%PDF-1.4') }
+  });
+  assert.equal(entry.method, 'POST');
+  assert.equal(entry.requestBody.truncated, true);
+  assert.ok(!entry.requestBody.preview.includes('"p"'));
+  assert.equal(entry.responseBody, '[binär, 8 Bytes]');
+
+  assert.equal(matchesStatus(422, '4xx'), true);
+  assert.equal(matchesStatus(201, 'error'), false);
+  assert.equal(matchesStatus(0, 'error'), true, 'Netzwerkfehler');
+  assert.equal(matchesStatus(404, '422'), false);
+});
+
+test('Rotation und Filter über alle Dateien', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const log = new AuditLog({ dir, maxBytes: 300, maxFiles: 3 });
+
+  for (let i = 1; i <= 8; i++) {
+    await log.append({ ts: `2026-10-${String(10 + i).padStart(2, '0')}T08:00:00.000Z`, tenant: 'default', quotationId: i % 2 ? 'q-odd' : 'q-even', status: i === 8 ? 422 : 200, n: i, pad: 'x'.repeat(80) });
+  }
+
+  const files = fs.readdirSync(dir).sort();
+  assert.deepEqual(files, ['lexware-audit.1.log', 'lexware-audit.2.log', 'lexware-audit.log']);
+  assert.ok(files.every(f => fs.statSync(path.join(dir, f)).size <= 300));
+
+  const all = await log.query();
+  assert.ok(all.length < 8, 'älteste Datei ist weggefallen');
+  assert.equal(all[0].n, 8, 'neueste zuerst');
+
+  assert.deepEqual((await log.query({ status: 'error' })).map(e => e.n), [8]);
+  assert.ok((await log.query({ quotationId: 'q-even' })).every(e => e.quotationId === 'q-even'));
+  assert.deepEqual((await log.query({ from: '2026-10-16', to: '2026-10-17' })).map(e => e.n), [7, 6]);
+  assert.equal((await log.query({ tenant: 'merch' })).length, 0);
+  assert.equal((await log.query({ limit: 2 })).length, 2);
+});
+
+test('Rotation: insgesamt maxFiles Dateien, die aktuelle mitgezählt', async () => {
+  for (const maxFiles of [1, 2, 4]) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const log = new AuditLog({ dir, maxBytes: 150, maxFiles });
+
+    // jeder Eintrag füllt eine Datei → jeder weitere rotiert
+    for (let i = 1; i <= 10; i++) await log.append({ n: i, pad: 'x'.repeat(100) });
+
+    assert.equal(fs.readdirSync(dir).length, maxFiles, `maxFiles ${maxFiles}`);
+    assert.deepEqual((await log.query()).map(e => e.n), [10, 9, 8, 7].slice(0, maxFiles));
+  }
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+// Batch: mehrere Angebote aus einer Mappe, Einzeldateien und ZIP; erst prüfen, dann anlegen.
+// Kunde mit contactId und custom-Positionen mit Preis → die Prüfung braucht Lexware nicht.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+let server;
+let baseUrl;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+  Object.assign(process.env, {
+    LEXWARE_API_KEY: 'test-key',
+    LEXWARE_API_BASE_URL: 'http://127.0.0.1:9', // nicht erreichbar: jeder Lexware-Aufruf wäre ein Fehler
+    OFFER_STORE_FILE: path.join(tmpDir, 'offers.json')
+  });
+  const app = require('../server');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function postBatch(body) {
+  const res = await fetch(`${baseUrl}/api/batch`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return res.json();
+}
+
+function toBuffer(sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name);
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const position = (quantity, extra = {}) => ({ ...extra, type: 'custom', name: 'DTF Druck Brust', quantity, unitName: 'Stk', unitPriceAmount: 6.9, taxRatePercentage: 19 });
+
+// Angebot gemeinsam (Feld/Wert), Kunde und Positionen je offer; C hat keine Kunde-Zeile
+const batchWorkbook = ({ withOrphan = true } = {}) => toBuffer({
+  Angebot: [{ Feld: 'taxType', Wert: 'net' }],
+  Kunde: [
+    { offer: 'A', name: 'Turnverein Nord', contactId: 'contact-a' },
+    { offer: 'B', name: 'Turnverein Süd', contactId: 'contact-b' }
+  ],
+  Positionen: [
+    position(10, { offer: 'A' }),
+    position(20, { offer: 'B' }),
+    position(5, { offer: 'B' }),
+    ...(withOrphan ? [position(30, { offer: 'C' })] : [])
+  ]
+});
+
+const singleWorkbook = () => toBuffer({
+  Angebot: [{ Feld: 'taxType', Wert: 'net' }],
+  Kunde: [{ Feld: 'name', Wert: 'Turnverein West' }, { Feld: 'contactId', Wert: 'contact-w' }],
+  Positionen: [position(11)]
+});
+
+function zipOf(files) {
+  const zip = XLSX.CFB.utils.cfb_new();
+  for (const [name, content] of Object.entries(files)) XLSX.CFB.utils.cfb_add(zip, name, content);
+  return Buffer.from(XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip' })).toString('base64');
+}
+
+const rows = res => res.data.results.map(r => [r.file, r.offer, r.customer, r.status]);
+
+test('Prüfen: Einzeldatei und Mappe aus dem ZIP, ein Angebot je offer', async () => {
+  const res = await postBatch({
+    dryRun: true,
+    files: [{ name: 'einzeln.xlsx', data: singleWorkbook().toString('base64') }],
+    zipData: zipOf({
+      'angebote/vereine.xlsx': batchWorkbook({ withOrphan: false }),
+      '__MACOSX/angebote/._vereine.xlsx': Buffer.from('x'),
+      'angebote/notiz.txt': Buffer.from('kein Angebot')
+    })
+  });
+  assert.equal(res.ok, true, res.message);
+  assert.equal(res.message, 'Prüfung: 3 gültig, 0 fehlerhaft.');
+  assert.deepEqual(rows(res), [
+    ['einzeln.xlsx', '', 'Turnverein West', 'VALID'],
+    ['angebote/vereine.xlsx', 'A', 'Turnverein Nord', 'VALID'],
+    ['angebote/vereine.xlsx', 'B', 'Turnverein Süd', 'VALID']
+  ]);
+
+  const table = XLSX.utils.sheet_to_json(XLSX.read(Buffer.from(res.data.resultExcel, 'base64'), { type: 'buffer' }).Sheets.Ergebnis);
+  assert.deepEqual(table.map(r => [r.nr, r.offer || '', r.status]), [[1, '', 'VALID'], [2, 'A', 'VALID'], [3, 'B', 'VALID']]);
+});
+
+test('ein fehlerhaftes Angebot stoppt den ganzen Batch, Fehler mit Sheet und Feld', async () => {
+  const excelData = batchWorkbook().toString('base64');
+
+  const check = await postBatch({ excelData, dryRun: true });
+  assert.equal(check.status, 'VALIDATION_ERROR');
+  assert.deepEqual(rows(check).map(r => r.slice(1)), [['A', 'Turnverein Nord', 'VALID'], ['B', 'Turnverein Süd', 'VALID'], ['C', '', 'INVALID']]);
+  assert.deepEqual(check.data.results[2].errors, ['[Kunde] offer: Keine Kunde-Zeile für offer "C".']);
+
+  const blocked = await postBatch({ excelData });
+  assert.equal(blocked.status, 'VALIDATION_ERROR');
+  assert.equal(blocked.message, '1 Angebot(e) fehlerhaft → nichts erstellt.');
+  assert.ok(blocked.data.results.every(r => !r.quotationId));
+});
+
+test('Eingabefehler: nichts übergeben, kaputtes ZIP', async () => {
+  assert.equal((await postBatch({})).message, 'Keine Excel-Dateien übergeben.');
+  assert.match((await postBatch({ zipData: Buffer.from('kein zip').toString('base64') })).message, /^ZIP konnte nicht gelesen werden/);
+});
@@ -0,0 +1,618 @@
+'use strict';
+
+// End-to-End: Excel-Fixtures aus templates/ → Tool-Server → Lexware-Mock
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const {
+  startStack,
+  postJson,
+  getJson,
+  templateFixtures,
+  readWorkbook,
+  toBase64,
+  setField,
+  updateRows
+} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const CSV_EXAMPLE = path.join(__dirname, '..', 'templates', 'Beispiel_Angebot.csv');
+const JSON_EXAMPLE = path.join(__dirname, '..', 'templates', 'Beispiel_Angebot.json');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f'; // CAMISETA COMBI WOMAN, 7,14 € netto
+
+let stack;
+
+// Fixture mit Pflichtangaben ergänzt; quantity variiert, damit runOnce() nicht dedupliziert
+function filledFixture({ customer = 'Turnverein Nord', quantity = 25 } = {}) {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', customer);
+  updateRows(wb, 'Positionen', rows => rows.map(r =>
+    r.type === 'material' ? { ...r, articleId: ARTICLE_ID, quantity } : r));
+  return toBase64(wb);
+}
+
+function quotationPosts() {
+  return stack.mock.state.requests.filter(r => r.method === 'POST' && r.path === '/quotations');
+}
+
+before(async () => {
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }]
+  });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+beforeEach(() => {
+  stack.mock.state.requests = [];
+  stack.mock.state.faults = [];
+});
+
+test('Mock: /v1/articles liefert seitenweise', async () => {
+  const url = `${process.env.LEXWARE_API_BASE_URL}/v1/articles?page=2&size=40`;
+  const res = await fetch(url, { headers: { Authorization: 'Bearer test-api-key' } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.number, 2);
+  assert.equal(body.last, true);
+  assert.equal(body.totalElements, stack.mock.state.articles.length);
+  assert.equal(body.content.length, stack.mock.state.articles.length - 80);
+});
+
+test('Mock: ohne API-Key 401', async () => {
+  const res = await fetch(`${process.env.LEXWARE_API_BASE_URL}/v1/articles`);
+  assert.equal(res.status, 401);
+});
+
+test('/api/articles lädt den kompletten Artikelstamm', async () => {
+  const res = await getJson(stack.baseUrl, '/api/articles?refresh=1');
+  assert.equal(res.ok, true);
+  assert.equal(res.data.count, stack.mock.state.articles.length);
+});
+
+test('/api/articles/search: Suche über den gespeicherten Artikelstamm mit Paging', async () => {
+  const byNumber = await getJson(stack.baseUrl, '/api/articles/search?q=900248.331');
+  assert.equal(byNumber.ok, true);
+  assert.equal(byNumber.data.content[0].title, 'CAMISETA COMBI WOMAN MARINO M/C');
+  assert.equal(byNumber.data.content[0].price.netPrice, 7.14);
+
+  const page = await getJson(stack.baseUrl, '/api/articles/search?q=camiseta&sort=articleNumber,desc&size=2&page=1');
+  assert.equal(page.ok, true);
+  assert.equal(page.data.number, 1);
+  assert.equal(page.data.content.length, 2);
+  assert.ok(page.data.totalElements > 2);
+  assert.ok(page.data.content.every(a => /^CAMISETA /.test(a.title)));
+
+  const cached = JSON.parse(fs.readFileSync(process.env.ARTICLE_CACHE_FILE, 'utf8'));
+  assert.equal(cached.articles.length, stack.mock.state.articles.length);
+  assert.equal(new Date(page.data.fetchedAt).getTime(), cached.fetchedAt);
+
+  const invalid = await getJson(stack.baseUrl, '/api/articles/search?sort=preis&type=foo');
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.status, 'VALIDATION_ERROR');
+  assert.match(invalid.message, /type "foo".*sort "preis"/);
+});
+
+test('/api/articles/import: Prüfen zeigt den Diff, Import legt an/ändert und leert den Artikel-Cache', async () => {
+  const bermuda = stack.mock.state.articles.find(a => a.articleNumber === '103209.102');
+  const sheetRows = version => [
+    { id: bermuda.id, title: bermuda.title, articleNumber: '103209.102', type: 'PRODUCT', unitName: 'Stück', netPrice: 12.5, grossPrice: '', leadingPrice: 'NET', taxRate: 19, archived: false, version },
+    { id: '', title: 'Stanley/Stella Creator Hoodie', articleNumber: 'STSU868', type: 'PRODUCT', unitName: 'Stück', netPrice: '', grossPrice: 29.75, leadingPrice: 'GROSS', taxRate: 19, archived: '', version: '' }
+  ];
+  const articleFile = rows => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Artikel');
+    return toBase64(wb);
+  };
+  const writes = () => stack.mock.state.requests.filter(r => r.path.startsWith('/articles') && r.method !== 'GET');
+  const oldVersion = bermuda.version;
+
+  const check = await postJson(stack.baseUrl, '/api/articles/import', { excelData: articleFile(sheetRows(oldVersion)), dryRun: true });
+  assert.equal(check.ok, true, JSON.stringify(check.data?.summary?.errors));
+  assert.equal(check.status, 'DRY_RUN');
+  assert.deepEqual(check.data.results.map(r => [r.action, r.status]), [['update', 'PLANNED'], ['create', 'PLANNED']]);
+  assert.deepEqual(check.data.results[0].changes.find(c => c.field === 'netPrice'), { field: 'netPrice', from: bermuda.price.netPrice, to: 12.5 });
+  assert.equal(writes().length, 0, 'Prüfen schreibt nichts');
+
+  const run = await postJson(stack.baseUrl, '/api/articles/import', { excelData: articleFile(sheetRows(oldVersion)) });
+  assert.equal(run.ok, true, run.message);
+  assert.deepEqual(run.data.results.map(r => r.status), ['UPDATED', 'CREATED']);
+  assert.equal(bermuda.price.netPrice, 12.5);
+  assert.equal(bermuda.version, oldVersion + 1);
+  const hoodie = stack.mock.state.articles.find(a => a.articleNumber === 'STSU868');
+  assert.deepEqual(hoodie.price, { netPrice: 25, grossPrice: 29.75, leadingPrice: 'GROSS', taxRate: 19 });
+
+  const found = await getJson(stack.baseUrl, '/api/articles/search?q=STSU868');
+  assert.equal(found.data.content[0]?.id, hoodie.id, 'neuer Artikel ohne refresh sichtbar');
+
+  const stale = await postJson(stack.baseUrl, '/api/articles/import', { excelData: articleFile(sheetRows(oldVersion)) });
+  assert.equal(stale.status, 'VALIDATION_ERROR');
+  assert.deepEqual(stale.data.summary.errors.map(e => `${e.row}:${e.field}`), ['2:version']);
+
+  stack.mock.injectFault({ status: 409, method: 'PUT', path: '/articles' });
+  const rows = sheetRows(bermuda.version);
+  rows[0].netPrice = 13;
+  const race = await postJson(stack.baseUrl, '/api/articles/import', { excelData: articleFile(rows) });
+  assert.equal(race.ok, false);
+  assert.equal(race.status, 'IMPORT_PARTIAL');
+  assert.deepEqual(race.data.results.map(r => r.status), ['ERROR', 'UNCHANGED']);
+  assert.match(race.data.results[0].error, /Versionskonflikt/);
+});
+
+for (const file of templateFixtures()) {
+  test(`/api/test-excel meldet Pflichtfelder im unausgefüllten Template (${path.basename(file)})`, async () => {
+    const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(readWorkbook(file)) });
+
+    assert.equal(res.ok, false);
+    assert.equal(res.status, 'VALIDATION_ERROR');
+    const errors = res.data.summary.errors.map(e => `${e.sheet}:${e.row}:${e.field}`);
+    assert.deepEqual(errors.sort(), ['Kunde:2:name', 'Positionen:4:articleId']);
+  });
+}
+
+test('/api/test-excel: ausgefülltes Template ist gültig, Kontakt wird per Name gefunden', async () => {
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: filledFixture() });
+
+  assert.equal(res.ok, true, JSON.stringify(res.data?.summary?.errors));
+  assert.deepEqual(res.data.summary.byType, { custom: 1, text: 1, material: 1 });
+  assert.equal(res.data.summary.contact.contactId, 'contact-tv-nord');
+  assert.equal(quotationPosts().length, 0, 'Testmodus darf nichts anlegen');
+});
+
+test('/api/test-excel: Vorschau mit Payload und Summen (25 × 6,90 + 25 × 7,14 netto)', async () => {
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: filledFixture() });
+
+  assert.equal(res.data.payload.lineItems.length, 3);
+  assert.deepEqual(res.data.totals.lines.map(l => l.lineItemAmount), [172.5, undefined, 178.5]);
+  assert.equal(res.data.totals.totalNetAmount, 351);
+  assert.deepEqual(res.data.totals.taxAmounts, [{ taxRatePercentage: 19, netAmount: 351, taxAmount: 66.69, grossAmount: 417.69 }]);
+  assert.equal(res.data.totals.totalGrossAmount, 417.69);
+});
+
+test('/api/test-excel: Angebotskopf (Datum, Gültigkeit, Texte, Skonto, Lieferzeitraum)', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.filter(r => r.type !== 'material'));
+  setField(wb, 'Angebot', 'voucherDate', new Date(2026, 2, 1)); // echte Excel-Datumszelle
+  setField(wb, 'Angebot', 'validDays', 14);
+  setField(wb, 'Angebot', 'title', 'Angebot Vereinsshirts');
+  setField(wb, 'Angebot', 'introduction', 'Gerne bieten wir an:');
+  setField(wb, 'Angebot', 'remark', 'Wir freuen uns auf Ihren Auftrag.');
+  setField(wb, 'Angebot', 'paymentTermDuration', 14);
+  setField(wb, 'Angebot', 'paymentDiscountPercentage', '2');
+  setField(wb, 'Angebot', 'paymentDiscountRange', 7);
+  setField(wb, 'Angebot', 'shippingDate', '15.03.2026');
+  setField(wb, 'Angebot', 'shippingEndDate', '2026-03-20');
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(res.ok, true, JSON.stringify(res.data?.summary?.errors));
+
+  const p = res.data.payload;
+  assert.equal(p.voucherDate.slice(0, 10), '2026-03-01');
+  assert.equal(p.expirationDate.slice(0, 10), '2026-03-15');
+  assert.equal(p.title, 'Angebot Vereinsshirts');
+  assert.equal(p.introduction, 'Gerne bieten wir an:');
+  assert.equal(p.remark, 'Wir freuen uns auf Ihren Auftrag.');
+  assert.deepEqual(p.paymentConditions, {
+    paymentTermLabel: 'Zahlbar innerhalb von 7 Tagen mit 2 % Skonto. Zahlbar innerhalb von 14 Tagen ohne Abzug.',
+    paymentTermDuration: 14,
+    paymentDiscountConditions: { discountPercentage: 2, discountRange: 7 }
+  });
+  assert.equal(p.shippingConditions.shippingType, 'deliveryperiod');
+  assert.equal(p.shippingConditions.shippingDate.slice(0, 10), '2026-03-15');
+  assert.equal(p.shippingConditions.shippingEndDate.slice(0, 10), '2026-03-20');
+});
+
+test('/api/test-excel: Fehler im Angebotskopf mit Zeile des Felds', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.filter(r => r.type !== 'material'));
+  setField(wb, 'Angebot', 'voucherDate', '31.02.2026'); // Zeile 3
+  setField(wb, 'Angebot', 'validDays', 10); // Zeile 4
+  setField(wb, 'Angebot', 'expirationDate', '01.04.2026'); // Zeile 5
+  setField(wb, 'Angebot', 'paymentDiscountPercentage', 3); // Zeile 6
+  setField(wb, 'Angebot', 'shippingType', 'Brieftaube'); // Zeile 7
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.data.summary.errors.map(e => `${e.sheet}:${e.row}:${e.field}`), [
+    'Angebot:3:voucherDate',
+    'Angebot:4:validDays',
+    'Angebot:6:paymentDiscountPercentage',
+    'Angebot:7:shippingType'
+  ]);
+});
+
+test('/api/test-excel: Artikel per unscharfem Titel, sonst Top-3-Vorschläge', async () => {
+  // Varianten ("… XL", "… Navy") liegen über AUTO_MATCH_SCORE, der exakte Titel gewinnt trotzdem
+  const articles = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(articles, XLSX.utils.json_to_sheet(['', ' XL', ' Navy'].map((variant, i) => (
+    { id: '', title: `Gildan Softstyle T-Shirt${variant}`, articleNumber: `GS-64000-${i}`, type: 'PRODUCT', unitName: 'Stück', netPrice: 4.5, grossPrice: '', leadingPrice: 'NET', taxRate: 19, archived: '', version: '' }
+  ))), 'Artikel');
+  const imported = await postJson(stack.baseUrl, '/api/articles/import', { excelData: toBase64(articles) });
+  assert.equal(imported.ok, true, imported.message);
+
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => [
+    ...rows.filter(r => r.type !== 'material'),
+    { type: 'material', articleTitle: 'Camseta Manga Corta Desert Marino', quantity: 10, unitName: 'Stk' }, // Zeile 4
+    { type: 'material', articleTitle: 'Fit T-Shirt', quantity: 10, unitName: 'Stk' }, // Zeile 5
+    { type: 'material', articleTitle: 'Gildan Softstyle T-Shirt', quantity: 10, unitName: 'Stk' } // Zeile 6
+  ]);
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.data.summary.errors.map(e => `${e.row}:${e.field}`), ['5:articleId']);
+
+  const exact = res.data.summary.warnings.find(w => w.row === 6 && w.match);
+  assert.deepEqual([exact.match.articleNumber, exact.match.score], ['GS-64000-0', 1]);
+
+  const fuzzy = res.data.summary.warnings.find(w => w.row === 4 && w.match);
+  assert.equal(fuzzy.match.id, '21a15cdf-13a3-416d-847f-3a69189e0de3');
+  assert.match(fuzzy.message, /CAMISETA MANGA CORTA DESERT MARINO.*ArtNr 901326\.331.*%\)/);
+
+  const open = res.data.summary.warnings.find(w => w.row === 5 && w.candidates);
+  assert.deepEqual(open.candidates.map(c => c.articleNumber).slice(0, 2).sort(), ['TS-NE-O61001', 'TS-NE-O81001']);
+  assert.equal(open.candidates.length, 3);
+  assert.match(open.message, /Vorschläge: .*id 644257e9-5eee-4b6e-a31a-3598bed0cefa/);
+});
+
+test('/api/test-excel: innergemeinschaftliche Lieferung nach AT mit 0 % und Steuerhinweis', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  setField(wb, 'Kunde', 'countryCode', 'at');
+  setField(wb, 'Kunde', 'vatRegistrationId', 'ATU 1234 5678');
+  setField(wb, 'Angebot', 'taxType', 'intraCommunitySupply');
+  updateRows(wb, 'Positionen', rows => rows.map(r =>
+    r.type === 'material' ? { ...r, articleId: ARTICLE_ID, quantity: 25 } : r));
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(res.ok, true, JSON.stringify(res.data?.summary?.errors));
+
+  const p = res.data.payload;
+  assert.deepEqual(p.taxConditions, { taxType: 'intraCommunitySupply' });
+  assert.equal(p.address.countryCode, 'AT');
+  const priced = p.lineItems.filter(li => li.unitPrice);
+  assert.deepEqual(priced.map(li => li.unitPrice.taxRatePercentage), [0, 0]);
+  assert.deepEqual(priced.map(li => li.unitPrice.grossAmount), [6.9, 7.14]);
+
+  const note = p.lineItems[p.lineItems.length - 1];
+  assert.equal(note.type, 'text');
+  assert.match(note.description, /§ 4 Nr\. 1b/);
+  assert.match(note.description, /ATU12345678/);
+  assert.equal(res.data.totals.totalTaxAmount, 0);
+  assert.equal(res.data.totals.totalGrossAmount, 351);
+});
+
+test('/api/test-excel: Steuerart passt nicht zu Land und USt-IdNr.', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  setField(wb, 'Kunde', 'countryCode', 'CH');
+  setField(wb, 'Angebot', 'taxType', 'EU');
+  updateRows(wb, 'Positionen', rows => rows.filter(r => r.type !== 'material'));
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.data.summary.errors.map(e => `${e.sheet}:${e.field}`), ['Kunde:countryCode', 'Kunde:vatRegistrationId']);
+
+  setField(wb, 'Angebot', 'taxType', 'Drittland');
+  const export_ = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.equal(export_.ok, true, JSON.stringify(export_.data?.summary?.errors));
+  assert.deepEqual(export_.data.payload.taxConditions, { taxType: 'thirdPartyCountryDelivery' });
+  assert.match(export_.data.payload.lineItems.at(-1).description, /Ausfuhrlieferung/);
+
+  setField(wb, 'Angebot', 'taxType', 'reverseCharge');
+  const unknown = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb) });
+  assert.deepEqual(unknown.data.summary.errors.map(e => `${e.sheet}:${e.field}`), ['Angebot:taxType']);
+});
+
+test('/api/test-excel: CSV mit Abschnitten und JSON ergeben denselben Payload', async () => {
+  const csv = await postJson(stack.baseUrl, '/api/test-excel', { excelData: fs.readFileSync(CSV_EXAMPLE).toString('base64') });
+  assert.equal(csv.ok, true, JSON.stringify(csv.data?.summary?.errors));
+  assert.equal(csv.data.summary.sourceFormat, 'csv');
+  assert.equal(csv.data.summary.contact.contactId, 'contact-tv-nord');
+  assert.equal(csv.data.payload.title, 'Angebot Vereinsshirts');
+  assert.equal(csv.data.payload.lineItems[0].description, 'Brust links; Rücken groß');
+  assert.equal(csv.data.payload.lineItems[0].unitPrice.netAmount, 12.9);
+  assert.equal(csv.data.totals.totalNetAmount, 322.5);
+
+  const json = await postJson(stack.baseUrl, '/api/test-excel', { offer: JSON.parse(fs.readFileSync(JSON_EXAMPLE, 'utf8')) });
+  assert.equal(json.ok, true, JSON.stringify(json.data?.summary?.errors));
+  assert.equal(json.data.summary.sourceFormat, 'json');
+  assert.deepEqual(json.data.payload.lineItems, csv.data.payload.lineItems);
+  assert.deepEqual(json.data.payload.address, csv.data.payload.address);
+  assert.deepEqual(json.data.totals, csv.data.totals);
+});
+
+test('/api/test-excel: ODS aus LibreOffice wie .xlsx', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r =>
+    r.type === 'material' ? { ...r, articleId: ARTICLE_ID, quantity: 25 } : r));
+
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(wb, 'ods') });
+  assert.equal(res.ok, true, JSON.stringify(res.data?.summary?.errors));
+  assert.equal(res.data.summary.sourceFormat, 'ods');
+  assert.equal(res.data.totals.totalGrossAmount, 417.69);
+});
+
+test('/api/test-excel: Formatfehler in CSV und JSON', async () => {
+  const csv = 'taxType;net\n[Angebot]\nFeld;Wert\ntaxType;net\n[Lieferung]\nFeld;Wert\n';
+  const csvRes = await postJson(stack.baseUrl, '/api/test-excel', { excelData: Buffer.from(csv).toString('base64') });
+  assert.equal(csvRes.ok, false);
+  assert.deepEqual(csvRes.data.summary.errors.map(e => `${e.sheet}:${e.row ?? ''}`), ['CSV:1', 'CSV:5', 'Kunde:', 'Positionen:']);
+  assert.equal(csvRes.data.summary.errors[2].message, 'Abschnitt [Kunde] fehlt.');
+
+  const jsonRes = await postJson(stack.baseUrl, '/api/test-excel', { excelData: Buffer.from('{ "angebot": ').toString('base64') });
+  assert.equal(jsonRes.ok, false);
+  assert.equal(jsonRes.data.summary.sourceFormat, 'json');
+  assert.match(jsonRes.data.summary.errors[0].message, /^JSON ist ungültig/);
+});
+
+test('/api/create-offer: Entwurf mit Artikelpreis aus dem Stamm, PDF-Download → 409-Hinweis', async () => {
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 30 }), finalize: false });
+  assert.equal(res.ok, true, JSON.stringify(res));
+
+  const [post] = quotationPosts();
+  assert.equal(post.query.finalize, undefined);
+  assert.equal(post.body.address.contactId, 'contact-tv-nord');
+
+  const items = post.body.lineItems;
+  assert.deepEqual(items.map(li => li.type), ['custom', 'text', 'material']);
+  assert.deepEqual(items[0].unitPrice, { currency: 'EUR', netAmount: 6.9, grossAmount: 8.21, taxRatePercentage: 19 });
+  assert.equal(items[2].id, ARTICLE_ID);
+  assert.equal(items[2].quantity, 30);
+  assert.equal(items[2].unitPrice.netAmount, 7.14);
+
+  const pdf = await getJson(stack.baseUrl, `/api/download-pdf?id=${res.data.quotationId}`);
+  assert.equal(pdf.ok, false);
+  assert.equal(pdf.technical.httpStatus, 409);
+  assert.match(pdf.message, /ENTWURF/);
+});
+
+test('/api/draft-pdf: Entwurfs-PDF lokal aus der Excel, ohne Lexware-Beleg', async () => {
+  const res = await fetch(`${stack.baseUrl}/api/draft-pdf`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ excelData: filledFixture() })
+  });
+
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(Buffer.from(await res.arrayBuffer()).toString('latin1'), /^%PDF-/);
+  assert.equal(quotationPosts().length, 0);
+});
+
+test('/api/draft-pdf: Validierungsfehler als JSON', async () => {
+  const res = await postJson(stack.baseUrl, '/api/draft-pdf', { excelData: toBase64(readWorkbook(FIXTURE)) });
+  assert.equal(res.ok, false);
+  assert.equal(res.status, 'VALIDATION_ERROR');
+});
+
+test('/api/quotations/:id/draft-pdf: Draft aus Lexware lokal gerendert', async () => {
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 35 }), finalize: false });
+  assert.equal(created.ok, true, JSON.stringify(created));
+
+  const res = await fetch(`${stack.baseUrl}/api/quotations/${created.data.quotationId}/draft-pdf`);
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(Buffer.from(await res.arrayBuffer()).toString('latin1'), /^%PDF-/);
+
+  const missing = await getJson(stack.baseUrl, '/api/quotations/unbekannt/draft-pdf');
+  assert.equal(missing.ok, false);
+  assert.equal(missing.technical.httpStatus, 404);
+});
+
+test('/api/create-offer: FINAL → PDF ist abrufbar und Angebot im Verlauf', async () => {
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 40 }), finalize: true });
+  assert.equal(res.ok, true, JSON.stringify(res));
+  assert.equal(quotationPosts()[0].query.finalize, 'true');
+
+  const pdf = await fetch(`${stack.baseUrl}/api/download-pdf?id=${res.data.quotationId}`);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.match(Buffer.from(await pdf.arrayBuffer()).toString('latin1'), /^%PDF-/);
+
+  const history = await getJson(stack.baseUrl, `/api/offers/${res.data.quotationId}`);
+  assert.equal(history.ok, true);
+  assert.equal(history.data.offer.customer.name, 'Turnverein Nord');
+});
+
+test('/api/quotations/:id/export.xlsx: Round-Trip Angebot → Template → neue Mengen', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  setField(wb, 'Angebot', 'taxType', 'smallBusiness');
+  setField(wb, 'Angebot', 'validDays', 21);
+  setField(wb, 'Angebot', 'title', 'Vereinsshirts Saison 2026');
+  updateRows(wb, 'Positionen', rows => rows.map(r =>
+    r.type === 'material' ? { ...r, articleId: ARTICLE_ID, quantity: 55 } : r));
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData: toBase64(wb) });
+  assert.equal(created.ok, true, JSON.stringify(created));
+
+  const res = await fetch(`${stack.baseUrl}/api/quotations/${created.data.quotationId}/export.xlsx`);
+  assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const exported = XLSX.read(Buffer.from(await res.arrayBuffer()), { type: 'buffer' });
+  const template = XLSX.read(Buffer.from(await (await fetch(`${stack.baseUrl}/api/template.xlsx`)).arrayBuffer()), { type: 'buffer' });
+  assert.deepEqual(exported.SheetNames, template.SheetNames);
+  assert.deepEqual(
+    XLSX.utils.sheet_to_json(exported.Sheets.Angebot).map(r => r.Feld),
+    XLSX.utils.sheet_to_json(template.Sheets.Angebot).map(r => r.Feld)
+  );
+
+  const field = (sheet, name) => XLSX.utils.sheet_to_json(exported.Sheets[sheet]).find(r => r.Feld === name)?.Wert;
+  assert.equal(field('Angebot', 'taxType'), 'smallBusiness');
+  assert.equal(field('Angebot', 'validDays'), 21);
+  assert.equal(field('Angebot', 'voucherDate'), '', 'Datum = heute beim erneuten Hochladen');
+  assert.equal(field('Angebot', 'title'), 'Vereinsshirts Saison 2026');
+  assert.equal(field('Kunde', 'contactId'), 'contact-tv-nord');
+  assert.equal(field('Kunde', 'email'), 'info@tv-nord.de');
+
+  const article = stack.mock.state.articles.find(a => a.id === ARTICLE_ID);
+  const positions = XLSX.utils.sheet_to_json(exported.Sheets.Positionen, { defval: '' });
+  assert.deepEqual(positions.map(p => p.type), ['custom', 'text', 'material'], 'Steuerhinweis wird nicht exportiert');
+  assert.equal(positions[2].articleId, ARTICLE_ID);
+  assert.equal(positions[2].articleNumber, article.articleNumber);
+  assert.equal(positions[2].unitPriceAmount, '');
+  assert.equal(positions[0].unitPriceAmount, 6.9);
+
+  updateRows(exported, 'Positionen', rows => rows.map(r => (r.type === 'text' ? r : { ...r, quantity: 60 })));
+  const again = await postJson(stack.baseUrl, '/api/test-excel', { excelData: toBase64(exported) });
+  assert.equal(again.ok, true, JSON.stringify(again.data?.summary?.errors));
+
+  const original = quotationPosts()[0].body;
+  assert.deepEqual(again.data.payload.lineItems.map(li => li.name), original.lineItems.map(li => li.name));
+  assert.deepEqual(again.data.payload.lineItems.map(li => li.quantity), [60, undefined, 60, undefined]);
+  assert.deepEqual(again.data.payload.taxConditions, { taxType: 'vatfree' });
+  assert.equal(again.data.payload.title, 'Vereinsshirts Saison 2026');
+});
+
+test('/api/create-offer: 429 von Lexware wird mit Backoff wiederholt', async () => {
+  stack.mock.injectFault({ status: 429, count: 1, method: 'POST', path: '/quotations' });
+
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 50 }), finalize: false });
+
+  assert.equal(res.ok, true, JSON.stringify(res));
+  assert.equal(quotationPosts().length, 2);
+});
+
+test('/api/create-offer: Lexware-Fehler kommt mit technical-Block zurück', async () => {
+  stack.mock.injectFault({ status: 406, count: 1, method: 'POST', path: '/quotations', message: 'Validation failed' });
+
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 60 }), finalize: false });
+
+  assert.equal(res.ok, false);
+  assert.equal(res.stage, 'lexware-create');
+  assert.equal(res.technical.httpStatus, 406);
+  assert.equal(res.technical.meta.message, 'Validation failed');
+});
+
+test('/api/admin/audit: Lexware-Aufrufe mit Status, traceId und Bodies ohne Secrets', async () => {
+  stack.mock.injectFault({ status: 422, count: 1, method: 'POST', path: '/quotations', message: 'Bitte prüfen' });
+  const rejected = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 65 }), finalize: false });
+  assert.equal(rejected.technical.httpStatus, 422);
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 66 }), finalize: false });
+  assert.equal(created.ok, true, created.message);
+
+  const failures = await getJson(stack.baseUrl, `/api/admin/audit?status=4xx&from=${new Date().toISOString().slice(0, 10)}`);
+  const entry = failures.data.entries.find(e => e.responseBody?.message === 'Bitte prüfen');
+  assert.ok(entry, 'abgelehnter POST im Audit-Log');
+  assert.equal(entry.method, 'POST');
+  assert.match(entry.traceId, /^[0-9a-f]{16}$/);
+  assert.equal(entry.retries, 0);
+  assert.equal(typeof entry.ms, 'number');
+  assert.equal(entry.requestBody.address.name, 'Turnverein Nord', 'Payload wie an Lexware geschickt');
+
+  const byQuotation = await getJson(stack.baseUrl, `/api/admin/audit?quotationId=${created.data.quotationId}`);
+  assert.deepEqual(byQuotation.data.entries.map(e => `${e.method} ${e.status}`), ['POST 200']);
+
+  const download = await fetch(`${stack.baseUrl}/api/admin/audit?quotationId=${created.data.quotationId}&format=ndjson`);
+  assert.match(download.headers.get('content-disposition'), /lexware-audit_.*\.ndjson/);
+  const text = await download.text();
+  assert.equal(JSON.parse(text.trim()).quotationId, created.data.quotationId);
+  assert.ok(!text.includes('test-api-key'), 'API-Key steht nie im Log');
+
+  assert.equal((await getJson(stack.baseUrl, '/api/admin/audit?status=teapot')).status, 'VALIDATION_ERROR');
+});
+
+test('/api/create-offer: Validierungsfehler erreichen Lexware nicht', async () => {
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: toBase64(readWorkbook(FIXTURE)) });
+
+  assert.equal(res.ok, false);
+  assert.equal(res.status, 'VALIDATION_ERROR');
+  assert.equal(res.message, 'Excel enthält Validierungsfehler. Details siehe errors.');
+  assert.equal(quotationPosts().length, 0);
+});
+
+test('/api/parse-text: Vorschau ist der Payload von create-offer-from-text, Zeilen wie im Text', async () => {
+  const customer = { name: 'Turnverein Nord' };
+  const text = `25x Shirt ${ARTICLE_ID}\n\n10 Stk Brustdruck 6,90 €\nLieferzeit ca. 2 Wochen`;
+
+  const preview = await postJson(stack.baseUrl, '/api/parse-text', { text, customer });
+  assert.equal(preview.ok, true, preview.message);
+  assert.deepEqual(preview.data.payload.lineItems.map(li => [li.type, li.quantity, li.unitPrice?.netAmount]), [
+    ['material', 25, 7.14], ['custom', 10, 6.9], ['text', undefined, undefined]
+  ]);
+  assert.equal(preview.data.totals.totalNetAmount, 247.5);
+  assert.deepEqual(preview.data.summary.warnings.filter(w => w.sheet === 'Text').map(w => w.row), [1, 3]);
+  assert.equal(quotationPosts().length, 0, 'Vorschau legt nichts an');
+
+  const invalid = await postJson(stack.baseUrl, '/api/parse-text', { text: '\n\n5 Stk Stickerei', customer });
+  assert.equal(invalid.message, 'Eingabe enthält Validierungsfehler. Details siehe errors.');
+  assert.deepEqual([invalid.data.summary.errors[0].row, invalid.data.summary.errors[0].field], [3, 'unitPriceAmount']);
+  const invalidCreate = await postJson(stack.baseUrl, '/api/create-offer-from-text', { text: '\n\n5 Stk Stickerei', customer });
+  assert.equal(invalidCreate.message, 'Eingabe enthält Validierungsfehler. Details siehe errors.');
+
+  const created = await postJson(stack.baseUrl, '/api/create-offer-from-text', { text, customer });
+  assert.equal(created.ok, true, created.message);
+  assert.deepEqual(quotationPosts()[0].body.lineItems, preview.data.payload.lineItems);
+});
+
+test('/api/batch: mehrere Angebote aus einer Mappe, Einzeldatei und ZIP; erst prüfen, dann anlegen', async () => {
+  const batchWorkbook = () => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([{ Feld: 'taxType', Wert: 'net' }]), 'Angebot');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([
+      { offer: 'A', name: 'Turnverein Nord' },
+      { offer: 'B', name: 'Turnverein Nord' }
+    ]), 'Kunde');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([
+      { offer: 'A', type: 'material', articleId: ARTICLE_ID, quantity: 10, unitName: 'Stk' },
+      { offer: 'B', type: 'material', articleId: ARTICLE_ID, quantity: 20, unitName: 'Stk' },
+      { offer: 'C', type: 'material', articleId: ARTICLE_ID, quantity: 30, unitName: 'Stk' } // ohne Kunde-Zeile
+    ]), 'Positionen');
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  };
+  const zip = XLSX.CFB.utils.cfb_new();
+  XLSX.CFB.utils.cfb_add(zip, 'angebote/vereine.xlsx', batchWorkbook());
+  XLSX.CFB.utils.cfb_add(zip, '__MACOSX/angebote/._vereine.xlsx', Buffer.from('x'));
+  const body = {
+    zipData: Buffer.from(XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip' })).toString('base64'),
+    files: [{ name: 'einzeln.xlsx', data: filledFixture({ quantity: 11 }) }]
+  };
+  const rows = res => res.data.results.map(r => [r.file, r.offer, r.status]);
+
+  const check = await postJson(stack.baseUrl, '/api/batch', { ...body, dryRun: true });
+  assert.equal(check.status, 'VALIDATION_ERROR');
+  assert.deepEqual(rows(check), [
+    ['einzeln.xlsx', '', 'VALID'],
+    ['angebote/vereine.xlsx', 'A', 'VALID'],
+    ['angebote/vereine.xlsx', 'B', 'VALID'],
+    ['angebote/vereine.xlsx', 'C', 'INVALID']
+  ]);
+  assert.match(check.data.results[3].errors[0], /Keine Kunde-Zeile für offer "C"/);
+
+  const blocked = await postJson(stack.baseUrl, '/api/batch', body);
+  assert.match(blocked.message, /1 Angebot\(e\) fehlerhaft → nichts erstellt/);
+  assert.equal(quotationPosts().length, 0, 'ein Fehler stoppt den ganzen Batch');
+
+  const run = await postJson(stack.baseUrl, '/api/batch', { ...body, skipInvalid: true });
+  assert.equal(run.status, 'BATCH_PARTIAL');
+  assert.deepEqual(run.data.results.map(r => r.status), ['CREATED', 'CREATED', 'CREATED', 'SKIPPED']);
+  assert.deepEqual(quotationPosts().map(r => r.body.lineItems.find(li => li.id === ARTICLE_ID).quantity), [11, 10, 20]);
+
+  const resultSheet = XLSX.read(Buffer.from(run.data.resultExcel, 'base64'), { type: 'buffer' }).Sheets.Ergebnis;
+  const table = XLSX.utils.sheet_to_json(resultSheet);
+  assert.deepEqual(table.map(r => r.quotationId || ''), run.data.results.map(r => r.quotationId || ''));
+});
+
+test('/api/create-offer async: Job läuft durch alle Stages bis zum PDF', async () => {
+  const res = await postJson(stack.baseUrl, '/api/create-offer', { excelData: filledFixture({ quantity: 70 }), finalize: true, async: true });
+  assert.equal(res.status, 'ACCEPTED');
+
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = (await getJson(stack.baseUrl, `/api/jobs/${res.data.jobId}`)).data.job;
+    if (job.status !== 'running') break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  assert.equal(job.status, 'done', JSON.stringify(job.result));
+  assert.deepEqual(job.files, ['pdf']);
+  const stages = new Set(job.events.map(e => e.stage));
+  for (const s of ['parsing', 'lexware-create', 'pdf']) assert.ok(stages.has(s), `Stage ${s} fehlt`);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { createLexwareMock, articlesFromLookupSheet } = require('../mock/lexwareMock');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const API_KEY = 'test-api-key';
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Mock + Tool-Server auf freien Ports. Die ENV muss vor require('../server') stehen,
+// weil server.js sie beim Laden liest (dotenv überschreibt gesetzte Variablen nicht).
+async function startStack({ contacts = [], env = {} } = {}) {
+  const mock = createLexwareMock({ articles: articlesFromLookupSheet(), contacts, apiKey: API_KEY });
+  const mockServer = await listen(mock.app);
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexware-tool-test-'));
+  Object.assign(process.env, {
+    LEXWARE_API_KEY: API_KEY,
+    LEXWARE_API_BASE_URL: `http://127.0.0.1:${mockServer.address().port}`,
+    OFFER_STORE_FILE: path.join(dataDir, 'offers.json'),
+    ARTICLE_CACHE_FILE: path.join(dataDir, 'articles.json'),
+    WEBHOOK_STORE_FILE: path.join(dataDir, 'webhooks.json'),
+    USER_STORE_FILE: path.join(dataDir, 'users.json'),
+    AUDIT_LOG_DIR: path.join(dataDir, 'audit'),
+    IDEMPOTENCY_STORE_FILE: path.join(dataDir, 'idempotency.json'),
+    LEXWARE_WEBHOOK_PUBLIC_KEY: mock.webhookPublicKey,
+    TOOL_PASSWORD: '',
+    APP_USER: '',
+    APP_PASS: '',
+    LEXWARE_MIN_INTERVAL_MS: '0',
+    FINALIZE_DEFAULT: 'false',
+    CREATE_CONTACT_DEFAULT: 'false',
+    ...env
+  });
+
+  const app = require('../server');
+  const appServer = await listen(app);
+  const baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+  async function stop() {
+    await close(appServer);
+    await close(mockServer);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { mock, baseUrl, stop };
+}
+
+async function postJson(baseUrl, endpoint, body) {
+  const res = await fetch(baseUrl + endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+async function getJson(baseUrl, endpoint) {
+  const res = await fetch(baseUrl + endpoint);
+  return res.json();
+}
+
+// alle .xlsx unter templates/ (inkl. Archiv)
+function templateFixtures(dir = TEMPLATES_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(e => {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) return templateFixtures(p);
+    return e.name.toLowerCase().endsWith('.xlsx') ? [p] : [];
+  });
+}
+
+function readWorkbook(filePath) {
+  return XLSX.readFile(filePath);
+}
+
+function toBase64(wb, bookType = 'xlsx') {
+  return XLSX.write(wb, { type: 'buffer', bookType }).toString('base64');
+}
+
+// Feld im Key/Value-Sheet (Angebot, Kunde) setzen bzw. anhängen
+function setField(wb, sheetName, field, value) {
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: '' });
+  const row = rows.find(r => r.Feld === field);
+  if (row) row.Wert = value;
+  else rows.push({ Feld: field, Wert: value, Hinweis: '' });
+  wb.Sheets[sheetName] = XLSX.utils.json_to_sheet(rows);
+}
+
+function updateRows(wb, sheetName, fn) {
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: '' });
+  wb.Sheets[sheetName] = XLSX.utils.json_to_sheet(fn(rows));
+}
+
+module.exports = {
+  startStack,
+  postJson,
+  getJson,
+  templateFixtures,
+  readWorkbook,
+  toBase64,
+  setField,
+  updateRows
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+// Idempotency-Key: dauerhaft gespeichert, Wiederholung liefert das ursprüngliche Ergebnis
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startStack, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f';
+
+let stack;
+let tmpDir;
+let excelData;
+
+// wie hashRequest() in server.js: finalize|allowPriceOverride|createContact|Quelle
+function requestHash(source, { finalize = false } = {}) {
+  return crypto.createHash('sha256').update(`${finalize ? 1 : 0}|0|0|${source}`).digest('hex');
+}
+
+function offerWorkbook(name = 'Turnverein Nord') {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', name);
+  updateRows(wb, 'Positionen', rows => rows.map(r => (r.type === 'material' ? { ...r, articleId: ARTICLE_ID } : r)));
+  return toBase64(wb);
+}
+
+async function createOffer(body, key) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key !== undefined) headers['Idempotency-Key'] = key;
+  const res = await fetch(`${stack.baseUrl}/api/create-offer`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return res.json();
+}
+
+function quotationPosts() {
+  return stack.mock.state.requests.filter(r => r.method === 'POST' && r.path === '/quotations').length;
+}
+
+before(async () => {
+  excelData = offerWorkbook();
+  const hash = requestHash(excelData);
+
+  // Stand eines früheren Prozesses: ein abgeschlossener Key und einer, bei dem der Neustart
+  // zwischen Lexware-Aufruf und Abschluss kam (Angebot steht schon im Verlauf)
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  const now = new Date().toISOString();
+  const earlier = new Date(Date.now() - 60000).toISOString();
+  fs.writeFileSync(path.join(tmpDir, 'idempotency.json'), JSON.stringify({
+    keys: {
+      'default||upload-alt': {
+        key: 'upload-alt', tenant: 'default', user: null, requestHash: hash, status: 'done', createdAt: earlier, completedAt: earlier,
+        quotationId: 'q-vor-neustart', result: { ok: true, stage: 'lexware-create', status: 'SUCCESS', message: 'Angebot erstellt.', data: { quotationId: 'q-vor-neustart' } }
+      },
+      'default||upload-abgebrochen': { key: 'upload-abgebrochen', tenant: 'default', user: null, requestHash: hash, status: 'pending', createdAt: earlier }
+    }
+  }));
+  fs.writeFileSync(path.join(tmpDir, 'offers.json'), JSON.stringify({
+    offers: [{ id: 'q-im-verlauf', createdAt: now, source: 'excel', sourceHash: hash, tenant: 'default', user: null, customer: {}, totals: {} }]
+  }));
+
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }],
+    env: { IDEMPOTENCY_STORE_FILE: path.join(tmpDir, 'idempotency.json'), OFFER_STORE_FILE: path.join(tmpDir, 'offers.json') }
+  });
+});
+
+after(async () => {
+  await stack.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('Keys aus der Zeit vor dem Neustart: Ergebnis bzw. Angebot aus dem Verlauf, kein zweiter Beleg', async () => {
+  const replay = await createOffer({ excelData }, 'upload-alt');
+  assert.equal(replay.ok, true, replay.message);
+  assert.equal(replay.replayed, true);
+  assert.equal(replay.data.quotationId, 'q-vor-neustart');
+
+  const recovered = await createOffer({ excelData }, 'upload-abgebrochen');
+  assert.equal(recovered.ok, true, recovered.message);
+  assert.equal(recovered.data.quotationId, 'q-im-verlauf');
+  assert.equal(quotationPosts(), 0, 'Lexware wurde nicht erneut aufgerufen');
+
+  const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'idempotency.json'), 'utf8')).keys['default||upload-abgebrochen'];
+  assert.deepEqual([stored.status, stored.quotationId], ['done', 'q-im-verlauf']);
+});
+
+test('neuer Key: ein Beleg, Wiederholung mit gleichem Ergebnis, anderer Payload wird abgelehnt', async () => {
+  const data = offerWorkbook('Turnverein Süd');
+  const first = await createOffer({ excelData: data }, 'upload-neu');
+  assert.equal(first.ok, true, first.message);
+  assert.equal(first.replayed, undefined);
+
+  const again = await createOffer({ excelData: data, async: true }, 'upload-neu');
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = (await (await fetch(`${stack.baseUrl}/api/jobs/${again.data.jobId}`)).json()).data.job;
+    if (job.status !== 'running') break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  assert.equal(job.result.replayed, true);
+  assert.equal(job.result.data.quotationId, first.data.quotationId);
+  assert.equal(quotationPosts(), 1);
+
+  const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'idempotency.json'), 'utf8')).keys['default||upload-neu'];
+  assert.equal(stored.quotationId, first.data.quotationId);
+
+  const reused = await createOffer({ excelData: data, finalize: true }, 'upload-neu');
+  assert.equal(reused.status, 'IDEMPOTENCY_KEY_REUSED');
+  assert.match(reused.message, new RegExp(first.data.quotationId));
+  assert.equal(quotationPosts(), 1);
+
+  assert.equal((await createOffer({ excelData: data }, 'mit leerzeichen')).status, 'VALIDATION_ERROR');
+});
+
+test('ohne angelegtes Angebot wird der Key wieder frei', async () => {
+  const invalid = await createOffer({ excelData: toBase64(readWorkbook(FIXTURE)) }, 'upload-fehler');
+  assert.equal(invalid.status, 'VALIDATION_ERROR');
+
+  const fixed = await createOffer({ excelData: offerWorkbook('Turnverein West') }, 'upload-fehler');
+  assert.equal(fixed.ok, true, fixed.message);
+  assert.equal(fixed.replayed, undefined);
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+// Einkaufspreise und Marge: Quellen (Spalte, Sheet, lokale Tabelle), Mindestmarge, nichts davon an Lexware
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { startStack, postJson, getJson, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+const { normalizeCostRows, loadCostTableFile, summarizeMargins } = require('../lib/margin');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f'; // articleNumber 900248.331, 7,14 EUR netto
+
+let stack;
+let tmpDir;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'margin-'));
+  const costTable = path.join(tmpDir, 'einkaufspreise.json');
+  fs.writeFileSync(costTable, JSON.stringify({ _hinweis: 'netto je Stück', '900248.331': 5.5 }));
+
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }],
+    env: { COST_TABLE_FILE: costTable, MIN_MARGIN_PERCENT: '30' }
+  });
+});
+
+after(async () => {
+  await stack.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 25 × DTF-Druck à 6,90 (Einkaufspreis aus der Spalte) + 25 × Artikel à 7,14 (Einkaufspreis aus Sheet/Tabelle)
+function offerWorkbook({ printCost = 2, costSheet = null } = {}) {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r => {
+    if (r.type === 'material') return { ...r, articleId: ARTICLE_ID };
+    if (r.type === 'custom') return { ...r, Einkaufspreis: printCost };
+    return r;
+  }));
+  if (costSheet) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(costSheet), 'Einkaufspreise');
+  return toBase64(wb);
+}
+
+test('Kostentabelle und Margenrechnung', () => {
+  const { costs, errors } = normalizeCostRows([
+    { articleNumber: 'SH-100', Einkaufspreis: '3,20' },
+    { articleNumber: 'sh-100', purchasePrice: 4 },
+    { articleNumber: 'SH-200', Einkaufspreis: -1 },
+    { articleNumber: '', Einkaufspreis: 1 },
+    { articleNumber: '', Einkaufspreis: '' }
+  ]);
+  assert.deepEqual([...costs], [['sh-100', 3.2]]);
+  assert.deepEqual(errors.map(e => `${e.row}:${e.field}`), ['3:articleNumber', '4:Einkaufspreis', '5:articleNumber']);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cost-table-')), 'k.json');
+  fs.writeFileSync(file, JSON.stringify([{ articleNumber: 'A', purchasePrice: 1 }]));
+  assert.deepEqual(loadCostTableFile(file), [{ articleNumber: 'A', purchasePrice: 1 }]);
+  fs.writeFileSync(file, JSON.stringify({ _hinweis: 'x', A: 1 }));
+  assert.deepEqual(loadCostTableFile(file), [{ articleNumber: 'A', purchasePrice: 1 }]);
+  assert.equal(loadCostTableFile(path.join(os.tmpdir(), 'gibt-es-nicht.json')), null);
+
+  const m = summarizeMargins([
+    { row: 2, name: 'Shirt', quantity: 10, revenue: 100, unitCost: 8 },
+    { row: 3, name: 'Druck', quantity: 10, revenue: 50, unitCost: 1 },
+    { row: 3, name: 'Sieb', quantity: 1, revenue: 35, unitCost: null }
+  ], { minMarginPercent: 25 });
+  assert.deepEqual(m.lines.map(l => [l.margin, l.marginPercent, l.belowMinimum]), [[20, 20, true], [40, 80, false], [null, null, false]]);
+  assert.deepEqual(m.total, { revenue: 150, cost: 90, margin: 60, marginPercent: 40, belowMinimum: false });
+  assert.deepEqual([m.linesWithoutCost, m.revenueWithoutCost], [1, 35]);
+});
+
+test('Testmodus: Marge je Position aus Spalte und Tabelle, Warnung unter der Mindestmarge', async () => {
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: offerWorkbook() });
+  assert.equal(res.ok, true, res.message);
+
+  const { margins, warnings } = res.data.summary;
+  assert.deepEqual(margins.lines.map(l => [l.row, l.costSource, l.revenue, l.cost, l.marginPercent, l.belowMinimum]), [
+    [2, 'column', 172.5, 50, 71.01, false],
+    [4, 'table', 178.5, 137.5, 22.97, true]
+  ]);
+  assert.deepEqual(margins.total, { revenue: 351, cost: 187.5, margin: 163.5, marginPercent: 46.58, belowMinimum: false });
+
+  const low = warnings.find(w => w.field === 'Einkaufspreis');
+  assert.equal(low.row, 4);
+  assert.match(low.message, /Marge 22\.97 % unter Mindestmarge 30 %/);
+  assert.ok(!JSON.stringify(res.data.payload).includes('137.5'), 'Vorschau-Payload ohne Einkaufspreise');
+});
+
+test('Sheet Einkaufspreise vor Tabelle, ungültiger Einkaufspreis ist ein Fehler', async () => {
+  const res = await postJson(stack.baseUrl, '/api/test-excel', { excelData: offerWorkbook({ costSheet: [{ articleNumber: '900248.331', Einkaufspreis: 7 }] }) });
+  assert.equal(res.ok, true, res.message);
+  const line = res.data.summary.margins.lines.find(l => l.row === 4);
+  assert.deepEqual([line.costSource, line.cost, line.margin], ['sheet', 175, 3.5]);
+
+  const invalid = await postJson(stack.baseUrl, '/api/test-excel', { excelData: offerWorkbook({ printCost: 'teuer' }) });
+  assert.equal(invalid.status, 'VALIDATION_ERROR');
+  assert.deepEqual(invalid.data.summary.errors.map(e => [e.row, e.field]), [[2, 'Einkaufspreis']]);
+});
+
+test('Einkaufspreise als JSON-Schlüssel und CSV-Abschnitt', async () => {
+  const costLines = res => res.data.summary.margins.lines.map(l => [l.row, l.costSource, l.cost]);
+
+  const json = await postJson(stack.baseUrl, '/api/test-excel', {
+    offer: {
+      angebot: { taxType: 'net' },
+      kunde: { name: 'Turnverein Nord' },
+      positionen: [{ type: 'material', articleId: ARTICLE_ID, quantity: 10, unitName: 'Stk' }],
+      einkaufspreise: [{ articleNumber: '900248.331', Einkaufspreis: 6 }]
+    }
+  });
+  assert.equal(json.ok, true, JSON.stringify(json.data?.summary?.errors));
+  assert.deepEqual(costLines(json), [[2, 'sheet', 60]]);
+
+  const csv = [
+    '[Angebot]', 'Feld;Wert', 'taxType;net',
+    '[Kunde]', 'Feld;Wert', 'name;Turnverein Nord',
+    '[Positionen]', 'type;articleId;quantity;unitName', `material;${ARTICLE_ID};10;Stk`,
+    '[Einkaufspreise]', 'articleNumber;Einkaufspreis', '900248.331;6,50'
+  ].join('\r\n');
+  const fromCsv = await postJson(stack.baseUrl, '/api/test-excel', { excelData: Buffer.from(csv).toString('base64') });
+  assert.equal(fromCsv.ok, true, JSON.stringify(fromCsv.data?.summary?.errors));
+  assert.deepEqual(costLines(fromCsv), [[2, 'sheet', 65]]);
+});
+
+test('Angebot anlegen: Einkaufspreise und Marge gehen nicht an Lexware und nicht in den Verlauf', async () => {
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData: offerWorkbook({ printCost: 6 }) });
+  assert.equal(created.ok, true, created.message);
+  assert.equal(created.data.summary.margins.total.cost, 287.5);
+  assert.ok(created.data.summary.warnings.some(w => w.field === 'Marge'), 'Warnung geht an den Anlegenden');
+
+  const history = JSON.stringify((await getJson(stack.baseUrl, `/api/offers/${created.data.quotationId}`)).data);
+  assert.ok(history.includes(created.data.quotationId), history);
+  assert.ok(!/einkauf|marge|137\.50|287\.50/i.test(history), history);
+
+  const sent = stack.mock.state.requests.find(r => r.method === 'POST' && r.path === '/quotations').body;
+  const body = JSON.stringify(sent);
+  assert.ok(!/einkauf|purchase|margin|marge|cost/i.test(body), body);
+  assert.ok(sent.lineItems.every(li => Object.keys(li).every(k => ['type', 'id', 'name', 'description', 'quantity', 'unitName', 'unitPrice', 'discountPercentage'].includes(k))));
+});
+
+// läuft zuletzt: ab dem ersten Konto gelten Anmeldung und Rollen
+test('Rolle viewer: Testmodus und Job-Ergebnis ohne Marge und Margenwarnungen', async () => {
+  async function login(username, password) {
+    const res = await fetch(`${stack.baseUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const cookie = (res.headers.get('set-cookie') || '').split(';')[0];
+    return async (method, endpoint, body) => (await fetch(stack.baseUrl + endpoint, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: body ? JSON.stringify(body) : undefined
+    })).json();
+  }
+
+  assert.equal((await postJson(stack.baseUrl, '/api/admin/users', { username: 'anna', password: 'admin1234', role: 'admin' })).ok, true);
+  const asAdmin = await login('anna', 'admin1234');
+  await asAdmin('POST', '/api/admin/users', { username: 'sam', password: 'sales1234', role: 'sales' });
+  await asAdmin('POST', '/api/admin/users', { username: 'vera', password: 'viewer123', role: 'viewer' });
+  const asSales = await login('sam', 'sales1234');
+  const asViewer = await login('vera', 'viewer123');
+
+  const excelData = offerWorkbook();
+  const leaks = body => /margins|costSource|Einkauf|Mindestmarge/.test(JSON.stringify(body));
+
+  const forSales = await asSales('POST', '/api/test-excel', { excelData });
+  assert.ok(forSales.data.summary.margins && leaks(forSales));
+  const forViewer = await asViewer('POST', '/api/test-excel', { excelData });
+  assert.equal(forViewer.ok, true, forViewer.message);
+  assert.deepEqual(forViewer.data.payload.lineItems, forSales.data.payload.lineItems);
+  assert.ok(!leaks(forViewer), JSON.stringify(forViewer.data.summary));
+
+  const invalid = await asViewer('POST', '/api/test-excel', { excelData: offerWorkbook({ printCost: 'teuer' }) });
+  assert.deepEqual(invalid.data.summary.errors.map(e => [e.row, e.field]), [[2, 'Einkaufspreis']], 'Fehler bleibt sichtbar');
+  assert.ok(!leaks(invalid.data.summary.warnings) && !('margins' in invalid.data.summary));
+
+  // Job von sam; nach Herabstufung auf viewer sieht er das Ergebnis ohne Kostendaten
+  const started = await asSales('POST', '/api/create-offer', { excelData, async: true });
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = (await asSales('GET', `/api/jobs/${started.data.jobId}`)).data.job;
+    if (job.status !== 'running') break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  assert.equal(job.status, 'done', JSON.stringify(job.result));
+  assert.ok(job.result.data.summary.margins);
+
+  await asAdmin('PATCH', '/api/admin/users/sam', { role: 'viewer' });
+  const demoted = (await asSales('GET', `/api/jobs/${started.data.jobId}`)).data.job;
+  assert.equal(demoted.result.data.quotationId, job.result.data.quotationId);
+  assert.ok(!leaks(demoted), JSON.stringify(demoted.result));
+});
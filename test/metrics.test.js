@@ -0,0 +1,116 @@
+'use strict';
+
+// Metriken (/metrics im Prometheus-Format) und tiefer Health-Check (/api/health)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { startStack, postJson, getJson, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+const { MetricsRegistry } = require('../lib/metrics');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f';
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }],
+    env: { HEALTH_CHECK_TTL_MS: '0' }
+  });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+// Text-Format → { 'name{labels}': value }
+async function scrape() {
+  const res = await fetch(`${stack.baseUrl}/metrics`);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  const samples = {};
+  for (const line of (await res.text()).split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const idx = line.lastIndexOf(' ');
+    samples[line.slice(0, idx)] = Number(line.slice(idx + 1));
+  }
+  return samples;
+}
+
+function offerWorkbook() {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r => (r.type === 'material' ? { ...r, articleId: ARTICLE_ID } : r)));
+  return toBase64(wb);
+}
+
+test('Registry: Counter, Gauge mit collect, Histogramm, Label-Escaping', () => {
+  const registry = new MetricsRegistry();
+  const calls = registry.counter({ name: 'x_calls_total', help: 'Aufrufe', labelNames: ['path'] });
+  let depth = 3;
+  registry.gauge({ name: 'x_queue', help: 'Warteschlange', collect: () => [{ labels: {}, value: depth }] });
+  const latency = registry.histogram({ name: 'x_seconds', help: 'Dauer', buckets: [0.1, 1] });
+
+  calls.inc({ path: '/a"b\n' });
+  calls.inc({ path: '/a"b\n' }, 2);
+  latency.observe({}, 0.05);
+  latency.observe({}, 0.5);
+  latency.observe({}, 5);
+  depth = 7;
+
+  const text = registry.render();
+  assert.match(text, /# TYPE x_calls_total counter\nx_calls_total\{path="\/a\\"b\\n"\} 3\n/);
+  assert.match(text, /x_queue 7\n/);
+  assert.match(text, /x_seconds_bucket\{le="0.1"\} 1\nx_seconds_bucket\{le="1"\} 2\nx_seconds_bucket\{le="\+Inf"\} 3\nx_seconds_sum 5.55\nx_seconds_count 3\n/);
+  assert.throws(() => registry.counter({ name: 'x_calls_total', help: 'doppelt' }), /schon registriert/);
+  assert.throws(() => registry.counter({ name: 'x-calls', help: 'kaputt' }), /Ungültiger Metrikname/);
+});
+
+test('/metrics: Latenz je Endpunkt, 429 und Wiederholungen, Cache-Treffer, Angebote', async () => {
+  const excelData = offerWorkbook();
+  stack.mock.injectFault({ status: 429, count: 1, method: 'POST', path: '/quotations' });
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData });
+  assert.equal(created.ok, true, created.message);
+  const invalid = await postJson(stack.baseUrl, '/api/create-offer', { excelData: toBase64(readWorkbook(FIXTURE)) });
+  assert.equal(invalid.ok, false);
+  assert.equal((await postJson(stack.baseUrl, '/api/test-excel', { excelData })).ok, true);
+
+  await fetch(`${stack.baseUrl}/api/template.xlsx`);
+  await fetch(`${stack.baseUrl}/api/template.xlsx`);
+
+  const m = await scrape();
+  assert.equal(m['lxt_lexware_requests_total{tenant="default",method="POST",endpoint="/v1/quotations",status="429"}'], 1);
+  assert.equal(m['lxt_lexware_requests_total{tenant="default",method="POST",endpoint="/v1/quotations",status="200"}'], 1);
+  assert.equal(m['lxt_lexware_rate_limited_total{tenant="default",endpoint="/v1/quotations"}'], 1);
+  assert.equal(m['lxt_lexware_retries_total{tenant="default",endpoint="/v1/quotations"}'], 1);
+  assert.equal(m['lxt_lexware_request_duration_seconds_count{tenant="default",method="GET",endpoint="/v1/articles/:id"}'] > 0, true, 'IDs werden zu :id');
+  assert.ok(m['lxt_rate_limiter_wait_seconds_count{tenant="default"}'] >= 3);
+  assert.equal(m['lxt_rate_limiter_queue_depth{tenant="default"}'], 0);
+
+  assert.equal(m['lxt_cache_requests_total{tenant="default",cache="template",result="miss"}'], 1);
+  assert.equal(m['lxt_cache_requests_total{tenant="default",cache="template",result="hit"}'], 1);
+  assert.equal(m['lxt_cache_hit_ratio{tenant="default",cache="template"}'], 0.5);
+  assert.ok(m['lxt_cache_requests_total{tenant="default",cache="article",result="hit"}'] >= 1, 'Testlauf nutzt den Artikel-Cache');
+
+  assert.equal(m['lxt_offers_total{tenant="default",result="success",stage="lexware-create"}'], 1);
+  assert.equal(m['lxt_offers_total{tenant="default",result="failure",stage="validation"}'], 1);
+  assert.ok(!Object.keys(m).some(k => k.includes(created.data.quotationId)), 'keine IDs in den Labels');
+});
+
+test('/api/health: Lexware erreichbar, 503 bei Fehler', async () => {
+  const healthy = await fetch(`${stack.baseUrl}/api/health`);
+  const body = await healthy.json();
+  assert.equal(healthy.status, 200);
+  assert.equal(body.ok, true, body.message);
+  assert.deepEqual(body.data.tenants.map(t => [t.id, t.ok, t.httpStatus]), [['default', true, 200]]);
+  assert.ok(stack.mock.state.requests.some(r => r.path === '/profile'));
+
+  stack.mock.injectFault({ status: 500, count: 1, path: '/profile' });
+  const down = await fetch(`${stack.baseUrl}/api/health`);
+  const downBody = await down.json();
+  assert.equal(down.status, 503);
+  assert.equal(downBody.status, 'UNAVAILABLE');
+  assert.match(downBody.message, /default \(Lexware antwortet mit HTTP 500\.\)/);
+  assert.equal((await getJson(stack.baseUrl, '/api/health')).ok, true, 'nächster Check ist wieder grün');
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+const { detectFormat, readOfferWorkbook } = require('../lib/offerImport');
+
+function rows(wb, sheet) {
+  return XLSX.utils.sheet_to_json(wb.Sheets[sheet], { defval: '' });
+}
+
+test('Format wird am Inhalt erkannt', () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Feld', 'Wert']]), 'Angebot');
+
+  assert.equal(detectFormat(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })), 'xlsx');
+  assert.equal(detectFormat(XLSX.write(wb, { type: 'buffer', bookType: 'ods' })), 'ods');
+  assert.equal(detectFormat(Buffer.from('\uFEFF  {"angebot":{}}')), 'json');
+  assert.equal(detectFormat(Buffer.from('[Angebot]\nFeld;Wert')), 'csv');
+});
+
+test('CSV: Semikolon, Dezimalkomma, Anführungszeichen und ANSI-Umlaute', () => {
+  const csv = [
+    '[Positionen];;;',
+    'type;name;description;unitPriceAmount',
+    'custom;Shirt;"Zeile 1',
+    'Zeile 2 mit ""Zitat""; und Semikolon";1.234,50',
+    'custom;Größe XL;;7,1'
+  ].join('\r\n');
+  const { format, wb, errors } = readOfferWorkbook(Buffer.from(csv, 'latin1').toString('base64'));
+
+  assert.equal(format, 'csv');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows(wb, 'Positionen').map(r => [r.name, r.description, r.unitPriceAmount]), [
+    ['Shirt', 'Zeile 1\nZeile 2 mit "Zitat"; und Semikolon', '1234.50'],
+    ['Größe XL', '', '7.1']
+  ]);
+});
+
+test('CSV mit Komma als Trennzeichen lässt Dezimalpunkte stehen', () => {
+  const csv = '[Kunde]\nFeld,Wert\nname,"Müller, Meier & Co"\nzip,01234\n';
+  const { wb } = readOfferWorkbook(Buffer.from(csv).toString('base64'));
+  assert.deepEqual(rows(wb, 'Kunde'), [{ Feld: 'name', Wert: 'Müller, Meier & Co' }, { Feld: 'zip', Wert: '01234' }]);
+});
+
+test('JSON: Objekte werden Feld/Wert-Sheets, Listen Tabellen, unbekannte Schlüssel Fehler', () => {
+  const json = { $schema: 'x', angebot: { taxType: 'net', validDays: 14 }, Positionen: [{ type: 'text', name: 'Hinweis' }], versand: {} };
+  const { format, wb, errors } = readOfferWorkbook(Buffer.from(JSON.stringify(json)).toString('base64'));
+
+  assert.equal(format, 'json');
+  assert.deepEqual(wb.SheetNames, ['Angebot', 'Positionen']);
+  assert.deepEqual(rows(wb, 'Angebot'), [{ Feld: 'taxType', Wert: 'net' }, { Feld: 'validDays', Wert: 14 }]);
+  assert.deepEqual(rows(wb, 'Positionen'), [{ type: 'text', name: 'Hinweis' }]);
+  assert.deepEqual(errors.map(e => e.field), ['versand']);
+});
+
+test('Artikel-Lookup als CSV-Abschnitt und JSON-Schlüssel wie in Excel', () => {
+  const csv = '[Artikel-Lookup]\narticleNumber;title;netPrice\n900248.331;Camiseta;7,14\n';
+  const fromCsv = readOfferWorkbook(Buffer.from(csv).toString('base64'));
+  assert.deepEqual(fromCsv.errors, []);
+  assert.deepEqual(rows(fromCsv.wb, 'Artikel-Lookup'), [{ articleNumber: '900248.331', title: 'Camiseta', netPrice: '7.14' }]);
+
+  const json = { 'artikel-lookup': [{ articleNumber: '900248.331', netPrice: 7.14 }] };
+  const fromJson = readOfferWorkbook(Buffer.from(JSON.stringify(json)).toString('base64'));
+  assert.deepEqual(fromJson.errors, []);
+  assert.deepEqual(fromJson.wb.SheetNames, ['Artikel-Lookup']);
+});
@@ -0,0 +1,18 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLines } = require('../lib/parseText');
+
+test('Zeilennummern wie im Eingabetext, Leerzeilen mitgezählt', () => {
+  const { items, warnings } = parseLines('25x T-Shirt Art.-Nr. 900248.331\n\n  \r\nHoodie schwarz\n- 10 Stk Einrichtung Siebdruck 35 €');
+
+  assert.deepEqual(items.map(it => [it.line, it.type, it.quantity]), [
+    [1, 'material', 25],
+    [4, 'text', null],
+    [5, 'service', 10]
+  ]);
+  assert.deepEqual(warnings.map(w => w.line), [4]);
+  assert.equal(items[2].unitPriceAmount, 35);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeMethod, normalizeRules, calculatePrintPrice } = require('../lib/printPricing');
+
+const { rules } = normalizeRules([
+  { method: 'Sieb', minQty: 50, basePrice: '1,20', perColor: 0.4, setupName: 'Sieb', setupPrice: 25, setupPer: 'color' },
+  { method: 'siebdruck', minQty: 20, basePrice: 1.5, perColor: 0.5, setupName: 'Sieb', setupPrice: 25, setupPer: 'color' },
+  { method: 'DTF', minQty: 1, basePrice: 4.9 },
+  { method: 'dtf', minQty: 10, basePrice: 3.9, setupName: 'Datei', setupPrice: 15, setupPer: 'position' },
+  { method: 'Stickerei', minQty: 1, basePrice: 2, per1000Stitches: 0.8, setupName: 'Stickprogramm', setupPrice: 35 }
+]);
+
+test('Preisregeln: Aliase, Sortierung, Fehler je Zeile', () => {
+  assert.equal(normalizeMethod(' Screen-Print '), 'siebdruck');
+  assert.deepEqual(rules.map(r => `${r.method}@${r.minQty}`), ['dtf@1', 'dtf@10', 'siebdruck@20', 'siebdruck@50', 'stick@1']);
+  assert.equal(rules[3].basePrice, 1.2);
+  assert.equal(rules[0].setupPer, 'order', 'Standard ist je Auftrag');
+
+  const { rules: none, errors } = normalizeRules([
+    { method: 'laser', basePrice: 1 },
+    { method: 'dtf', minQty: 0 },
+    { method: 'dtf', basePrice: -1 },
+    { method: 'dtf', setupPer: 'stück' },
+    { method: '', basePrice: '' }
+  ]);
+  assert.equal(none.length, 0);
+  assert.deepEqual(errors.map(e => `${e.row}:${e.field}`), ['2:method', '3:minQty', '4:basePrice', '5:setupPer']);
+});
+
+test('Staffel: unter der Mindestmenge Fehler, an der Grenze gilt die neue Staffel', () => {
+  const below = calculatePrintPrice(rules, { method: 'siebdruck', quantity: 19, colors: 2 });
+  assert.deepEqual([below.ok, below.field], [false, 'quantity']);
+  assert.match(below.message, /Menge 19 liegt unter der Mindestmenge 20/);
+
+  const tier = quantity => calculatePrintPrice(rules, { method: 'siebdruck', quantity, colors: 2 });
+  assert.equal(tier(20).unitNet, 2.5);
+  assert.equal(tier(49).tier.minQty, 20);
+  assert.equal(tier(50).tier.minQty, 50);
+  assert.equal(tier(50).unitNet, 2);
+
+  assert.equal(calculatePrintPrice(rules, { method: 'transfer', quantity: 9 }).unitNet, 4.9);
+  assert.equal(calculatePrintPrice(rules, { method: 'transfer', quantity: 10 }).unitNet, 3.9);
+});
+
+test('Einrichtung je Auftrag, Position oder Farbe; Pflichtangaben', () => {
+  const setupQty = args => calculatePrintPrice(rules, args).setup.map(s => [s.name, s.quantity, s.unitNet]);
+
+  assert.deepEqual(setupQty({ method: 'stick', quantity: 10, stitches: 8000, positions: 2 }), [['Stickprogramm', 1, 35]]);
+  assert.deepEqual(setupQty({ method: 'dtf', quantity: 10, positions: 3 }), [['Datei', 3, 15]]);
+  assert.deepEqual(setupQty({ method: 'siebdruck', quantity: 20, colors: 3, positions: 2 }), [['Sieb', 6, 25]]);
+  assert.deepEqual(setupQty({ method: 'dtf', quantity: 1 }), [], 'Staffel ohne setupPrice');
+
+  const stick = calculatePrintPrice(rules, { method: 'stick', quantity: 10, stitches: 8000, positions: 2 });
+  assert.equal(stick.unitNet, 2 * (2 + 0.8 * 8));
+
+  assert.equal(calculatePrintPrice(rules, { method: 'siebdruck', quantity: 20 }).field, 'printColors');
+  assert.equal(calculatePrintPrice(rules, { method: 'stick', quantity: 10 }).field, 'printStitches');
+  assert.equal(calculatePrintPrice(rules, { method: 'dtf', quantity: 10, positions: 1.5 }).field, 'printPositions');
+  assert.equal(calculatePrintPrice([], { method: 'dtf', quantity: 10 }).field, 'printMethod');
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRowSizeQuantities, readSizeConfig, expandSizeLineItems } = require('../lib/sizeMatrix');
+
+const BASE = { currency: 'EUR', netAmount: 7.14, taxRatePercentage: 19 };
+const SURCHARGED = { currency: 'EUR', netAmount: 8.64, taxRatePercentage: 19 };
+const ITEM = { type: 'custom', name: 'Shirt', description: 'Brustdruck', quantity: 20, unitName: 'Stk', unitPrice: BASE };
+const ROW = { name: 'Shirt', quantity: '', qty_XXL: 3, qty_S: 10, 'qty_3xl': '2', qty_XL: 5, qty_M: '', qty_6XL: 4 };
+
+test('Größenspalten: Reihenfolge, Aliase, leere und unbekannte Spalten', () => {
+  assert.deepEqual(getRowSizeQuantities(ROW), [
+    { size: 'S', qty: 10 }, { size: 'XL', qty: 5 }, { size: '2XL', qty: 3 }, { size: '3XL', qty: 2 }
+  ]);
+  assert.deepEqual(getRowSizeQuantities({ quantity: 5 }), []);
+});
+
+test('Konfiguration: Standardwerte und Fehler mit Sheet und Feld', () => {
+  const errors = [];
+  assert.deepEqual(readSizeConfig(undefined, errors, { defaultMode: 'combined' }), { mode: 'combined', surcharge: 0, from: '2XL', fromIndex: 5 });
+  assert.deepEqual(readSizeConfig({ sizeMode: 'Split', sizeSurcharge: '1.5', sizeSurchargeFrom: 'xxxl' }, errors).from, '3XL');
+  assert.deepEqual(errors, []);
+
+  readSizeConfig({ sizeMode: 'einzeln', sizeSurcharge: -1, sizeSurchargeFrom: '7XL' }, errors);
+  assert.deepEqual(errors.map(e => `${e.sheet}:${e.field}`), ['Konfiguration:sizeMode', 'Konfiguration:sizeSurcharge', 'Konfiguration:sizeSurchargeFrom']);
+});
+
+test('split: eine Position je Größe, Aufschlag ab 2XL', () => {
+  const config = readSizeConfig({ sizeSurcharge: 1.5 }, []);
+  const items = expandSizeLineItems(ITEM, getRowSizeQuantities(ROW), config, SURCHARGED);
+  assert.deepEqual(items.map(li => [li.name, li.quantity, li.unitPrice.netAmount, li.description]), [
+    ['Shirt – S', 10, 7.14, 'Brustdruck'],
+    ['Shirt – XL', 5, 7.14, 'Brustdruck'],
+    ['Shirt – 2XL', 3, 8.64, 'Brustdruck'],
+    ['Shirt – 3XL', 2, 8.64, 'Brustdruck']
+  ]);
+});
+
+test('combined: je Preisstufe eine Position, Größen in der Beschreibung', () => {
+  const sizes = getRowSizeQuantities(ROW);
+  const items = expandSizeLineItems(ITEM, sizes, readSizeConfig({ sizeMode: 'combined', sizeSurcharge: 1.5 }, []), SURCHARGED);
+  assert.deepEqual(items.map(li => [li.name, li.quantity, li.unitPrice.netAmount, li.description]), [
+    ['Shirt', 15, 7.14, 'Brustdruck\nGrößen: S×10, XL×5'],
+    ['Shirt (ab 2XL)', 5, 8.64, 'Brustdruck\nGrößen: 2XL×3, 3XL×2']
+  ]);
+
+  const noSurcharge = expandSizeLineItems(ITEM, sizes, readSizeConfig({ sizeMode: 'combined' }, []), BASE);
+  assert.deepEqual(noSurcharge.map(li => [li.name, li.quantity, li.description]), [['Shirt', 20, 'Brustdruck\nGrößen: S×10, XL×5, 2XL×3, 3XL×2']]);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+// Mandanten: zwei Lexware-Organisationen (zwei Mocks mit eigenem Key) an einem Tool
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { startStack, postJson, getJson, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+const { createLexwareMock, articlesFromLookupSheet } = require('../mock/lexwareMock');
+const { loadTenantConfig } = require('../lib/tenants');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f';
+const CONTACTS = [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }];
+const MERCH_ARTICLE = {
+  id: 'merch-beutel', title: 'Festival Beutel', articleNumber: 'FB-1', type: 'PRODUCT', unitName: 'Stück', archived: false, version: 1,
+  price: { netPrice: 3, grossPrice: 3.57, leadingPrice: 'NET', taxRate: 19 }
+};
+
+let stack;
+let merch;
+let merchServer;
+let tmpDir;
+
+before(async () => {
+  merch = createLexwareMock({ articles: [...articlesFromLookupSheet(), MERCH_ARTICLE], contacts: CONTACTS, apiKey: 'merch-key' });
+  merchServer = await new Promise(resolve => {
+    const server = merch.app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const tenantsFile = path.join(tmpDir, 'mandanten.json');
+  fs.writeFileSync(tenantsFile, JSON.stringify({
+    default: 'shirts',
+    tenants: {
+      shirts: { name: 'Maiershirts', apiKeyEnv: 'LEXWARE_API_KEY' },
+      merch: { name: 'Event Merch GmbH', apiKey: 'merch-key', baseUrl: `http://127.0.0.1:${merchServer.address().port}/` }
+    }
+  }));
+
+  stack = await startStack({ contacts: CONTACTS, env: { TENANTS_FILE: tenantsFile } });
+});
+
+after(async () => {
+  await stack.stop();
+  await new Promise(resolve => merchServer.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function offerWorkbook() {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r => (r.type === 'material' ? { ...r, articleId: ARTICLE_ID } : r)));
+  return toBase64(wb);
+}
+
+async function templateTitles(tenant) {
+  const res = await fetch(`${stack.baseUrl}/api/template.xlsx?tenant=${tenant}`);
+  const wb = XLSX.read(Buffer.from(await res.arrayBuffer()), { type: 'buffer' });
+  return XLSX.utils.sheet_to_json(wb.Sheets['Artikel-Lookup'], { defval: '' }).map(r => r.title);
+}
+
+test('Konfiguration: ohne Datei ein Standard-Mandant, Key aus der ENV, Fehler bei kaputter Datei', () => {
+  const fallback = { apiKey: 'k', baseUrl: 'https://api.lexware.io' };
+  assert.deepEqual(loadTenantConfig({ file: path.join(os.tmpdir(), 'gibt-es-nicht.json'), fallback }).tenants.map(t => [t.id, t.apiKey]), [['default', 'k']]);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-cfg-')), 'm.json');
+  fs.writeFileSync(file, JSON.stringify({ tenants: { a: { apiKeyEnv: 'KEY_A' }, b: { apiKey: 'kb', baseUrl: 'http://x/' } } }));
+  const cfg = loadTenantConfig({ file, env: { KEY_A: 'ka' }, fallback });
+  assert.equal(cfg.defaultId, 'a');
+  assert.deepEqual(cfg.tenants.map(t => [t.id, t.apiKey, t.baseUrl]), [['a', 'ka', 'https://api.lexware.io'], ['b', 'kb', 'http://x']]);
+
+  fs.writeFileSync(file, JSON.stringify({ default: 'c', tenants: { a: {} } }));
+  assert.throws(() => loadTenantConfig({ file, fallback }), /Standard-Mandant "c"/);
+  fs.writeFileSync(file, JSON.stringify({ tenants: { 'Shop A': {} } }));
+  assert.throws(() => loadTenantConfig({ file, fallback }), /Mandant "Shop A"/);
+});
+
+test('Artikel, Template und Abos je Mandant; unbekannter Mandant wird abgelehnt', async () => {
+  const ping = await getJson(stack.baseUrl, '/api/ping');
+  assert.deepEqual(ping.tenants.map(t => t.id), ['shirts', 'merch']);
+  assert.equal(ping.tenant, 'shirts');
+  assert.equal((await getJson(stack.baseUrl, '/api/ping?tenant=merch')).apiBaseUrl, `http://127.0.0.1:${merchServer.address().port}`);
+  assert.equal((await getJson(stack.baseUrl, '/api/offers?tenant=gibtsnicht')).technical.raw.message, 'UNKNOWN_TENANT');
+
+  const shirtsHits = await getJson(stack.baseUrl, '/api/articles/search?q=festival');
+  const merchHits = await getJson(stack.baseUrl, '/api/articles/search?q=festival&tenant=merch');
+  assert.equal(shirtsHits.data.totalElements, 0);
+  assert.deepEqual(merchHits.data.content.map(a => a.id), ['merch-beutel']);
+  assert.ok(merch.state.requests.some(r => r.path === '/articles'), 'Artikel des Mandanten kommen aus seiner Organisation');
+
+  assert.ok((await templateTitles('merch')).includes('Festival Beutel'));
+  assert.ok(!(await templateTitles('shirts')).includes('Festival Beutel'), 'Template-Cache ist je Mandant getrennt');
+
+  const subs = await postJson(stack.baseUrl, '/api/admin/webhooks/subscriptions?tenant=merch', {});
+  assert.match(subs.data.callbackUrl, /\/api\/webhooks\/lexware\?tenant=merch$/);
+  assert.equal(merch.state.subscriptions.length, 7);
+  assert.equal(stack.mock.state.subscriptions.length, 0);
+});
+
+test('Angebote, Verlauf und Jobs bleiben beim Mandanten', async () => {
+  const excelData = offerWorkbook();
+  const shirtsOffer = await postJson(stack.baseUrl, '/api/create-offer', { excelData });
+  const merchOffer = await postJson(stack.baseUrl, '/api/create-offer', { excelData, tenant: 'merch' });
+  assert.equal(shirtsOffer.ok, true, shirtsOffer.message);
+  assert.equal(merchOffer.ok, true, merchOffer.message);
+  assert.notEqual(shirtsOffer.data.quotationId, merchOffer.data.quotationId, 'gleiche Datei, aber je Organisation ein Angebot');
+  assert.ok(merch.state.vouchers.has(merchOffer.data.quotationId));
+  assert.ok(!stack.mock.state.vouchers.has(merchOffer.data.quotationId));
+
+  const shirtsHistory = await getJson(stack.baseUrl, '/api/offers');
+  const merchHistory = await getJson(stack.baseUrl, '/api/offers?tenant=merch');
+  assert.deepEqual(shirtsHistory.data.offers.map(o => o.id), [shirtsOffer.data.quotationId]);
+  assert.deepEqual(merchHistory.data.offers.map(o => [o.id, o.tenant]), [[merchOffer.data.quotationId, 'merch']]);
+  assert.equal((await getJson(stack.baseUrl, `/api/offers/${merchOffer.data.quotationId}`)).status, 'NOT_FOUND');
+
+  const tested = await postJson(stack.baseUrl, '/api/test-excel', { excelData, tenant: 'merch' });
+  assert.equal(tested.ok, true, tested.message);
+  const started = await postJson(stack.baseUrl, '/api/create-offer', { excelData, tenant: 'merch', async: true, allowPriceOverride: true });
+  const jobId = started.data.jobId;
+  assert.equal((await getJson(stack.baseUrl, `/api/jobs/${jobId}`)).status, 'NOT_FOUND', 'Job eines anderen Mandanten');
+  let merchJob;
+  for (let i = 0; i < 50; i++) {
+    merchJob = await getJson(stack.baseUrl, `/api/jobs/${jobId}?tenant=merch`);
+    if (merchJob.data.job.status !== 'running') break;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  assert.equal(merchJob.data.job.tenant, 'merch');
+  assert.equal(merchJob.data.job.status, 'done', JSON.stringify(merchJob.data.job.result));
+});
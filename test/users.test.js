@@ -0,0 +1,207 @@
+'use strict';
+
+// Benutzerkonten: Store (Hashes, Sitzungen, Tokens) und Rollen an den Endpunkten
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startStack, postJson, getJson, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+const { UserStore, roleAllows } = require('../lib/users');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f';
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }],
+    env: { FINALIZE_LIMIT_NET: '1' }
+  });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+// fetch mit Sitzungs-Cookie bzw. Bearer-Token
+function client({ cookie, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (cookie) headers.Cookie = cookie;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const call = async (method, endpoint, body) => {
+    const res = await fetch(stack.baseUrl + endpoint, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return res.headers.get('content-type')?.includes('json') ? res.json() : res;
+  };
+  return {
+    get: endpoint => call('GET', endpoint),
+    post: (endpoint, body) => call('POST', endpoint, body || {}),
+    patch: (endpoint, body) => call('PATCH', endpoint, body),
+    del: endpoint => call('DELETE', endpoint)
+  };
+}
+
+async function login(username, password) {
+  const res = await fetch(`${stack.baseUrl}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const body = await res.json();
+  const cookie = (res.headers.get('set-cookie') || '').split(';')[0];
+  return { body, cookie, setCookie: res.headers.get('set-cookie') };
+}
+
+function offerWorkbook() {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r => (r.type === 'material' ? { ...r, articleId: ARTICLE_ID } : r)));
+  return toBase64(wb);
+}
+
+test('UserStore: scrypt-Hash, Sitzungen, Tokens, letzter Admin', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-')), 'users.json');
+  const store = new UserStore(file, { sessionTtlMs: 60000 });
+
+  await assert.rejects(store.create({ username: 'a', password: 'geheim123', role: 'admin' }), { code: 'INVALID_USERNAME' });
+  await assert.rejects(store.create({ username: 'anna', password: 'kurz', role: 'admin' }), { code: 'WEAK_PASSWORD' });
+  await assert.rejects(store.create({ username: 'anna', password: 'geheim123', role: 'chef' }), { code: 'INVALID_ROLE' });
+
+  const anna = await store.create({ username: ' Anna ', password: 'geheim123', role: 'admin' });
+  assert.equal(anna.username, 'anna');
+  assert.equal(anna.passwordHash, undefined, 'Hash bleibt intern');
+  await assert.rejects(store.create({ username: 'anna', password: 'geheim123', role: 'sales' }), { code: 'USER_EXISTS' });
+
+  const raw = fs.readFileSync(file, 'utf8');
+  assert.ok(!raw.includes('geheim123'));
+  assert.match(raw, /"passwordHash": "scrypt\$/);
+
+  assert.equal(await store.authenticate('anna', 'falsch!!!'), null);
+  assert.equal(await store.authenticate('niemand', 'geheim123'), null);
+  assert.equal((await store.authenticate('ANNA', 'geheim123')).role, 'admin');
+
+  const session = await store.createSession('anna');
+  assert.equal(store.findSession(session.token).username, 'anna');
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(session.token), 'nur der Hash liegt auf der Platte');
+
+  const token = await store.createToken('anna', 'CI');
+  assert.equal(store.findToken(token.token).username, 'anna');
+  await store.revokeToken('anna', token.id);
+  assert.equal(store.findToken(token.token), null);
+
+  await assert.rejects(store.update('anna', { role: 'viewer' }), { code: 'LAST_ADMIN' });
+  await assert.rejects(store.remove('anna'), { code: 'LAST_ADMIN' });
+
+  // neues Passwort beendet Sitzungen; nach Neustart ist alles wieder da
+  await store.create({ username: 'ben', password: 'geheim456', role: 'sales' });
+  await store.update('anna', { password: 'neuesPasswort' });
+  assert.equal(store.findSession(session.token), null);
+  const reloaded = new UserStore(file);
+  assert.deepEqual(reloaded.list().map(u => `${u.username}:${u.role}`), ['anna:admin', 'ben:sales']);
+  assert.ok(await reloaded.authenticate('anna', 'neuesPasswort'));
+
+  assert.equal(roleAllows('sales', 'viewer'), true);
+  assert.equal(roleAllows('sales', 'admin'), false);
+  assert.equal(roleAllows(undefined, 'viewer'), false);
+});
+
+test('Rollen: Anmeldung, viewer/sales/admin an den Endpunkten, Benutzer im Verlauf', async () => {
+  // ohne Konten: offen wie bisher, erster Benutzer muss admin sein
+  assert.equal((await getJson(stack.baseUrl, '/api/ping')).passwordMode, 'none');
+  const notAdmin = await postJson(stack.baseUrl, '/api/admin/users', { username: 'vera', password: 'viewer123', role: 'viewer' });
+  assert.equal(notAdmin.status, 'VALIDATION_ERROR');
+  const first = await postJson(stack.baseUrl, '/api/admin/users', { username: 'anna', password: 'admin1234', role: 'admin', name: 'Anna' });
+  assert.equal(first.ok, true, first.message);
+
+  assert.equal((await getJson(stack.baseUrl, '/api/ping')).passwordMode, 'users');
+  assert.equal((await getJson(stack.baseUrl, '/api/offers')).status, 'UNAUTHORIZED');
+  assert.equal((await postJson(stack.baseUrl, '/api/admin/users', { username: 'x', password: 'y', role: 'admin' })).status, 'UNAUTHORIZED');
+
+  const admin = await login('anna', 'admin1234');
+  assert.equal(admin.body.ok, true, admin.body.message);
+  assert.match(admin.setCookie, /HttpOnly/);
+  assert.match(admin.setCookie, /SameSite=Lax/);
+  const asAdmin = client({ cookie: admin.cookie });
+  assert.equal((await asAdmin.get('/api/me')).data.role, 'admin');
+
+  assert.equal((await asAdmin.post('/api/admin/users', { username: 'sam', password: 'sales1234', role: 'sales' })).ok, true);
+  assert.equal((await asAdmin.post('/api/admin/users', { username: 'vera', password: 'viewer123', role: 'viewer' })).ok, true);
+  assert.equal((await asAdmin.post('/api/admin/users', { username: 'sam', password: 'sales1234', role: 'sales' })).status, 'USER_EXISTS');
+
+  const asViewer = client({ cookie: (await login('vera', 'viewer123')).cookie });
+  const asSales = client({ cookie: (await login('sam', 'sales1234')).cookie });
+  const excelData = offerWorkbook();
+
+  // viewer: ansehen und testen, nicht anlegen
+  assert.equal((await asViewer.post('/api/test-excel', { excelData })).ok, true);
+  assert.equal((await asViewer.post('/api/create-offer', { excelData })).status, 'FORBIDDEN');
+  assert.equal((await asViewer.get('/api/articles?refresh=1')).status, 'FORBIDDEN');
+  assert.equal((await asViewer.get('/api/articles')).ok, true);
+
+  // sales: Entwurf ja, FINAL über der Grenze und Artikelpflege nein
+  const draft = await asSales.post('/api/create-offer', { excelData, finalize: false });
+  assert.equal(draft.ok, true, draft.message);
+
+  // Jobs sieht nur, wer sie gestartet hat (und admin)
+  const job = await asSales.post('/api/create-offer', { excelData, finalize: false, async: true });
+  assert.equal(job.status, 'ACCEPTED');
+  assert.equal((await asSales.get(`/api/jobs/${job.data.jobId}`)).ok, true);
+  assert.equal((await asAdmin.get(`/api/jobs/${job.data.jobId}`)).ok, true);
+  const foreign = await asViewer.get(`/api/jobs/${job.data.jobId}`);
+  assert.deepEqual([foreign.status, foreign.technical.httpStatus], ['NOT_FOUND', 404]);
+  assert.equal((await asViewer.get(`/api/jobs/${job.data.jobId}/events`)).status, 'NOT_FOUND');
+  const overLimit = await asSales.post('/api/create-offer', { excelData, finalize: true });
+  assert.equal(overLimit.status, 'FORBIDDEN');
+  assert.match(overLimit.message, /nur ein Admin/);
+  assert.equal((await asSales.get('/api/articles?refresh=1')).status, 'FORBIDDEN');
+  assert.equal((await asSales.post('/api/articles/import', { excelData, dryRun: true })).status, 'FORBIDDEN');
+  assert.equal((await asSales.get('/api/admin/users')).status, 'FORBIDDEN');
+  assert.equal((await asSales.post(`/api/quotations/${draft.data.quotationId}/convert?to=invoice`, { finalize: true })).status, 'FORBIDDEN');
+
+  // admin: FINAL über der Grenze, PDF per Cookie ohne Passwort in der URL
+  const final = await asAdmin.post('/api/create-offer', { excelData, finalize: true });
+  assert.equal(final.ok, true, final.message);
+  const pdf = await asAdmin.get(`/api/download-pdf?id=${final.data.quotationId}`);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+
+  const history = await asViewer.get('/api/offers');
+  const byId = Object.fromEntries(history.data.offers.map(o => [o.id, o]));
+  assert.deepEqual([byId[draft.data.quotationId].user, byId[draft.data.quotationId].role], ['sam', 'sales']);
+  assert.equal(byId[final.data.quotationId].user, 'anna');
+
+  // Abmelden beendet die Sitzung
+  assert.equal((await asViewer.post('/api/logout')).ok, true);
+  assert.equal((await asViewer.get('/api/me')).status, 'UNAUTHORIZED');
+});
+
+test('API-Token, Sperren und Fehlversuche', async () => {
+  const admin = await login('anna', 'admin1234');
+  const asAdmin = client({ cookie: admin.cookie });
+
+  const created = await asAdmin.post('/api/admin/users/sam/tokens', { label: 'Skript' });
+  assert.match(created.data.token, /^lxt_/);
+  const asScript = client({ token: created.data.token });
+  assert.equal((await asScript.get('/api/me')).data.username, 'sam');
+
+  const listed = await asAdmin.get('/api/admin/users');
+  const sam = listed.data.users.find(u => u.username === 'sam');
+  assert.deepEqual(sam.tokens.map(t => t.label), ['Skript']);
+  assert.ok(!JSON.stringify(listed).includes('passwordHash'));
+
+  assert.equal((await asAdmin.del(`/api/admin/users/sam/tokens/${created.data.id}`)).ok, true);
+  assert.equal((await asScript.get('/api/me')).status, 'UNAUTHORIZED');
+
+  // gesperrt → keine Anmeldung, Rolle ändern wirkt sofort
+  const samSession = client({ cookie: (await login('sam', 'sales1234')).cookie });
+  assert.equal((await asAdmin.patch('/api/admin/users/sam', { disabled: true })).ok, true);
+  assert.equal((await samSession.get('/api/me')).status, 'UNAUTHORIZED');
+  assert.equal((await login('sam', 'sales1234')).body.status, 'UNAUTHORIZED');
+  assert.equal((await asAdmin.patch('/api/admin/users/anna', { role: 'sales' })).status, 'LAST_ADMIN');
+  assert.equal((await asAdmin.patch('/api/admin/users/niemand', { role: 'sales' })).status, 'USER_NOT_FOUND');
+
+  for (let i = 0; i < 5; i++) await login('vera', 'falsch');
+  assert.equal((await login('vera', 'viewer123')).body.status, 'LOCKED');
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateTotals } = require('../lib/voucherTotals');
+
+function item(quantity, net, gross, rate, extra) {
+  return { type: 'custom', name: 'X', quantity, unitName: 'Stk', unitPrice: { currency: 'EUR', netAmount: net, grossAmount: gross, taxRatePercentage: rate }, ...extra };
+}
+
+test('net: USt je Steuersatz aus der Summe, nicht je Position', () => {
+  // 3 × 0,35 € → je Position gerundet 0,07 € USt (= 0,21 €), auf die Summe 1,05 € aber 0,20 €
+  const t = calculateTotals({
+    taxConditions: { taxType: 'net' },
+    lineItems: [item(1, 0.35, 0.42, 19), item(1, 0.35, 0.42, 19), item(1, 0.35, 0.42, 19)]
+  });
+  assert.equal(t.totalNetAmount, 1.05);
+  assert.equal(t.totalTaxAmount, 0.2);
+  assert.equal(t.totalGrossAmount, 1.25);
+});
+
+test('gross: Positionsbeträge brutto, Netto je Steuersatz herausgerechnet', () => {
+  const t = calculateTotals({
+    taxConditions: { taxType: 'gross' },
+    lineItems: [item(10, 8.4, 10, 19), item(2, 9.35, 10, 7)]
+  });
+  assert.deepEqual(t.taxAmounts, [
+    { taxRatePercentage: 19, netAmount: 84.03, taxAmount: 15.97, grossAmount: 100 },
+    { taxRatePercentage: 7, netAmount: 18.69, taxAmount: 1.31, grossAmount: 20 }
+  ]);
+  assert.equal(t.totalGrossAmount, 120);
+  assert.equal(t.totalNetAmount, 102.72);
+});
+
+test('Rabatt je Position und Textzeilen ohne Betrag', () => {
+  const t = calculateTotals({
+    taxConditions: { taxType: 'net' },
+    lineItems: [item(3, 9.99, 11.89, 19, { discountPercentage: 10 }), { type: 'text', name: 'Hinweis' }]
+  });
+  assert.equal(t.lines[0].lineItemAmount, 26.97);
+  assert.equal(t.lines[0].discountAmount, 3);
+  assert.equal(t.lines[1].lineItemAmount, undefined);
+  assert.equal(t.totalDiscountAmount, 3);
+  assert.equal(t.totalNetAmount, 26.97);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+// Lexware-Webhooks: Abos über die Admin-API, signierte Events vom Mock → Angebotsstatus / Artikel-Cache
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { startStack, postJson, getJson, readWorkbook, toBase64, setField, updateRows } = require('./helpers');
+const { verifySignature, loadPublicKey, parseEvent } = require('../lib/lexwareWebhook');
+
+const FIXTURE = path.join(__dirname, '..', 'templates', 'Lexware_Template.xlsx');
+const ARTICLE_ID = 'da2d372b-5b9e-4e75-b6af-b025375ac11f';
+
+let stack;
+
+before(async () => {
+  stack = await startStack({
+    contacts: [{ id: 'contact-tv-nord', company: { name: 'Turnverein Nord' }, emailAddresses: { business: ['info@tv-nord.de'] } }]
+  });
+});
+
+after(async () => {
+  await stack.stop();
+});
+
+beforeEach(() => {
+  stack.mock.state.requests = [];
+  stack.mock.state.faults = [];
+});
+
+function sendSigned(body, signature) {
+  const raw = JSON.stringify(body);
+  return fetch(`${stack.baseUrl}/api/webhooks/lexware`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Lxo-Signature': signature ?? stack.mock.signEvent(raw) },
+    body: raw
+  });
+}
+
+test('Signatur: SHA512withRSA über den Rohtext, Payload-Prüfung', () => {
+  const key = loadPublicKey({ pem: stack.mock.webhookPublicKey.replace(/\n/g, '\\n') });
+  const raw = Buffer.from('{"eventType":"quotation.changed","resourceId":"q1"}');
+
+  assert.equal(verifySignature(raw, stack.mock.signEvent(raw), key), true);
+  assert.equal(verifySignature(Buffer.from(`${raw} `), stack.mock.signEvent(raw), key), false, 'Body verändert');
+  assert.equal(verifySignature(raw, 'kaputt', key), false);
+  assert.equal(verifySignature(raw, stack.mock.signEvent(raw), null), false);
+
+  assert.equal(parseEvent({ eventType: 'article.changed', resourceId: 'a1' }).event.resource, 'article');
+  assert.match(parseEvent({ eventType: 'DROP TABLE', resourceId: 'a1' }).error, /eventType/);
+  assert.match(parseEvent({ eventType: 'article.changed' }).error, /resourceId/);
+});
+
+test('Admin: Abos anlegen (ohne Dubletten), auflisten, löschen', async () => {
+  const callbackUrl = `${stack.baseUrl}/api/webhooks/lexware`;
+  const first = await postJson(stack.baseUrl, '/api/admin/webhooks/subscriptions', {});
+  assert.equal(first.ok, true, first.message);
+  assert.equal(first.data.callbackUrl, callbackUrl, 'Callback aus dem Request abgeleitet');
+  assert.equal(first.data.created.length, 7);
+
+  const again = await postJson(stack.baseUrl, '/api/admin/webhooks/subscriptions', { eventTypes: ['quotation.status.changed', 'contact.changed'] });
+  assert.deepEqual([again.data.created.length, again.data.existing.length], [1, 1]);
+
+  const list = await getJson(stack.baseUrl, '/api/admin/webhooks/subscriptions');
+  assert.equal(list.data.subscriptions.length, 8);
+  assert.ok(list.data.subscriptions.every(s => s.ours));
+  assert.equal(list.data.signatureKeyConfigured, true);
+
+  const contactSub = list.data.subscriptions.find(s => s.eventType === 'contact.changed');
+  const res = await fetch(`${stack.baseUrl}/api/admin/webhooks/subscriptions/${contactSub.subscriptionId}`, { method: 'DELETE' });
+  assert.equal((await res.json()).ok, true);
+  assert.equal(stack.mock.state.subscriptions.length, 7);
+
+  const invalid = await postJson(stack.baseUrl, '/api/admin/webhooks/subscriptions', { eventTypes: ['quotation'] });
+  assert.equal(invalid.status, 'VALIDATION_ERROR');
+});
+
+test('quotation.status.changed: Status aus Lexware im Verlauf, Wiederholung wird erkannt', async () => {
+  const wb = readWorkbook(FIXTURE);
+  setField(wb, 'Kunde', 'name', 'Turnverein Nord');
+  updateRows(wb, 'Positionen', rows => rows.map(r => (r.type === 'material' ? { ...r, articleId: ARTICLE_ID } : r)));
+  const created = await postJson(stack.baseUrl, '/api/create-offer', { excelData: toBase64(wb), finalize: true });
+  assert.equal(created.ok, true, created.message);
+  const quotationId = created.data.quotationId;
+
+  const deliveries = await stack.mock.deliverEvent({ eventType: 'quotation.status.changed', resourceId: quotationId, voucherStatus: 'accepted', eventDate: '2026-10-19T10:00:00.000+02:00' });
+  assert.deepEqual(deliveries.map(d => d.status), [200]);
+
+  const offer = await getJson(stack.baseUrl, `/api/offers/${quotationId}`);
+  assert.equal(offer.data.offer.lexwareStatus, 'accepted');
+
+  const events = await getJson(stack.baseUrl, '/api/admin/webhooks/events');
+  assert.equal(events.data.quotations[quotationId].status, 'accepted');
+  assert.match(events.data.quotations[quotationId].voucherNumber, /^AG/);
+
+  // Lexware stellt bei Zeitüberschreitung erneut zu → nur bestätigen
+  const repeat = await sendSigned({ organizationId: 'mock-organization', eventType: 'quotation.status.changed', resourceId: quotationId, eventDate: '2026-10-19T10:00:00.000+02:00' });
+  assert.equal((await repeat.json()).status, 'DUPLICATE');
+  assert.equal(stack.mock.state.requests.filter(r => r.method === 'GET' && r.path === `/quotations/${quotationId}`).length, 1);
+
+  await stack.mock.deliverEvent({ eventType: 'quotation.deleted', resourceId: quotationId });
+  assert.equal((await getJson(stack.baseUrl, `/api/offers/${quotationId}`)).data.offer.lexwareStatus, 'deleted');
+});
+
+test('article.changed leert den Artikel-Cache; falsche Signatur → 401, Lexware-Fehler → 503', async () => {
+  await getJson(stack.baseUrl, '/api/articles/search?q=camiseta');
+  stack.mock.state.requests = [];
+
+  await stack.mock.deliverEvent({ eventType: 'article.changed', resourceId: ARTICLE_ID });
+  await getJson(stack.baseUrl, '/api/articles/search?q=camiseta');
+  assert.ok(stack.mock.state.requests.some(r => r.method === 'GET' && r.path === '/articles'), 'Artikelstamm neu geladen');
+
+  const forged = await sendSigned({ eventType: 'article.deleted', resourceId: ARTICLE_ID }, stack.mock.signEvent('{"eventType":"article.changed"}'));
+  assert.equal(forged.status, 401);
+  assert.equal((await forged.json()).status, 'INVALID_SIGNATURE');
+
+  stack.mock.injectFault({ status: 500, method: 'GET', path: '/quotations/' });
+  const retry = await sendSigned({ eventType: 'quotation.changed', resourceId: 'q-unbekannt-500', eventDate: '2026-10-19T11:00:00.000+02:00' });
+  assert.equal(retry.status, 503, 'Lexware soll erneut zustellen');
+
+  const events = await getJson(stack.baseUrl, '/api/admin/webhooks/events');
+  assert.ok(!events.data.events.some(e => e.resourceId === 'q-unbekannt-500'), 'nicht als verarbeitet gemerkt');
+});